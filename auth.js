@@ -0,0 +1,70 @@
+// API token helpers. Tokens are random strings handed to the user once; only their
+// SHA-256 hash is stored, so a leaked database does not leak usable credentials.
+
+const crypto = require('crypto');
+
+const TOKEN_PREFIX = 'ssk_';
+
+function generateToken() {
+  return TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token, 'utf8').digest('hex');
+}
+
+/**
+ * Reads the token from "Authorization: Bearer <token>", or from ?token= when
+ * allowQuery is set (calendar apps and EventSource cannot send headers).
+ */
+function extractToken(req, { allowQuery = false } = {}) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+
+  if (allowQuery && typeof req.query.token === 'string' && req.query.token) {
+    return req.query.token;
+  }
+
+  return null;
+}
+
+function validateRegistrationInput(body) {
+  const errors = [];
+  const values = {};
+  const input = body || {};
+
+  if (typeof input.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(input.email.trim())) {
+    errors.push('email must be a valid email address');
+  } else if (input.email.trim().length > 255) {
+    errors.push('email must be at most 255 characters');
+  } else {
+    values.email = input.email.trim().toLowerCase();
+  }
+
+  if (input.name !== undefined && input.name !== null) {
+    if (typeof input.name !== 'string' || input.name.trim().length > 255) {
+      errors.push('name must be a string of at most 255 characters');
+    } else {
+      values.name = input.name.trim() || null;
+    }
+  }
+
+  return { values, errors };
+}
+
+// Token names are optional labels ("iPhone", "calendar feed") shown when listing tokens
+function validateTokenName(name) {
+  if (name === undefined || name === null || name === '') return { value: null };
+  if (typeof name !== 'string' || name.trim().length > 100) {
+    return { error: 'name must be a string of at most 100 characters' };
+  }
+  return { value: name.trim() || null };
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+  extractToken,
+  validateRegistrationInput,
+  validateTokenName
+};
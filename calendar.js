@@ -0,0 +1,194 @@
+// iCalendar (RFC 5545) export of course deadlines
+
+const { isValidDate, normalizeTime } = require('./validation');
+const { buildCourseSchedule } = require('./schedule');
+
+const PRODID = '-//Syllabus Scanner//Syllabus Scanner Server//EN';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'syllabus-scanner';
+
+const TYPE_CATEGORIES = {
+  exam: 'Exam',
+  quiz: 'Quiz',
+  assignment: 'Assignment',
+  reading: 'Reading',
+  project: 'Project',
+  other: 'Other'
+};
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines longer than 75 octets are folded onto continuation lines starting with a space
+function foldLine(line) {
+  const buffer = Buffer.from(line, 'utf8');
+  if (buffer.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentLength = 0;
+  for (const char of line) {
+    const charLength = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentLength + charLength > limit) {
+      parts.push(current);
+      current = '';
+      currentLength = 0;
+    }
+    current += char;
+    currentLength += charLength;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function formatDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function formatDateTime(date, time) {
+  return `${formatDate(date)}T${time.replace(/:/g, '')}`;
+}
+
+function formatUTCTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + days));
+  return next.toISOString().split('T')[0];
+}
+
+// Database timestamps are "YYYY-MM-DD HH:MM:SS" in UTC (SQLite) or server time (MySQL)
+function parseTimestamp(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(String(value).replace(' ', 'T') + 'Z');
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Builds the VEVENT lines for one assignment, or null if it has no usable due date.
+ * Timed deadlines are written in floating local time, since syllabi don't carry a
+ * time zone and "due at 11:59 PM" means the student's own clock.
+ */
+function assignmentToEvent(assignment, course, { prefixCourseName = false } = {}) {
+  const dueDate = assignment.due_date ? String(assignment.due_date).slice(0, 10) : null;
+  if (!isValidDate(dueDate)) return null;
+
+  const type = TYPE_CATEGORIES[assignment.type] ? assignment.type : 'other';
+  const dueTime = normalizeTime(assignment.due_time);
+  const stamp = parseTimestamp(assignment.updated_at) || parseTimestamp(assignment.created_at) || new Date();
+  const summary = prefixCourseName && course.course_name
+    ? `${course.course_name}: ${assignment.title}`
+    : assignment.title;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    // The UID only depends on the assignment row, so re-importing updates the same event
+    `UID:assignment-${assignment.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUTCTimestamp(stamp)}`,
+    `LAST-MODIFIED:${formatUTCTimestamp(stamp)}`
+  ];
+
+  if (dueTime) {
+    lines.push(`DTSTART:${formatDateTime(dueDate, dueTime)}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(dueDate)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(addDays(dueDate, 1))}`);
+    lines.push('TRANSP:TRANSPARENT');
+  }
+
+  lines.push(`SUMMARY:${escapeText(summary || 'Untitled assignment')}`);
+  if (assignment.description && assignment.description !== assignment.title) {
+    lines.push(`DESCRIPTION:${escapeText(assignment.description)}`);
+  }
+  lines.push(`CATEGORIES:${escapeText(TYPE_CATEGORIES[type])}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Builds a weekly recurring VEVENT for one parsed class meeting, or null if
+ * the meeting has no time. Holidays and breaks become EXDATEs.
+ */
+function meetingToEvent(meeting, index, schedule, course, { prefixCourseName = false } = {}) {
+  if (!meeting.start_time || !meeting.end_time || !meeting.first_date) return null;
+
+  const stamp = parseTimestamp(course.updated_at) || parseTimestamp(course.created_at) || new Date();
+  const courseName = course.course_name || 'Class';
+  const summary = prefixCourseName ? `${courseName}: Class` : courseName;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:course-${course.id}-meeting-${index}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUTCTimestamp(stamp)}`,
+    `LAST-MODIFIED:${formatUTCTimestamp(stamp)}`,
+    `DTSTART:${formatDateTime(meeting.first_date, meeting.start_time)}`,
+    `DTEND:${formatDateTime(meeting.first_date, meeting.end_time)}`,
+    // UNTIL is floating like DTSTART, and inclusive of the last day of the term
+    `RRULE:FREQ=WEEKLY;BYDAY=${meeting.days.join(',')};UNTIL=${formatDate(schedule.term.end_date)}T235959`
+  ];
+
+  if (meeting.skipped_dates.length > 0) {
+    lines.push(`EXDATE:${meeting.skipped_dates.map(date => formatDateTime(date, meeting.start_time)).join(',')}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(summary)}`);
+  if (meeting.location) {
+    lines.push(`LOCATION:${escapeText(meeting.location)}`);
+  }
+  lines.push('CATEGORIES:Class');
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Serializes courses, their class meetings and their assignments to an iCalendar string.
+ * entries: [{ course, assignments }]
+ */
+function buildCalendar(entries, { name, prefixCourseName = false } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  entries.forEach(({ course, assignments }) => {
+    const schedule = buildCourseSchedule(course, assignments);
+    schedule.meetings.forEach((meeting, index) => {
+      const event = meetingToEvent(meeting, index, schedule, course, { prefixCourseName });
+      if (event) lines.push(...event);
+    });
+
+    assignments.forEach(assignment => {
+      const event = assignmentToEvent(assignment, course, { prefixCourseName });
+      if (event) lines.push(...event);
+    });
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCalendar,
+  assignmentToEvent,
+  meetingToEvent,
+  escapeText,
+  foldLine
+};
@@ -0,0 +1,197 @@
+// Shared course templates.
+//
+// A student publishes one of their parsed courses as the template for a class, identified
+// by course code, term and institution. Classmates subscribe instead of scanning the same
+// syllabus: each gets their own course and assignment rows, linked back through
+// courses.template_id and assignments.template_assignment_id.
+//
+// The published course stays the source of truth. After its owner edits it,
+// syncTemplateFromCourse copies the changes into the template and on to every subscriber.
+// Completion state belongs to each user and is never synced, and assignments a
+// subscriber added themselves are left alone.
+
+const COURSE_FIELDS = ['course_name', 'professor_name', 'professor_email', 'meeting_days', 'office_hours', 'syllabus_text'];
+const ASSIGNMENT_FIELDS = ['title', 'due_date', 'due_time', 'type', 'description'];
+
+function pick(row, fields) {
+  const values = {};
+  fields.forEach(field => {
+    values[field] = row[field] === undefined ? null : row[field];
+  });
+  return values;
+}
+
+function differs(row, values) {
+  return Object.keys(values).some(field => (row[field] === undefined ? null : row[field]) !== values[field]);
+}
+
+// "ANT-141" and "ant 141" are the same class
+function normalizeCourseCode(courseCode) {
+  return String(courseCode).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// "|" separates the parts of a template key, so it can't appear inside one
+function normalizeKeyPart(value) {
+  return String(value).toLowerCase().replace(/\|/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalized "course code|term|institution" key that identifies one class's template.
+ * Returns null when the course code has no letters or digits.
+ */
+function buildTemplateKey({ course_code, term, institution }) {
+  const code = normalizeCourseCode(course_code);
+  if (!code) return null;
+  return [code, normalizeKeyPart(term), normalizeKeyPart(institution)].join('|');
+}
+
+// LIKE patterns use "!" as the escape character in both database backends
+function escapeLike(value) {
+  return value.replace(/[!%_]/g, character => `!${character}`);
+}
+
+/**
+ * LIKE pattern over template_key for the template search: the course code matches as a
+ * prefix, term and institution anywhere within their part. Missing filters match anything.
+ */
+function buildTemplateSearchPattern({ course_code, term, institution } = {}) {
+  const code = course_code ? `${escapeLike(normalizeCourseCode(course_code))}%` : '%';
+  const contains = value => (value ? `%${escapeLike(normalizeKeyPart(value))}%` : '%');
+  return [code, contains(term), contains(institution)].join('|');
+}
+
+/**
+ * Publishes course (a row from the courses table) as the template identified by
+ * { course_code, term, institution }. Resolves to the new template's id.
+ */
+async function publishCourse(database, course, identity) {
+  const templateId = await database.createCourseTemplate({
+    ...pick(course, COURSE_FIELDS),
+    ...identity,
+    owner_user_id: course.user_id,
+    source_course_id: course.id,
+    template_key: buildTemplateKey(identity)
+  });
+
+  const assignments = await database.getAssignmentsByCourse(course.id);
+  for (const assignment of assignments) {
+    await database.createTemplateAssignment(templateId, {
+      ...pick(assignment, ASSIGNMENT_FIELDS),
+      source_assignment_id: assignment.id
+    });
+  }
+
+  return templateId;
+}
+
+/**
+ * Gives userId their own copy of the template's course and assignments.
+ * Resolves to the new course id.
+ */
+async function subscribeToTemplate(database, template, userId) {
+  const templateAssignments = await database.getTemplateAssignments(template.id);
+  const { courseId } = await database.saveCourseWithAssignments(
+    {
+      ...pick(template, COURSE_FIELDS),
+      user_id: userId,
+      template_id: template.id
+    },
+    templateAssignments.map(templateAssignment => ({
+      ...pick(templateAssignment, ASSIGNMENT_FIELDS),
+      completed: false,
+      template_assignment_id: templateAssignment.id
+    }))
+  );
+
+  return courseId;
+}
+
+// Brings one subscriber's course in line with the template. Only assignments copied
+// from the template are touched, and never their completed flag.
+async function syncSubscriberCourse(database, course, courseValues, templateAssignments, removedIds) {
+  if (differs(course, courseValues)) {
+    await database.updateCourse(course.id, courseValues);
+  }
+
+  const assignments = await database.getAssignmentsByCourse(course.id);
+  const copies = new Map(assignments
+    .filter(assignment => assignment.template_assignment_id)
+    .map(assignment => [assignment.template_assignment_id, assignment]));
+
+  for (const templateAssignment of templateAssignments) {
+    const copy = copies.get(templateAssignment.id);
+    const values = pick(templateAssignment, ASSIGNMENT_FIELDS);
+
+    if (removedIds.has(templateAssignment.id)) {
+      if (copy) await database.deleteAssignment(copy.id);
+    } else if (!copy) {
+      await database.saveAssignment(course.id, { ...values, completed: false, template_assignment_id: templateAssignment.id });
+    } else if (differs(copy, values)) {
+      await database.updateAssignment(copy.id, values);
+    }
+  }
+}
+
+/**
+ * Copies the current state of a published course into its template and every
+ * subscriber's copy. Does nothing for courses that aren't published.
+ * Resolves to { templateId, subscribers } or null.
+ */
+async function syncTemplateFromCourse(database, courseId) {
+  const template = await database.getCourseTemplateBySourceCourse(courseId);
+  if (!template) return null;
+
+  const course = await database.getCourseById(courseId);
+  const courseValues = pick(course, COURSE_FIELDS);
+  if (differs(template, courseValues)) {
+    await database.updateCourseTemplate(template.id, courseValues);
+  }
+
+  const [sourceAssignments, existing] = await Promise.all([
+    database.getAssignmentsByCourse(courseId),
+    database.getTemplateAssignments(template.id)
+  ]);
+
+  const bySource = new Map(existing
+    .filter(templateAssignment => templateAssignment.source_assignment_id)
+    .map(templateAssignment => [templateAssignment.source_assignment_id, templateAssignment]));
+
+  for (const assignment of sourceAssignments) {
+    const templateAssignment = bySource.get(assignment.id);
+    const values = pick(assignment, ASSIGNMENT_FIELDS);
+
+    if (!templateAssignment) {
+      await database.createTemplateAssignment(template.id, { ...values, source_assignment_id: assignment.id });
+    } else if (differs(templateAssignment, values)) {
+      await database.updateTemplateAssignment(templateAssignment.id, values);
+    }
+  }
+
+  // Deleting a source assignment nulls source_assignment_id, so those show up here too
+  const sourceIds = new Set(sourceAssignments.map(assignment => assignment.id));
+  const removedIds = new Set(existing
+    .filter(templateAssignment => !sourceIds.has(templateAssignment.source_assignment_id))
+    .map(templateAssignment => templateAssignment.id));
+
+  // Subscribers are synced before removed template assignments are deleted, because
+  // deleting them would unlink (not delete) the subscribers' copies
+  const templateAssignments = await database.getTemplateAssignments(template.id);
+  const subscribers = await database.getCoursesByTemplate(template.id);
+  for (const subscriber of subscribers) {
+    await syncSubscriberCourse(database, subscriber, courseValues, templateAssignments, removedIds);
+  }
+
+  for (const templateAssignmentId of removedIds) {
+    await database.deleteTemplateAssignment(templateAssignmentId);
+  }
+
+  return { templateId: template.id, subscribers: subscribers.length };
+}
+
+module.exports = {
+  buildTemplateKey,
+  buildTemplateSearchPattern,
+  publishCourse,
+  subscribeToTemplate,
+  syncTemplateFromCourse
+};
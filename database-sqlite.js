@@ -1,89 +1,114 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { runMigrations } = require('./migrations');
+
+const SQLITE_BUSY_TIMEOUT_MS = 5000;
+
+// Promise wrappers for statements that don't need the per-method logging below
+// Resolves to the number of rows changed
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve(this.changes);
+        });
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
+// Columns that updateCourse/updateAssignment are allowed to write
+const COURSE_COLUMNS = ['course_name', 'professor_name', 'professor_email', 'meeting_days', 'office_hours', 'syllabus_text'];
+const ASSIGNMENT_COLUMNS = ['title', 'due_date', 'due_time', 'type', 'description', 'completed'];
+
+// Columns copied from a published course to its template, and from template assignments
+// to subscribers' assignments (completion state is never copied)
+const TEMPLATE_COLUMNS = COURSE_COLUMNS;
+const TEMPLATE_ASSIGNMENT_COLUMNS = ['title', 'due_date', 'due_time', 'type', 'description'];
+
+// Columns getLlmUsageAggregates can group by
+const USAGE_GROUPS = {
+    path: 'analysis_path',
+    model: 'model',
+    task: 'task',
+    user: 'user_id',
+    day: 'DATE(created_at)'
+};
 
 class SQLiteDatabase {
     constructor() {
         this.db = null;
+        this.dbPath = null;
+        this.transactionDb = null;
+        this.transactionQueue = Promise.resolve();
     }
 
+    // SQLITE_PATH points the fallback database somewhere else, e.g. a scratch file for tests
     async connect() {
         return new Promise((resolve, reject) => {
-            const dbPath = path.join(__dirname, 'syllabus_scanner.db');
-            this.db = new sqlite3.Database(dbPath, (err) => {
+            this.dbPath = process.env.SQLITE_PATH || path.join(__dirname, 'syllabus_scanner.db');
+            this.db = new sqlite3.Database(this.dbPath, (err) => {
                 if (err) {
                     console.error('❌ SQLite connection failed:', err.message);
                     reject(err);
                 } else {
                     console.log('✅ Connected to SQLite database');
-                    this.createTables().then(resolve).catch(reject);
+                    // The server and worker.js share this file, so wait out the other
+                    // process's write locks instead of failing with SQLITE_BUSY
+                    this.db.configure('busyTimeout', SQLITE_BUSY_TIMEOUT_MS);
+                    this.runMigrations().then(resolve).catch(reject);
                 }
             });
         });
     }
 
-    async createTables() {
-        return new Promise((resolve, reject) => {
-            const createCourses = `
-                CREATE TABLE IF NOT EXISTS courses (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    user_id TEXT,
-                    course_name TEXT,
-                    professor_name TEXT,
-                    professor_email TEXT,
-                    meeting_days TEXT,
-                    office_hours TEXT,
-                    syllabus_text TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                )
-            `;
-
-            const createAssignments = `
-                CREATE TABLE IF NOT EXISTS assignments (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    course_id INTEGER,
-                    title TEXT,
-                    due_date DATE,
-                    due_time TIME,
-                    type TEXT DEFAULT 'other',
-                    description TEXT,
-                    completed BOOLEAN DEFAULT 0,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
-                )
-            `;
+    // Schema changes live in migrations.js
+    async runMigrations() {
+        try {
+            // Foreign keys (and ON DELETE CASCADE) are off by default in SQLite, and the
+            // pragma has no effect inside the transactions migrations run in
+            await run(this.db, 'PRAGMA foreign_keys = ON');
 
-            this.db.serialize(() => {
-                this.db.run(createCourses);
-                this.db.run(createAssignments, (err) => {
-                    if (err) {
-                        console.error('❌ Failed to create tables:', err.message);
-                        reject(err);
-                    } else {
-                        console.log('✅ Database tables created/verified');
-                        resolve();
-                    }
-                });
+            await runMigrations({
+                dialect: 'sqlite',
+                transactional: true,
+                run: (sql, params) => run(this.db, sql, params),
+                all: (sql, params) => all(this.db, sql, params),
+                columnExists: async (table, column) =>
+                    (await all(this.db, `PRAGMA table_info(${table})`)).some(existing => existing.name === column)
             });
-        });
+
+            console.log('✅ Database schema is up to date');
+        } catch (error) {
+            console.error('❌ Database migration failed:', error.message);
+            throw error;
+        }
     }
 
-    async saveCourse(courseData) {
+    // db defaults to the shared connection; transaction() passes its own
+    async saveCourse(courseData, db = this.db) {
         return new Promise((resolve, reject) => {
             const sql = `
-                INSERT INTO courses (user_id, course_name, professor_name, professor_email, meeting_days, office_hours, syllabus_text)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
+                INSERT INTO courses (user_id, course_name, professor_name, professor_email, meeting_days, office_hours, syllabus_text, template_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             `;
 
-            this.db.run(sql, [
+            db.run(sql, [
                 courseData.user_id || 'anonymous',
                 courseData.course_name,
                 courseData.professor_name,
                 courseData.professor_email,
                 courseData.meeting_days,
                 courseData.office_hours,
-                courseData.syllabus_text
+                courseData.syllabus_text,
+                courseData.template_id || null
             ], function(err) {
                 if (err) {
                     console.error('❌ Failed to save course:', err.message);
@@ -97,20 +122,22 @@ class SQLiteDatabase {
         });
     }
 
-    async saveAssignment(courseId, assignmentData) {
+    async saveAssignment(courseId, assignmentData, db = this.db) {
         return new Promise((resolve, reject) => {
             const sql = `
-                INSERT INTO assignments (course_id, title, due_date, due_time, type, description)
-                VALUES (?, ?, ?, ?, ?, ?)
+                INSERT INTO assignments (course_id, title, due_date, due_time, type, description, completed, template_assignment_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             `;
 
-            this.db.run(sql, [
+            db.run(sql, [
                 courseId,
                 assignmentData.title,
                 assignmentData.due_date,
                 assignmentData.due_time,
-                assignmentData.type,
-                assignmentData.description
+                assignmentData.type || 'other',
+                assignmentData.description,
+                Boolean(assignmentData.completed),
+                assignmentData.template_assignment_id || null
             ], function(err) {
                 if (err) {
                     console.error('❌ Failed to save assignment:', err.message);
@@ -123,23 +150,81 @@ class SQLiteDatabase {
         });
     }
 
-    async saveMultipleAssignments(courseId, assignments) {
-        const savedAssignments = [];
-        for (const assignment of assignments) {
+    // Transactions run one at a time on a second connection, so statements other requests
+    // send through this.db can't land inside (or be rolled back with) a transaction
+    async getTransactionConnection() {
+        if (!this.transactionDb) {
+            this.transactionDb = await new Promise((resolve, reject) => {
+                const db = new sqlite3.Database(this.dbPath, (err) => {
+                    if (err) reject(err);
+                    else resolve(db);
+                });
+            });
+            this.transactionDb.configure('busyTimeout', SQLITE_BUSY_TIMEOUT_MS);
+            await run(this.transactionDb, 'PRAGMA foreign_keys = ON');
+        }
+        return this.transactionDb;
+    }
+
+    /**
+     * Runs work(db) in a transaction, committing if it resolves and rolling back if it
+     * throws. Resolves to work's result.
+     */
+    async transaction(work) {
+        const result = this.transactionQueue.then(async () => {
+            const db = await this.getTransactionConnection();
+            await run(db, 'BEGIN IMMEDIATE');
             try {
-                const assignmentId = await this.saveAssignment(courseId, assignment);
-                savedAssignments.push(assignmentId);
+                const value = await work(db);
+                await run(db, 'COMMIT');
+                return value;
             } catch (error) {
-                console.error(`Failed to save assignment: ${assignment.title}`, error.message);
+                await run(db, 'ROLLBACK').catch(rollbackError => {
+                    console.error('❌ Failed to roll back transaction:', rollbackError.message);
+                });
+                throw error;
             }
-        }
-        return savedAssignments;
+        });
+
+        this.transactionQueue = result.catch(() => {});
+        return result;
+    }
+
+    // All or nothing: one failed assignment rolls back the whole batch
+    async saveMultipleAssignments(courseId, assignments) {
+        return this.transaction(async db => {
+            const assignmentIds = [];
+            for (const assignment of assignments) {
+                assignmentIds.push(await this.saveAssignment(courseId, assignment, db));
+            }
+            return assignmentIds;
+        });
+    }
+
+    /**
+     * Saves a course and its assignments atomically.
+     * Resolves to { courseId, assignmentIds }.
+     */
+    async saveCourseWithAssignments(courseData, assignments = []) {
+        return this.transaction(async db => {
+            const courseId = await this.saveCourse(courseData, db);
+            const assignmentIds = [];
+            for (const assignment of assignments) {
+                assignmentIds.push(await this.saveAssignment(courseId, assignment, db));
+            }
+            return { courseId, assignmentIds };
+        });
     }
 
-    async getCoursesByUser(userId) {
+    async getCoursesByUser(userId, { limit, offset = 0 } = {}) {
         return new Promise((resolve, reject) => {
-            const sql = `SELECT * FROM courses WHERE user_id = ? ORDER BY created_at DESC`;
-            this.db.all(sql, [userId], (err, rows) => {
+            let sql = `SELECT * FROM courses WHERE user_id = ? ORDER BY created_at DESC, id DESC`;
+            const params = [userId];
+            if (limit) {
+                sql += ` LIMIT ? OFFSET ?`;
+                params.push(limit, offset);
+            }
+            this.db.all(sql, params, (err, rows) => {
                 if (err) {
                     console.error('❌ Failed to get courses:', err.message);
                     reject(err);
@@ -150,10 +235,43 @@ class SQLiteDatabase {
         });
     }
 
-    async getAssignmentsByCourse(courseId) {
+    async countCoursesByUser(userId) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT COUNT(*) AS count FROM courses WHERE user_id = ?`;
+            this.db.get(sql, [userId], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to count courses:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+    }
+
+    async getCourseById(courseId) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM courses WHERE id = ?`;
+            this.db.get(sql, [courseId], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to get course:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    async getAssignmentsByCourse(courseId, { limit, offset = 0 } = {}) {
         return new Promise((resolve, reject) => {
-            const sql = `SELECT * FROM assignments WHERE course_id = ? ORDER BY due_date ASC`;
-            this.db.all(sql, [courseId], (err, rows) => {
+            let sql = `SELECT * FROM assignments WHERE course_id = ? ORDER BY due_date ASC, id ASC`;
+            const params = [courseId];
+            if (limit) {
+                sql += ` LIMIT ? OFFSET ?`;
+                params.push(limit, offset);
+            }
+            this.db.all(sql, params, (err, rows) => {
                 if (err) {
                     console.error('❌ Failed to get assignments:', err.message);
                     reject(err);
@@ -164,23 +282,1224 @@ class SQLiteDatabase {
         });
     }
 
-    async createJob(jobId, userId, fileName, filePath) {
-        // For SQLite mode, we'll process immediately without jobs table
-        // Just return the jobId for compatibility
-        console.log(`✅ Job created with ID: ${jobId} (SQLite mode - direct processing)`);
-        return jobId;
+    async countAssignmentsByCourse(courseId) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT COUNT(*) AS count FROM assignments WHERE course_id = ?`;
+            this.db.get(sql, [courseId], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to count assignments:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+    }
+
+    async getAssignmentById(assignmentId) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM assignments WHERE id = ?`;
+            this.db.get(sql, [assignmentId], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to get assignment:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    async updateAssignment(assignmentId, fields) {
+        const columns = Object.keys(fields).filter(column => ASSIGNMENT_COLUMNS.includes(column));
+        if (columns.length === 0) return false;
+
+        return new Promise((resolve, reject) => {
+            // SQLite has no ON UPDATE CURRENT_TIMESTAMP, so updated_at is set here
+            const sql = `
+                UPDATE assignments SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `;
+
+            this.db.run(sql, [...columns.map(column => fields[column]), assignmentId], function(err) {
+                if (err) {
+                    console.error('❌ Failed to update assignment:', err.message);
+                    reject(err);
+                } else {
+                    console.log(`✅ Assignment ${assignmentId} updated`);
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async deleteAssignment(assignmentId) {
+        return new Promise((resolve, reject) => {
+            const sql = `DELETE FROM assignments WHERE id = ?`;
+            this.db.run(sql, [assignmentId], function(err) {
+                if (err) {
+                    console.error('❌ Failed to delete assignment:', err.message);
+                    reject(err);
+                } else {
+                    console.log(`🗑️ Assignment ${assignmentId} deleted`);
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async updateCourse(courseId, fields) {
+        const columns = Object.keys(fields).filter(column => COURSE_COLUMNS.includes(column));
+        if (columns.length === 0) return false;
+
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE courses SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `;
+
+            this.db.run(sql, [...columns.map(column => fields[column]), courseId], function(err) {
+                if (err) {
+                    console.error('❌ Failed to update course:', err.message);
+                    reject(err);
+                } else {
+                    console.log(`✅ Course ${courseId} updated`);
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async deleteCourse(courseId) {
+        return new Promise((resolve, reject) => {
+            // Assignments are removed by ON DELETE CASCADE (foreign_keys is enabled in runMigrations)
+            const sql = `DELETE FROM courses WHERE id = ?`;
+            this.db.run(sql, [courseId], function(err) {
+                if (err) {
+                    console.error('❌ Failed to delete course:', err.message);
+                    reject(err);
+                } else {
+                    console.log(`🗑️ Course ${courseId} deleted`);
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async createJob(jobId, userId, fileName, filePath, {
+        bypassCache = false,
+        callbackUrl = null,
+        callbackSecret = null,
+        batchId = null,
+        batchPosition = null
+    } = {}, db = this.db) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO jobs (id, user_id, file_name, file_path, status, bypass_cache, callback_url, callback_secret, batch_id, batch_position)
+                VALUES (?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?)
+            `;
+
+            db.run(sql, [jobId, userId || 'anonymous', fileName, filePath, bypassCache ? 1 : 0, callbackUrl, callbackSecret, batchId, batchPosition], (err) => {
+                if (err) {
+                    console.error('❌ Failed to create job:', err.message);
+                    reject(err);
+                } else {
+                    console.log(`✅ Job created with ID: ${jobId}`);
+                    resolve(jobId);
+                }
+            });
+        });
+    }
+
+    /**
+     * Creates a batch and one pending job per file ({ id, file_name, file_path }) in one
+     * transaction. options are createJob's and apply to every job. Resolves to batchId.
+     */
+    async createBatch(batchId, userId, files, options = {}) {
+        try {
+            return await this.transaction(async db => {
+                await run(db, `
+                    INSERT INTO batches (id, user_id, file_count) VALUES (?, ?, ?)
+                `, [batchId, userId || 'anonymous', files.length]);
+
+                for (const [position, file] of files.entries()) {
+                    await this.createJob(file.id, userId, file.file_name, file.file_path, { ...options, batchId, batchPosition: position }, db);
+                }
+
+                console.log(`✅ Batch ${batchId} created with ${files.length} jobs`);
+                return batchId;
+            });
+        } catch (error) {
+            console.error('❌ Failed to create batch:', error.message);
+            throw error;
+        }
+    }
+
+    async getBatchById(batchId) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM batches WHERE id = ?`;
+            this.db.get(sql, [batchId], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to get batch:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    // A batch's jobs in upload order
+    async getJobsByBatch(batchId) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM jobs WHERE batch_id = ? ORDER BY batch_position ASC`;
+            this.db.all(sql, [batchId], (err, rows) => {
+                if (err) {
+                    console.error('❌ Failed to get batch jobs:', err.message);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async updateJobStatus(jobId, status) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE jobs SET status = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `;
+
+            this.db.run(sql, [status, jobId], (err) => {
+                if (err) {
+                    console.error('❌ Failed to update job status:', err.message);
+                    reject(err);
+                } else {
+                    console.log(`✅ Job ${jobId} status updated to: ${status}`);
+                    resolve();
+                }
+            });
+        });
     }
 
     async getJobById(jobId) {
-        // For SQLite mode, return a mock completed job
-        return {
-            id: jobId,
-            status: 'completed',
-            result_data: JSON.stringify({ processed: true })
-        };
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM jobs WHERE id = ?`;
+            this.db.get(sql, [jobId], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to get job:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
     }
 
-    async close() {
+    /**
+     * Marks a job completed. With workerId, only while that worker still holds the job's
+     * lease, so a worker whose job was reclaimed can't overwrite the new owner's result.
+     * Resolves to true if the job was updated.
+     */
+    async updateJobResult(jobId, resultData, courseId = null, { workerId = null } = {}) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE jobs SET
+                    status = 'completed',
+                    result_data = ?,
+                    course_id = ?,
+                    lease_expires_at = NULL,
+                    completed_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?${workerId ? " AND worker_id = ? AND status = 'processing'" : ''}
+            `;
+
+            this.db.run(sql, [JSON.stringify(resultData), courseId, jobId, ...(workerId ? [workerId] : [])], function(err) {
+                if (err) {
+                    console.error('❌ Failed to update job result:', err.message);
+                    reject(err);
+                } else {
+                    if (this.changes > 0) {
+                        console.log(`✅ Job ${jobId} completed successfully`);
+                    }
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    // Marks a job failed (or dead, once its retries ran out); workerId works as in updateJobResult
+    async updateJobError(jobId, errorMessage, { workerId = null, status = 'failed' } = {}) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE jobs SET
+                    status = ?,
+                    error_message = ?,
+                    lease_expires_at = NULL,
+                    completed_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?${workerId ? " AND worker_id = ? AND status = 'processing'" : ''}
+            `;
+
+            this.db.run(sql, [status, errorMessage, jobId, ...(workerId ? [workerId] : [])], function(err) {
+                if (err) {
+                    console.error('❌ Failed to update job error:', err.message);
+                    reject(err);
+                } else {
+                    if (this.changes > 0) {
+                        console.log(`❌ Job ${jobId} ${status}: ${errorMessage}`);
+                    }
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async getPendingJobs(limit = 10) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM jobs
+                WHERE status = 'pending'
+                ORDER BY created_at ASC
+                LIMIT ?
+            `;
+
+            this.db.all(sql, [limit], (err, rows) => {
+                if (err) {
+                    console.error('❌ Failed to get pending jobs:', err.message);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    /**
+     * Claims up to limit pending jobs that are due, oldest first, for workerId, counts the
+     * attempt and leases them for leaseSeconds. SQLite has no SKIP LOCKED; a single UPDATE ... RETURNING does the
+     * same job, since writers are serialized and no other worker can claim in between.
+     * Resolves to the claimed job rows.
+     */
+    async claimJobs(workerId, { limit = 1, leaseSeconds }) {
+        try {
+            const rows = await all(this.db, `
+                UPDATE jobs SET
+                    status = 'processing',
+                    worker_id = ?,
+                    attempts = attempts + 1,
+                    lease_expires_at = datetime('now', ?),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id IN (
+                    SELECT id FROM jobs
+                    WHERE status = 'pending'
+                      AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+                    ORDER BY created_at ASC
+                    LIMIT ?
+                )
+                RETURNING *
+            `, [workerId, `${Number(leaseSeconds)} seconds`, limit]);
+
+            // RETURNING doesn't follow the subquery's order
+            return rows.sort((a, b) => a.created_at.localeCompare(b.created_at));
+        } catch (error) {
+            console.error('❌ Failed to claim jobs:', error.message);
+            throw error;
+        }
+    }
+
+    // Heartbeat: extends the lease while workerId still holds the job. Resolves to false
+    // once the job has been reclaimed (or finished) by someone else.
+    async renewJobLease(jobId, workerId, leaseSeconds) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE jobs SET lease_expires_at = datetime('now', ?)
+                WHERE id = ? AND worker_id = ? AND status = 'processing'
+            `;
+
+            this.db.run(sql, [`${Number(leaseSeconds)} seconds`, jobId, workerId], function(err) {
+                if (err) {
+                    console.error('❌ Failed to renew job lease:', err.message);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    // Hands a job workerId can't finish (it is shutting down) back to the queue right away
+    // instead of when its lease runs out. The interrupted attempt isn't counted.
+    async releaseJob(jobId, workerId) {
+        try {
+            const changes = await run(this.db, `
+                UPDATE jobs SET
+                    status = 'pending',
+                    attempts = attempts - 1,
+                    worker_id = NULL,
+                    lease_expires_at = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND worker_id = ? AND status = 'processing'
+            `, [jobId, workerId]);
+            return changes > 0;
+        } catch (error) {
+            console.error('❌ Failed to release job:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Returns jobs stuck in processing without a live lease (their worker crashed or hung)
+     * to pending. Jobs that already used maxAttempts attempts are marked dead instead, so a
+     * file that crashes every worker doesn't loop forever. Resolves to { requeued, deadJobIds }
+     * (the number of jobs put back in the queue and the ids of the ones marked dead, which
+     * still need their notifications).
+     */
+    async reclaimExpiredJobs({ maxAttempts = null } = {}) {
+        const expired = `status = 'processing'
+                  AND (lease_expires_at IS NULL OR lease_expires_at < CURRENT_TIMESTAMP)`;
+
+        try {
+            let deadJobIds = [];
+            if (maxAttempts) {
+                const dead = await all(this.db, `
+                    UPDATE jobs SET
+                        status = 'dead',
+                        error_message = 'Worker stopped responding while processing the job',
+                        lease_expires_at = NULL,
+                        completed_at = CURRENT_TIMESTAMP,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE ${expired} AND attempts >= ?
+                    RETURNING id
+                `, [maxAttempts]);
+                deadJobIds = dead.map(job => job.id);
+            }
+
+            // Jobs whose lease ran out after the dead pass must not get another attempt
+            const requeued = await run(this.db, `
+                UPDATE jobs SET
+                    status = 'pending',
+                    worker_id = NULL,
+                    lease_expires_at = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE ${expired}${maxAttempts ? ' AND attempts < ?' : ''}
+            `, maxAttempts ? [maxAttempts] : []);
+
+            if (deadJobIds.length + requeued > 0) {
+                console.log(`✅ Reclaimed ${requeued} jobs with expired leases (${deadJobIds.length} out of attempts)`);
+            }
+            return { requeued, deadJobIds };
+        } catch (error) {
+            console.error('❌ Failed to reclaim expired jobs:', error.message);
+            throw error;
+        }
+    }
+
+    // Puts a failed attempt back in the queue, due in delaySeconds. workerId works as in
+    // updateJobResult. Resolves to true if the job was rescheduled.
+    async scheduleJobRetry(jobId, errorMessage, delaySeconds, { workerId = null } = {}) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE jobs SET
+                    status = 'pending',
+                    error_message = ?,
+                    worker_id = NULL,
+                    lease_expires_at = NULL,
+                    next_attempt_at = datetime('now', ?),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?${workerId ? " AND worker_id = ? AND status = 'processing'" : ''}
+            `;
+
+            this.db.run(sql, [errorMessage, `${Number(delaySeconds)} seconds`, jobId, ...(workerId ? [workerId] : [])], function(err) {
+                if (err) {
+                    console.error('❌ Failed to schedule job retry:', err.message);
+                    reject(err);
+                } else {
+                    if (this.changes > 0) {
+                        console.log(`✅ Job ${jobId} will be retried in ${delaySeconds}s: ${errorMessage}`);
+                    }
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    // Manual retry of a failed or dead job with a fresh set of attempts.
+    // Resolves to false if the job isn't failed or dead.
+    async requeueJob(jobId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE jobs SET
+                    status = 'pending',
+                    attempts = 0,
+                    next_attempt_at = NULL,
+                    worker_id = NULL,
+                    error_message = NULL,
+                    completed_at = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status IN ('failed', 'dead')
+            `;
+
+            this.db.run(sql, [jobId], function(err) {
+                if (err) {
+                    console.error('❌ Failed to requeue job:', err.message);
+                    reject(err);
+                } else {
+                    if (this.changes > 0) {
+                        console.log(`✅ Job ${jobId} requeued`);
+                    }
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    // Appends a progress event to a job; detail is stored as JSON
+    async addJobEvent(jobId, stage, detail = null) {
+        return new Promise((resolve, reject) => {
+            const sql = `INSERT INTO job_events (job_id, stage, detail) VALUES (?, ?, ?)`;
+            this.db.run(sql, [jobId, stage, detail === null ? null : JSON.stringify(detail)], function(err) {
+                if (err) {
+                    console.error('❌ Failed to add job event:', err.message);
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    // A job's events with an id above afterId, oldest first
+    async getJobEvents(jobId, { afterId = 0 } = {}) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM job_events
+                WHERE job_id = ? AND id > ?
+                ORDER BY id ASC
+            `;
+            this.db.all(sql, [jobId, afterId], (err, rows) => {
+                if (err) {
+                    console.error('❌ Failed to get job events:', err.message);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async createUser({ email, name = null }) {
+        return new Promise((resolve, reject) => {
+            const sql = `INSERT INTO users (email, name) VALUES (?, ?)`;
+            this.db.run(sql, [email, name], function(err) {
+                if (err) {
+                    console.error('❌ Failed to create user:', err.message);
+                    reject(err);
+                } else {
+                    console.log(`✅ User created with ID: ${this.lastID}`);
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    async getUserById(userId) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM users WHERE id = ?`;
+            this.db.get(sql, [userId], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to get user:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    async getUserByEmail(email) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM users WHERE email = ?`;
+            this.db.get(sql, [email], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to get user:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    async createApiToken(userId, tokenHash, name = null) {
+        return new Promise((resolve, reject) => {
+            const sql = `INSERT INTO api_tokens (user_id, token_hash, name) VALUES (?, ?, ?)`;
+            this.db.run(sql, [userId, tokenHash, name], function(err) {
+                if (err) {
+                    console.error('❌ Failed to create API token:', err.message);
+                    reject(err);
+                } else {
+                    console.log(`✅ API token ${this.lastID} issued for user ${userId}`);
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    // Resolves to the token's user (with token_id) or null if the token is unknown or revoked
+    async getUserByTokenHash(tokenHash) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT users.*, api_tokens.id AS token_id
+                FROM api_tokens
+                JOIN users ON users.id = api_tokens.user_id
+                WHERE api_tokens.token_hash = ? AND api_tokens.revoked_at IS NULL
+            `;
+            this.db.get(sql, [tokenHash], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to look up API token:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    async touchApiToken(tokenId) {
+        return new Promise((resolve, reject) => {
+            const sql = `UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?`;
+            this.db.run(sql, [tokenId], (err) => {
+                if (err) {
+                    console.error('❌ Failed to update API token:', err.message);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async getApiTokensByUser(userId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT id, name, last_used_at, revoked_at, created_at
+                FROM api_tokens WHERE user_id = ?
+                ORDER BY created_at DESC, id DESC
+            `;
+            this.db.all(sql, [userId], (err, rows) => {
+                if (err) {
+                    console.error('❌ Failed to get API tokens:', err.message);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async revokeApiToken(tokenId, userId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+            `;
+            this.db.run(sql, [tokenId, userId], function(err) {
+                if (err) {
+                    console.error('❌ Failed to revoke API token:', err.message);
+                    reject(err);
+                } else {
+                    if (this.changes > 0) {
+                        console.log(`🗑️ API token ${tokenId} revoked`);
+                    }
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async recordLlmUsage(entry) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO llm_usage (
+                    user_id, job_id, course_id, analysis_path, task, model,
+                    prompt_tokens, completion_tokens, total_tokens, latency_ms, cost_usd
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+            const params = [
+                entry.user_id || null,
+                entry.job_id || null,
+                entry.course_id || null,
+                entry.analysis_path || null,
+                entry.task || null,
+                entry.model || null,
+                entry.prompt_tokens || 0,
+                entry.completion_tokens || 0,
+                entry.total_tokens || 0,
+                entry.latency_ms ?? null,
+                entry.cost_usd ?? null
+            ];
+            this.db.run(sql, params, function(err) {
+                if (err) {
+                    console.error('❌ Failed to record LLM usage:', err.message);
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    // Attaches usage rows recorded during a scan to the course it created
+    async linkLlmUsageToCourse(usageIds, courseId) {
+        if (usageIds.length === 0) return;
+
+        return new Promise((resolve, reject) => {
+            const sql = `UPDATE llm_usage SET course_id = ? WHERE id IN (${usageIds.map(() => '?').join(', ')})`;
+            this.db.run(sql, [courseId, ...usageIds], (err) => {
+                if (err) {
+                    console.error('❌ Failed to link LLM usage:', err.message);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * Usage totals grouped by groupBy (a key of USAGE_GROUPS), optionally limited to
+     * created_at in [from, to). scans counts distinct courses the usage produced.
+     */
+    async getLlmUsageAggregates({ groupBy, from, to } = {}) {
+        const groupExpression = USAGE_GROUPS[groupBy] || null;
+        const conditions = [];
+        const params = [];
+        if (from) {
+            conditions.push('created_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('created_at < ?');
+            params.push(to);
+        }
+
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT
+                    ${groupExpression ? `${groupExpression} AS group_key,` : ''}
+                    COUNT(*) AS calls,
+                    COUNT(DISTINCT course_id) AS scans,
+                    COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+                    COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+                    COALESCE(SUM(total_tokens), 0) AS total_tokens,
+                    COALESCE(SUM(cost_usd), 0) AS cost_usd,
+                    AVG(latency_ms) AS avg_latency_ms
+                FROM llm_usage
+                ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                ${groupExpression ? `GROUP BY ${groupExpression} ORDER BY cost_usd DESC` : ''}
+            `;
+            this.db.all(sql, params, (err, rows) => {
+                if (err) {
+                    console.error('❌ Failed to aggregate LLM usage:', err.message);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Total tokens recorded for userId at or after since ("YYYY-MM-DD HH:MM:SS")
+    async getTokenUsageSince(userId, since) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT COALESCE(SUM(total_tokens), 0) AS total FROM llm_usage
+                WHERE user_id = ? AND created_at >= ?
+            `;
+            this.db.get(sql, [userId, since], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to get LLM usage:', err.message);
+                    reject(err);
+                } else {
+                    resolve(Number(row.total));
+                }
+            });
+        });
+    }
+
+    async createCourseTemplate(template) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO course_templates (
+                    owner_user_id, source_course_id, template_key, course_code, term, institution,
+                    course_name, professor_name, professor_email, meeting_days, office_hours, syllabus_text
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+
+            this.db.run(sql, [
+                template.owner_user_id,
+                template.source_course_id,
+                template.template_key,
+                template.course_code,
+                template.term,
+                template.institution,
+                template.course_name,
+                template.professor_name,
+                template.professor_email,
+                template.meeting_days,
+                template.office_hours,
+                template.syllabus_text
+            ], function(err) {
+                if (err) {
+                    console.error('❌ Failed to create course template:', err.message);
+                    reject(err);
+                } else {
+                    console.log(`✅ Course template created with ID: ${this.lastID}`);
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    async getCourseTemplateById(templateId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT course_templates.*,
+                    (SELECT COUNT(*) FROM courses WHERE courses.template_id = course_templates.id) AS subscriber_count
+                FROM course_templates WHERE id = ?
+            `;
+            this.db.get(sql, [templateId], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to get course template:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    async getCourseTemplateByKey(templateKey) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM course_templates WHERE template_key = ?`;
+            this.db.get(sql, [templateKey], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to get course template:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    async getCourseTemplateBySourceCourse(courseId) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM course_templates WHERE source_course_id = ?`;
+            this.db.get(sql, [courseId], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to get course template:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    // keyPattern is a LIKE pattern over template_key, built by course-templates.js
+    async searchCourseTemplates(keyPattern, { limit, offset = 0 } = {}) {
+        return new Promise((resolve, reject) => {
+            const pagination = limit ? ` LIMIT ${Number(limit)} OFFSET ${Number(offset)}` : '';
+            const sql = `
+                SELECT course_templates.*,
+                    (SELECT COUNT(*) FROM courses WHERE courses.template_id = course_templates.id) AS subscriber_count
+                FROM course_templates
+                WHERE template_key LIKE ? ESCAPE '!'
+                ORDER BY course_code ASC, term ASC, id ASC${pagination}
+            `;
+            this.db.all(sql, [keyPattern], (err, rows) => {
+                if (err) {
+                    console.error('❌ Failed to search course templates:', err.message);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async countCourseTemplates(keyPattern) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT COUNT(*) AS count FROM course_templates WHERE template_key LIKE ? ESCAPE '!'`;
+            this.db.get(sql, [keyPattern], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to count course templates:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+    }
+
+    async updateCourseTemplate(templateId, fields) {
+        const columns = Object.keys(fields).filter(column => TEMPLATE_COLUMNS.includes(column));
+        if (columns.length === 0) return false;
+
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE course_templates SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `;
+
+            this.db.run(sql, [...columns.map(column => fields[column]), templateId], function(err) {
+                if (err) {
+                    console.error('❌ Failed to update course template:', err.message);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async deleteCourseTemplate(templateId) {
+        return new Promise((resolve, reject) => {
+            // Template assignments cascade; subscribers' courses and assignments are detached (SET NULL)
+            const sql = `DELETE FROM course_templates WHERE id = ?`;
+            this.db.run(sql, [templateId], function(err) {
+                if (err) {
+                    console.error('❌ Failed to delete course template:', err.message);
+                    reject(err);
+                } else {
+                    console.log(`🗑️ Course template ${templateId} deleted`);
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async getTemplateAssignments(templateId) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT * FROM template_assignments WHERE template_id = ?
+                ORDER BY due_date ASC, id ASC
+            `;
+            this.db.all(sql, [templateId], (err, rows) => {
+                if (err) {
+                    console.error('❌ Failed to get template assignments:', err.message);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async createTemplateAssignment(templateId, assignmentData) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO template_assignments (template_id, source_assignment_id, title, due_date, due_time, type, description)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `;
+
+            this.db.run(sql, [
+                templateId,
+                assignmentData.source_assignment_id || null,
+                assignmentData.title,
+                assignmentData.due_date,
+                assignmentData.due_time,
+                assignmentData.type,
+                assignmentData.description
+            ], function(err) {
+                if (err) {
+                    console.error('❌ Failed to create template assignment:', err.message);
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    async updateTemplateAssignment(templateAssignmentId, fields) {
+        const columns = Object.keys(fields).filter(column => TEMPLATE_ASSIGNMENT_COLUMNS.includes(column));
+        if (columns.length === 0) return false;
+
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE template_assignments SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `;
+
+            this.db.run(sql, [...columns.map(column => fields[column]), templateAssignmentId], function(err) {
+                if (err) {
+                    console.error('❌ Failed to update template assignment:', err.message);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async deleteTemplateAssignment(templateAssignmentId) {
+        return new Promise((resolve, reject) => {
+            const sql = `DELETE FROM template_assignments WHERE id = ?`;
+            this.db.run(sql, [templateAssignmentId], function(err) {
+                if (err) {
+                    console.error('❌ Failed to delete template assignment:', err.message);
+                    reject(err);
+                } else {
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    // Subscribers' copies of a template
+    async getCoursesByTemplate(templateId) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM courses WHERE template_id = ?`;
+            this.db.all(sql, [templateId], (err, rows) => {
+                if (err) {
+                    console.error('❌ Failed to get template subscribers:', err.message);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async getCourseByTemplateAndUser(templateId, userId) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM courses WHERE template_id = ? AND user_id = ?`;
+            this.db.get(sql, [templateId, userId], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to get subscribed course:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    async getDocumentCache(contentHash) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM document_cache WHERE content_hash = ?`;
+            this.db.get(sql, [contentHash], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to get cached document:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row || null);
+                }
+            });
+        });
+    }
+
+    // Stores (or replaces, after a forced re-analysis) the extraction for a document
+    async saveDocumentCache(contentHash, analysisPath, resultData) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO document_cache (content_hash, analysis_path, result_data)
+                VALUES (?, ?, ?)
+                ON CONFLICT(content_hash) DO UPDATE SET
+                    analysis_path = excluded.analysis_path,
+                    result_data = excluded.result_data,
+                    created_at = CURRENT_TIMESTAMP
+            `;
+            this.db.run(sql, [contentHash, analysisPath, JSON.stringify(resultData)], (err) => {
+                if (err) {
+                    console.error('❌ Failed to cache document:', err.message);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async touchDocumentCache(contentHash) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                UPDATE document_cache SET hit_count = hit_count + 1, last_used_at = CURRENT_TIMESTAMP
+                WHERE content_hash = ?
+            `;
+            this.db.run(sql, [contentHash], (err) => {
+                if (err) {
+                    console.error('❌ Failed to update cached document:', err.message);
+                    reject(err);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    async createWebhook(userId, url, secret) {
+        return new Promise((resolve, reject) => {
+            const sql = `INSERT INTO webhooks (user_id, url, secret) VALUES (?, ?, ?)`;
+            this.db.run(sql, [userId, url, secret], function(err) {
+                if (err) {
+                    console.error('❌ Failed to create webhook:', err.message);
+                    reject(err);
+                } else {
+                    console.log(`✅ Webhook ${this.lastID} registered for user ${userId}`);
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    async getWebhooksByUser(userId) {
+        return new Promise((resolve, reject) => {
+            const sql = `SELECT * FROM webhooks WHERE user_id = ? ORDER BY id ASC`;
+            this.db.all(sql, [userId], (err, rows) => {
+                if (err) {
+                    console.error('❌ Failed to get webhooks:', err.message);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    // Resolves to false if userId has no webhook with this id
+    async deleteWebhook(webhookId, userId) {
+        return new Promise((resolve, reject) => {
+            const sql = `DELETE FROM webhooks WHERE id = ? AND user_id = ?`;
+            this.db.run(sql, [webhookId, userId], function(err) {
+                if (err) {
+                    console.error('❌ Failed to delete webhook:', err.message);
+                    reject(err);
+                } else {
+                    if (this.changes > 0) {
+                        console.log(`🗑️ Webhook ${webhookId} deleted`);
+                    }
+                    resolve(this.changes > 0);
+                }
+            });
+        });
+    }
+
+    async createWebhookDelivery({ user_id, job_id, webhook_id = null, event, url, secret, payload }) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                INSERT INTO webhook_deliveries (user_id, job_id, webhook_id, event, url, secret, payload)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `;
+            this.db.run(sql, [user_id, job_id, webhook_id, event, url, secret, JSON.stringify(payload)], function(err) {
+                if (err) {
+                    console.error('❌ Failed to create webhook delivery:', err.message);
+                    reject(err);
+                } else {
+                    resolve(this.lastID);
+                }
+            });
+        });
+    }
+
+    /**
+     * Claims up to limit pending deliveries that are due and counts the attempt. A claimed
+     * delivery isn't due again for leaseSeconds, so a sender that dies mid-delivery only
+     * delays it. Resolves to the claimed delivery rows.
+     */
+    async claimWebhookDeliveries({ limit = 10, leaseSeconds }) {
+        try {
+            const rows = await all(this.db, `
+                UPDATE webhook_deliveries SET
+                    attempts = attempts + 1,
+                    next_attempt_at = datetime('now', ?)
+                WHERE id IN (
+                    SELECT id FROM webhook_deliveries
+                    WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+                    ORDER BY next_attempt_at ASC, id ASC
+                    LIMIT ?
+                )
+                RETURNING *
+            `, [`${Number(leaseSeconds)} seconds`, limit]);
+
+            return rows.sort((a, b) => a.id - b.id);
+        } catch (error) {
+            console.error('❌ Failed to claim webhook deliveries:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Records the outcome of a delivery attempt. status is 'delivered', 'failed' (out of
+     * attempts) or 'pending' with retryInSeconds until the next attempt.
+     */
+    async recordWebhookAttempt(deliveryId, { status, responseStatus = null, error = null, retryInSeconds = 0 }) {
+        try {
+            await run(this.db, `
+                UPDATE webhook_deliveries SET
+                    status = ?,
+                    response_status = ?,
+                    last_error = ?,
+                    next_attempt_at = datetime('now', ?),
+                    delivered_at = ${status === 'delivered' ? 'CURRENT_TIMESTAMP' : 'NULL'}
+                WHERE id = ?
+            `, [status, responseStatus, error, `${Number(retryInSeconds)} seconds`, deliveryId]);
+        } catch (dbError) {
+            console.error('❌ Failed to record webhook attempt:', dbError.message);
+            throw dbError;
+        }
+    }
+
+    // Delivery log for a user, newest first, optionally for one job
+    async getWebhookDeliveries(userId, { jobId = null, limit, offset = 0 } = {}) {
+        return new Promise((resolve, reject) => {
+            const pagination = limit ? ` LIMIT ${Number(limit)} OFFSET ${Number(offset)}` : '';
+            const sql = `
+                SELECT * FROM webhook_deliveries
+                WHERE user_id = ?${jobId ? ' AND job_id = ?' : ''}
+                ORDER BY id DESC${pagination}
+            `;
+            this.db.all(sql, [userId, ...(jobId ? [jobId] : [])], (err, rows) => {
+                if (err) {
+                    console.error('❌ Failed to get webhook deliveries:', err.message);
+                    reject(err);
+                } else {
+                    resolve(rows);
+                }
+            });
+        });
+    }
+
+    async countWebhookDeliveries(userId, { jobId = null } = {}) {
+        return new Promise((resolve, reject) => {
+            const sql = `
+                SELECT COUNT(*) AS count FROM webhook_deliveries
+                WHERE user_id = ?${jobId ? ' AND job_id = ?' : ''}
+            `;
+            this.db.get(sql, [userId, ...(jobId ? [jobId] : [])], (err, row) => {
+                if (err) {
+                    console.error('❌ Failed to count webhook deliveries:', err.message);
+                    reject(err);
+                } else {
+                    resolve(row.count);
+                }
+            });
+        });
+    }
+
+    async close() {
+        if (this.transactionDb) {
+            await this.transactionQueue;
+            await new Promise(resolve => this.transactionDb.close(() => resolve()));
+            this.transactionDb = null;
+        }
+
         return new Promise((resolve) => {
             if (this.db) {
                 this.db.close((err) => {
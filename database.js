@@ -1,4 +1,5 @@
 const mysql = require('mysql2/promise');
+const { runMigrations } = require('./migrations');
 require('dotenv').config();
 
 const dbConfig = {
@@ -7,15 +8,38 @@ const dbConfig = {
     user: process.env.DB_USER,
     password: process.env.DB_PASSWORD,
     database: process.env.DB_NAME,
-    ssl: {
+    // DB_SSL=false for local servers without TLS, such as the integration test container
+    ssl: process.env.DB_SSL === 'false' ? undefined : {
         rejectUnauthorized: false
     },
+    dateStrings: true,
     connectTimeout: 20000,
     acquireTimeout: 20000,
     timeout: 20000,
     reconnect: true
 };
 
+// Named lock (GET_LOCK) held while migrations run
+const MIGRATION_LOCK = 'syllabus_scanner_migrations';
+
+// Columns that updateCourse/updateAssignment are allowed to write
+const COURSE_COLUMNS = ['course_name', 'professor_name', 'professor_email', 'meeting_days', 'office_hours', 'syllabus_text'];
+const ASSIGNMENT_COLUMNS = ['title', 'due_date', 'due_time', 'type', 'description', 'completed'];
+
+// Columns copied from a published course to its template, and from template assignments
+// to subscribers' assignments (completion state is never copied)
+const TEMPLATE_COLUMNS = COURSE_COLUMNS;
+const TEMPLATE_ASSIGNMENT_COLUMNS = ['title', 'due_date', 'due_time', 'type', 'description'];
+
+// Columns getLlmUsageAggregates can group by
+const USAGE_GROUPS = {
+    path: 'analysis_path',
+    model: 'model',
+    task: 'task',
+    user: 'user_id',
+    day: 'DATE(created_at)'
+};
+
 class Database {
     constructor() {
         this.pool = null;
@@ -38,7 +62,7 @@ class Database {
             connection.release();
 
             console.log('✅ Connected to AWS RDS MySQL database with connection pool');
-            await this.createTables();
+            await this.runMigrations();
             return this.pool;
         } catch (error) {
             console.error('❌ Database connection failed:', error.message);
@@ -53,82 +77,56 @@ class Database {
         return await this.pool.getConnection();
     }
 
-    async createTables() {
+    // Schema changes live in migrations.js. A named lock stops the server and the
+    // worker from migrating the same database at the same time.
+    async runMigrations() {
+        const connection = await this.pool.getConnection();
         try {
-            await this.pool.execute(`
-                CREATE TABLE IF NOT EXISTS courses (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    user_id VARCHAR(255),
-                    course_name VARCHAR(255),
-                    professor_name VARCHAR(255),
-                    professor_email VARCHAR(255),
-                    meeting_days VARCHAR(255),
-                    office_hours TEXT,
-                    syllabus_text LONGTEXT,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                    INDEX idx_user_id (user_id)
-                )
-            `);
-
-            await this.pool.execute(`
-                CREATE TABLE IF NOT EXISTS assignments (
-                    id INT AUTO_INCREMENT PRIMARY KEY,
-                    course_id INT,
-                    title VARCHAR(500),
-                    due_date DATE,
-                    due_time TIME,
-                    type ENUM('exam', 'assignment', 'reading', 'project', 'quiz', 'other') DEFAULT 'other',
-                    description TEXT,
-                    completed BOOLEAN DEFAULT FALSE,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
-                    INDEX idx_course_id (course_id),
-                    INDEX idx_due_date (due_date)
-                )
-            `);
+            const [[lock]] = await connection.query('SELECT GET_LOCK(?, 60) AS acquired', [MIGRATION_LOCK]);
+            if (lock.acquired !== 1) {
+                throw new Error('Timed out waiting for the migration lock');
+            }
 
-            await this.pool.execute(`
-                CREATE TABLE IF NOT EXISTS jobs (
-                    id VARCHAR(36) PRIMARY KEY,
-                    user_id VARCHAR(255),
-                    status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
-                    file_name VARCHAR(255),
-                    file_path VARCHAR(500),
-                    result_data LONGTEXT,
-                    error_message TEXT,
-                    course_id INT,
-                    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-                    completed_at TIMESTAMP NULL,
-                    INDEX idx_user_id (user_id),
-                    INDEX idx_status (status),
-                    INDEX idx_created_at (created_at),
-                    FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE SET NULL
-                )
-            `);
+            await runMigrations({
+                dialect: 'mysql',
+                transactional: false,
+                run: (sql, params) => connection.query(sql, params),
+                all: async (sql, params) => (await connection.query(sql, params))[0],
+                columnExists: async (table, column) => {
+                    const [rows] = await connection.query(`
+                        SELECT COUNT(*) AS count FROM information_schema.COLUMNS
+                        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+                    `, [table, column]);
+                    return rows[0].count > 0;
+                }
+            });
 
-            console.log('✅ Database tables created/verified');
+            console.log('✅ Database schema is up to date');
         } catch (error) {
-            console.error('❌ Failed to create tables:', error.message);
+            console.error('❌ Database migration failed:', error.message);
             throw error;
+        } finally {
+            await connection.query('SELECT RELEASE_LOCK(?)', [MIGRATION_LOCK]).catch(() => {});
+            connection.release();
         }
     }
 
-    async saveCourse(courseData) {
+    // connection defaults to the pool; transaction() passes its own. mysql2 rejects
+    // undefined bind parameters, so optional fields default to null.
+    async saveCourse(courseData, connection = this.pool) {
         try {
-            const [result] = await this.connection.execute(`
-                INSERT INTO courses (user_id, course_name, professor_name, professor_email, meeting_days, office_hours, syllabus_text)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
+            const [result] = await connection.execute(`
+                INSERT INTO courses (user_id, course_name, professor_name, professor_email, meeting_days, office_hours, syllabus_text, template_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 courseData.user_id || 'anonymous',
-                courseData.course_name,
-                courseData.professor_name,
-                courseData.professor_email,
-                courseData.meeting_days,
-                courseData.office_hours,
-                courseData.syllabus_text
+                courseData.course_name ?? null,
+                courseData.professor_name ?? null,
+                courseData.professor_email ?? null,
+                courseData.meeting_days ?? null,
+                courseData.office_hours ?? null,
+                courseData.syllabus_text ?? null,
+                courseData.template_id || null
             ]);
 
             const courseId = result.insertId;
@@ -140,18 +138,20 @@ class Database {
         }
     }
 
-    async saveAssignment(courseId, assignmentData) {
+    async saveAssignment(courseId, assignmentData, connection = this.pool) {
         try {
-            const [result] = await this.connection.execute(`
-                INSERT INTO assignments (course_id, title, due_date, due_time, type, description)
-                VALUES (?, ?, ?, ?, ?, ?)
+            const [result] = await connection.execute(`
+                INSERT INTO assignments (course_id, title, due_date, due_time, type, description, completed, template_assignment_id)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             `, [
                 courseId,
-                assignmentData.title,
-                assignmentData.due_date,
-                assignmentData.due_time,
-                assignmentData.type,
-                assignmentData.description
+                assignmentData.title ?? null,
+                assignmentData.due_date ?? null,
+                assignmentData.due_time ?? null,
+                assignmentData.type || 'other',
+                assignmentData.description ?? null,
+                Boolean(assignmentData.completed),
+                assignmentData.template_assignment_id || null
             ]);
 
             console.log(`✅ Assignment saved: ${assignmentData.title}`);
@@ -162,23 +162,59 @@ class Database {
         }
     }
 
+    /**
+     * Runs work(connection) in a transaction on a dedicated pool connection, committing
+     * if it resolves and rolling back if it throws. Resolves to work's result.
+     */
+    async transaction(work) {
+        const connection = await this.pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            const result = await work(connection);
+            await connection.commit();
+            return result;
+        } catch (error) {
+            await connection.rollback().catch(rollbackError => {
+                console.error('❌ Failed to roll back transaction:', rollbackError.message);
+            });
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    // All or nothing: one failed assignment rolls back the whole batch
     async saveMultipleAssignments(courseId, assignments) {
-        const savedAssignments = [];
-        for (const assignment of assignments) {
-            try {
-                const assignmentId = await this.saveAssignment(courseId, assignment);
-                savedAssignments.push(assignmentId);
-            } catch (error) {
-                console.error(`Failed to save assignment: ${assignment.title}`, error.message);
+        return this.transaction(async connection => {
+            const assignmentIds = [];
+            for (const assignment of assignments) {
+                assignmentIds.push(await this.saveAssignment(courseId, assignment, connection));
             }
-        }
-        return savedAssignments;
+            return assignmentIds;
+        });
+    }
+
+    /**
+     * Saves a course and its assignments atomically.
+     * Resolves to { courseId, assignmentIds }.
+     */
+    async saveCourseWithAssignments(courseData, assignments = []) {
+        return this.transaction(async connection => {
+            const courseId = await this.saveCourse(courseData, connection);
+            const assignmentIds = [];
+            for (const assignment of assignments) {
+                assignmentIds.push(await this.saveAssignment(courseId, assignment, connection));
+            }
+            return { courseId, assignmentIds };
+        });
     }
 
-    async getCoursesByUser(userId) {
+    async getCoursesByUser(userId, { limit, offset = 0 } = {}) {
         try {
-            const [rows] = await this.connection.execute(`
-                SELECT * FROM courses WHERE user_id = ? ORDER BY created_at DESC
+            // LIMIT/OFFSET go through query() because mysql2 prepared statements reject numeric LIMIT params
+            const pagination = limit ? ` LIMIT ${Number(limit)} OFFSET ${Number(offset)}` : '';
+            const [rows] = await this.pool.query(`
+                SELECT * FROM courses WHERE user_id = ? ORDER BY created_at DESC, id DESC${pagination}
             `, [userId]);
             return rows;
         } catch (error) {
@@ -187,10 +223,35 @@ class Database {
         }
     }
 
-    async getAssignmentsByCourse(courseId) {
+    async countCoursesByUser(userId) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT COUNT(*) AS count FROM courses WHERE user_id = ?
+            `, [userId]);
+            return Number(rows[0].count);
+        } catch (error) {
+            console.error('❌ Failed to count courses:', error.message);
+            throw error;
+        }
+    }
+
+    async getCourseById(courseId) {
         try {
-            const [rows] = await this.connection.execute(`
-                SELECT * FROM assignments WHERE course_id = ? ORDER BY due_date ASC
+            const [rows] = await this.pool.execute(`
+                SELECT * FROM courses WHERE id = ?
+            `, [courseId]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('❌ Failed to get course:', error.message);
+            throw error;
+        }
+    }
+
+    async getAssignmentsByCourse(courseId, { limit, offset = 0 } = {}) {
+        try {
+            const pagination = limit ? ` LIMIT ${Number(limit)} OFFSET ${Number(offset)}` : '';
+            const [rows] = await this.pool.query(`
+                SELECT * FROM assignments WHERE course_id = ? ORDER BY due_date ASC, id ASC${pagination}
             `, [courseId]);
             return rows;
         } catch (error) {
@@ -199,12 +260,107 @@ class Database {
         }
     }
 
-    async createJob(jobId, userId, fileName, filePath) {
+    async countAssignmentsByCourse(courseId) {
         try {
-            await this.pool.execute(`
-                INSERT INTO jobs (id, user_id, file_name, file_path, status)
-                VALUES (?, ?, ?, ?, 'pending')
-            `, [jobId, userId || 'anonymous', fileName, filePath]);
+            const [rows] = await this.pool.execute(`
+                SELECT COUNT(*) AS count FROM assignments WHERE course_id = ?
+            `, [courseId]);
+            return Number(rows[0].count);
+        } catch (error) {
+            console.error('❌ Failed to count assignments:', error.message);
+            throw error;
+        }
+    }
+
+    async getAssignmentById(assignmentId) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT * FROM assignments WHERE id = ?
+            `, [assignmentId]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('❌ Failed to get assignment:', error.message);
+            throw error;
+        }
+    }
+
+    async updateAssignment(assignmentId, fields) {
+        const columns = Object.keys(fields).filter(column => ASSIGNMENT_COLUMNS.includes(column));
+        if (columns.length === 0) return false;
+
+        try {
+            const [result] = await this.pool.execute(`
+                UPDATE assignments SET ${columns.map(column => `${column} = ?`).join(', ')}
+                WHERE id = ?
+            `, [...columns.map(column => fields[column]), assignmentId]);
+
+            console.log(`✅ Assignment ${assignmentId} updated`);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to update assignment:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteAssignment(assignmentId) {
+        try {
+            const [result] = await this.pool.execute(`
+                DELETE FROM assignments WHERE id = ?
+            `, [assignmentId]);
+
+            console.log(`🗑️ Assignment ${assignmentId} deleted`);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to delete assignment:', error.message);
+            throw error;
+        }
+    }
+
+    async updateCourse(courseId, fields) {
+        const columns = Object.keys(fields).filter(column => COURSE_COLUMNS.includes(column));
+        if (columns.length === 0) return false;
+
+        try {
+            const [result] = await this.pool.execute(`
+                UPDATE courses SET ${columns.map(column => `${column} = ?`).join(', ')}
+                WHERE id = ?
+            `, [...columns.map(column => fields[column]), courseId]);
+
+            console.log(`✅ Course ${courseId} updated`);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to update course:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteCourse(courseId) {
+        try {
+            // Assignments are removed by the ON DELETE CASCADE foreign key
+            const [result] = await this.pool.execute(`
+                DELETE FROM courses WHERE id = ?
+            `, [courseId]);
+
+            console.log(`🗑️ Course ${courseId} deleted`);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to delete course:', error.message);
+            throw error;
+        }
+    }
+
+    async createJob(jobId, userId, fileName, filePath, {
+        bypassCache = false,
+        callbackUrl = null,
+        callbackSecret = null,
+        batchId = null,
+        batchPosition = null
+    } = {}, connection = this.pool) {
+        try {
+            await connection.execute(`
+                INSERT INTO jobs (id, user_id, file_name, file_path, status, bypass_cache, callback_url, callback_secret, batch_id, batch_position)
+                VALUES (?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?)
+            `, [jobId, userId || 'anonymous', fileName, filePath, bypassCache, callbackUrl, callbackSecret, batchId, batchPosition]);
 
             console.log(`✅ Job created with ID: ${jobId}`);
             return jobId;
@@ -214,6 +370,55 @@ class Database {
         }
     }
 
+    /**
+     * Creates a batch and one pending job per file ({ id, file_name, file_path }) in one
+     * transaction. options are createJob's and apply to every job. Resolves to batchId.
+     */
+    async createBatch(batchId, userId, files, options = {}) {
+        try {
+            return await this.transaction(async connection => {
+                await connection.execute(`
+                    INSERT INTO batches (id, user_id, file_count) VALUES (?, ?, ?)
+                `, [batchId, userId || 'anonymous', files.length]);
+
+                for (const [position, file] of files.entries()) {
+                    await this.createJob(file.id, userId, file.file_name, file.file_path, { ...options, batchId, batchPosition: position }, connection);
+                }
+
+                console.log(`✅ Batch ${batchId} created with ${files.length} jobs`);
+                return batchId;
+            });
+        } catch (error) {
+            console.error('❌ Failed to create batch:', error.message);
+            throw error;
+        }
+    }
+
+    async getBatchById(batchId) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT * FROM batches WHERE id = ?
+            `, [batchId]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('❌ Failed to get batch:', error.message);
+            throw error;
+        }
+    }
+
+    // A batch's jobs in upload order
+    async getJobsByBatch(batchId) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT * FROM jobs WHERE batch_id = ? ORDER BY batch_position ASC
+            `, [batchId]);
+            return rows;
+        } catch (error) {
+            console.error('❌ Failed to get batch jobs:', error.message);
+            throw error;
+        }
+    }
+
     async updateJobStatus(jobId, status) {
         try {
             await this.pool.execute(`
@@ -230,7 +435,7 @@ class Database {
 
     async getJobById(jobId) {
         try {
-            const [rows] = await this.connection.execute(`
+            const [rows] = await this.pool.execute(`
                 SELECT * FROM jobs WHERE id = ?
             `, [jobId]);
             return rows[0] || null;
@@ -240,37 +445,51 @@ class Database {
         }
     }
 
-    async updateJobResult(jobId, resultData, courseId = null) {
+    /**
+     * Marks a job completed. With workerId, only while that worker still holds the job's
+     * lease, so a worker whose job was reclaimed can't overwrite the new owner's result.
+     * Resolves to true if the job was updated.
+     */
+    async updateJobResult(jobId, resultData, courseId = null, { workerId = null } = {}) {
         try {
-            await this.pool.execute(`
+            const [result] = await this.pool.execute(`
                 UPDATE jobs SET
                     status = 'completed',
                     result_data = ?,
                     course_id = ?,
+                    lease_expires_at = NULL,
                     completed_at = CURRENT_TIMESTAMP,
                     updated_at = CURRENT_TIMESTAMP
-                WHERE id = ?
-            `, [JSON.stringify(resultData), courseId, jobId]);
+                WHERE id = ?${workerId ? " AND worker_id = ? AND status = 'processing'" : ''}
+            `, [JSON.stringify(resultData), courseId, jobId, ...(workerId ? [workerId] : [])]);
 
-            console.log(`✅ Job ${jobId} completed successfully`);
+            if (result.affectedRows > 0) {
+                console.log(`✅ Job ${jobId} completed successfully`);
+            }
+            return result.affectedRows > 0;
         } catch (error) {
             console.error('❌ Failed to update job result:', error.message);
             throw error;
         }
     }
 
-    async updateJobError(jobId, errorMessage) {
+    // Marks a job failed (or dead, once its retries ran out); workerId works as in updateJobResult
+    async updateJobError(jobId, errorMessage, { workerId = null, status = 'failed' } = {}) {
         try {
-            await this.pool.execute(`
+            const [result] = await this.pool.execute(`
                 UPDATE jobs SET
-                    status = 'failed',
+                    status = ?,
                     error_message = ?,
+                    lease_expires_at = NULL,
                     completed_at = CURRENT_TIMESTAMP,
                     updated_at = CURRENT_TIMESTAMP
-                WHERE id = ?
-            `, [errorMessage, jobId]);
+                WHERE id = ?${workerId ? " AND worker_id = ? AND status = 'processing'" : ''}
+            `, [status, errorMessage, jobId, ...(workerId ? [workerId] : [])]);
 
-            console.log(`❌ Job ${jobId} failed: ${errorMessage}`);
+            if (result.affectedRows > 0) {
+                console.log(`❌ Job ${jobId} ${status}: ${errorMessage}`);
+            }
+            return result.affectedRows > 0;
         } catch (error) {
             console.error('❌ Failed to update job error:', error.message);
             throw error;
@@ -279,12 +498,12 @@ class Database {
 
     async getPendingJobs(limit = 10) {
         try {
-            const [rows] = await this.connection.execute(`
+            const [rows] = await this.pool.query(`
                 SELECT * FROM jobs
                 WHERE status = 'pending'
                 ORDER BY created_at ASC
-                LIMIT ?
-            `, [limit]);
+                LIMIT ${Number(limit)}
+            `);
             return rows;
         } catch (error) {
             console.error('❌ Failed to get pending jobs:', error.message);
@@ -292,6 +511,826 @@ class Database {
         }
     }
 
+    /**
+     * Claims up to limit pending jobs that are due, oldest first, for workerId, counts the
+     * attempt and leases them for leaseSeconds. SKIP LOCKED makes concurrent workers pass over rows another worker
+     * is claiming instead of waiting for them, so no job is claimed twice.
+     * Resolves to the claimed job rows.
+     */
+    async claimJobs(workerId, { limit = 1, leaseSeconds }) {
+        try {
+            return await this.transaction(async connection => {
+                const [candidates] = await connection.query(`
+                    SELECT id FROM jobs
+                    WHERE status = 'pending'
+                      AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+                    ORDER BY created_at ASC
+                    LIMIT ${Number(limit)}
+                    FOR UPDATE SKIP LOCKED
+                `);
+                if (candidates.length === 0) return [];
+
+                const ids = candidates.map(candidate => candidate.id);
+                const placeholders = ids.map(() => '?').join(', ');
+                await connection.execute(`
+                    UPDATE jobs SET
+                        status = 'processing',
+                        worker_id = ?,
+                        attempts = attempts + 1,
+                        lease_expires_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ${Number(leaseSeconds)} SECOND),
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id IN (${placeholders})
+                `, [workerId, ...ids]);
+
+                const [rows] = await connection.execute(`
+                    SELECT * FROM jobs WHERE id IN (${placeholders}) ORDER BY created_at ASC
+                `, ids);
+                return rows;
+            });
+        } catch (error) {
+            console.error('❌ Failed to claim jobs:', error.message);
+            throw error;
+        }
+    }
+
+    // Heartbeat: extends the lease while workerId still holds the job. Resolves to false
+    // once the job has been reclaimed (or finished) by someone else.
+    async renewJobLease(jobId, workerId, leaseSeconds) {
+        try {
+            const [result] = await this.pool.execute(`
+                UPDATE jobs SET lease_expires_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ${Number(leaseSeconds)} SECOND)
+                WHERE id = ? AND worker_id = ? AND status = 'processing'
+            `, [jobId, workerId]);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to renew job lease:', error.message);
+            throw error;
+        }
+    }
+
+    // Hands a job workerId can't finish (it is shutting down) back to the queue right away
+    // instead of when its lease runs out. The interrupted attempt isn't counted.
+    async releaseJob(jobId, workerId) {
+        try {
+            const [result] = await this.pool.execute(`
+                UPDATE jobs SET
+                    status = 'pending',
+                    attempts = attempts - 1,
+                    worker_id = NULL,
+                    lease_expires_at = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND worker_id = ? AND status = 'processing'
+            `, [jobId, workerId]);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to release job:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Returns jobs stuck in processing without a live lease (their worker crashed or hung)
+     * to pending. Jobs that already used maxAttempts attempts are marked dead instead, so a
+     * file that crashes every worker doesn't loop forever. Resolves to { requeued, deadJobIds }
+     * (the number of jobs put back in the queue and the ids of the ones marked dead, which
+     * still need their notifications).
+     */
+    async reclaimExpiredJobs({ maxAttempts = null } = {}) {
+        const expired = `status = 'processing'
+                  AND (lease_expires_at IS NULL OR lease_expires_at < CURRENT_TIMESTAMP)`;
+
+        try {
+            let deadJobIds = [];
+            if (maxAttempts) {
+                deadJobIds = await this.transaction(async connection => {
+                    const [candidates] = await connection.query(`
+                        SELECT id FROM jobs
+                        WHERE ${expired} AND attempts >= ?
+                        FOR UPDATE SKIP LOCKED
+                    `, [maxAttempts]);
+                    if (candidates.length === 0) return [];
+
+                    const ids = candidates.map(candidate => candidate.id);
+                    await connection.execute(`
+                        UPDATE jobs SET
+                            status = 'dead',
+                            error_message = 'Worker stopped responding while processing the job',
+                            lease_expires_at = NULL,
+                            completed_at = CURRENT_TIMESTAMP,
+                            updated_at = CURRENT_TIMESTAMP
+                        WHERE id IN (${ids.map(() => '?').join(', ')})
+                    `, ids);
+                    return ids;
+                });
+            }
+
+            // Jobs whose lease ran out after the dead pass must not get another attempt
+            const [result] = await this.pool.execute(`
+                UPDATE jobs SET
+                    status = 'pending',
+                    worker_id = NULL,
+                    lease_expires_at = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE ${expired}${maxAttempts ? ' AND attempts < ?' : ''}
+            `, maxAttempts ? [maxAttempts] : []);
+
+            if (deadJobIds.length + result.affectedRows > 0) {
+                console.log(`✅ Reclaimed ${result.affectedRows} jobs with expired leases (${deadJobIds.length} out of attempts)`);
+            }
+            return { requeued: result.affectedRows, deadJobIds };
+        } catch (error) {
+            console.error('❌ Failed to reclaim expired jobs:', error.message);
+            throw error;
+        }
+    }
+
+    // Puts a failed attempt back in the queue, due in delaySeconds. workerId works as in
+    // updateJobResult. Resolves to true if the job was rescheduled.
+    async scheduleJobRetry(jobId, errorMessage, delaySeconds, { workerId = null } = {}) {
+        try {
+            const [result] = await this.pool.execute(`
+                UPDATE jobs SET
+                    status = 'pending',
+                    error_message = ?,
+                    worker_id = NULL,
+                    lease_expires_at = NULL,
+                    next_attempt_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ${Number(delaySeconds)} SECOND),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?${workerId ? " AND worker_id = ? AND status = 'processing'" : ''}
+            `, [errorMessage, jobId, ...(workerId ? [workerId] : [])]);
+
+            if (result.affectedRows > 0) {
+                console.log(`✅ Job ${jobId} will be retried in ${delaySeconds}s: ${errorMessage}`);
+            }
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to schedule job retry:', error.message);
+            throw error;
+        }
+    }
+
+    // Manual retry of a failed or dead job with a fresh set of attempts.
+    // Resolves to false if the job isn't failed or dead.
+    async requeueJob(jobId) {
+        try {
+            const [result] = await this.pool.execute(`
+                UPDATE jobs SET
+                    status = 'pending',
+                    attempts = 0,
+                    next_attempt_at = NULL,
+                    worker_id = NULL,
+                    error_message = NULL,
+                    completed_at = NULL,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND status IN ('failed', 'dead')
+            `, [jobId]);
+
+            if (result.affectedRows > 0) {
+                console.log(`✅ Job ${jobId} requeued`);
+            }
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to requeue job:', error.message);
+            throw error;
+        }
+    }
+
+    // Appends a progress event to a job; detail is stored as JSON
+    async addJobEvent(jobId, stage, detail = null) {
+        try {
+            const [result] = await this.pool.execute(`
+                INSERT INTO job_events (job_id, stage, detail) VALUES (?, ?, ?)
+            `, [jobId, stage, detail === null ? null : JSON.stringify(detail)]);
+            return result.insertId;
+        } catch (error) {
+            console.error('❌ Failed to add job event:', error.message);
+            throw error;
+        }
+    }
+
+    // A job's events with an id above afterId, oldest first
+    async getJobEvents(jobId, { afterId = 0 } = {}) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT * FROM job_events
+                WHERE job_id = ? AND id > ?
+                ORDER BY id ASC
+            `, [jobId, afterId]);
+            return rows;
+        } catch (error) {
+            console.error('❌ Failed to get job events:', error.message);
+            throw error;
+        }
+    }
+
+    async createUser({ email, name = null }) {
+        try {
+            const [result] = await this.pool.execute(`
+                INSERT INTO users (email, name) VALUES (?, ?)
+            `, [email, name]);
+
+            console.log(`✅ User created with ID: ${result.insertId}`);
+            return result.insertId;
+        } catch (error) {
+            console.error('❌ Failed to create user:', error.message);
+            throw error;
+        }
+    }
+
+    async getUserById(userId) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT * FROM users WHERE id = ?
+            `, [userId]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('❌ Failed to get user:', error.message);
+            throw error;
+        }
+    }
+
+    async getUserByEmail(email) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT * FROM users WHERE email = ?
+            `, [email]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('❌ Failed to get user:', error.message);
+            throw error;
+        }
+    }
+
+    async createApiToken(userId, tokenHash, name = null) {
+        try {
+            const [result] = await this.pool.execute(`
+                INSERT INTO api_tokens (user_id, token_hash, name) VALUES (?, ?, ?)
+            `, [userId, tokenHash, name]);
+
+            console.log(`✅ API token ${result.insertId} issued for user ${userId}`);
+            return result.insertId;
+        } catch (error) {
+            console.error('❌ Failed to create API token:', error.message);
+            throw error;
+        }
+    }
+
+    // Resolves to the token's user (with token_id) or null if the token is unknown or revoked
+    async getUserByTokenHash(tokenHash) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT users.*, api_tokens.id AS token_id
+                FROM api_tokens
+                JOIN users ON users.id = api_tokens.user_id
+                WHERE api_tokens.token_hash = ? AND api_tokens.revoked_at IS NULL
+            `, [tokenHash]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('❌ Failed to look up API token:', error.message);
+            throw error;
+        }
+    }
+
+    async touchApiToken(tokenId) {
+        try {
+            await this.pool.execute(`
+                UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?
+            `, [tokenId]);
+        } catch (error) {
+            console.error('❌ Failed to update API token:', error.message);
+            throw error;
+        }
+    }
+
+    async getApiTokensByUser(userId) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT id, name, last_used_at, revoked_at, created_at
+                FROM api_tokens WHERE user_id = ?
+                ORDER BY created_at DESC, id DESC
+            `, [userId]);
+            return rows;
+        } catch (error) {
+            console.error('❌ Failed to get API tokens:', error.message);
+            throw error;
+        }
+    }
+
+    async revokeApiToken(tokenId, userId) {
+        try {
+            const [result] = await this.pool.execute(`
+                UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND user_id = ? AND revoked_at IS NULL
+            `, [tokenId, userId]);
+
+            if (result.affectedRows > 0) {
+                console.log(`🗑️ API token ${tokenId} revoked`);
+            }
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to revoke API token:', error.message);
+            throw error;
+        }
+    }
+
+    async recordLlmUsage(entry) {
+        try {
+            const [result] = await this.pool.execute(`
+                INSERT INTO llm_usage (
+                    user_id, job_id, course_id, analysis_path, task, model,
+                    prompt_tokens, completion_tokens, total_tokens, latency_ms, cost_usd
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                entry.user_id || null,
+                entry.job_id || null,
+                entry.course_id || null,
+                entry.analysis_path || null,
+                entry.task || null,
+                entry.model || null,
+                entry.prompt_tokens || 0,
+                entry.completion_tokens || 0,
+                entry.total_tokens || 0,
+                entry.latency_ms ?? null,
+                entry.cost_usd ?? null
+            ]);
+            return result.insertId;
+        } catch (error) {
+            console.error('❌ Failed to record LLM usage:', error.message);
+            throw error;
+        }
+    }
+
+    // Attaches usage rows recorded during a scan to the course it created
+    async linkLlmUsageToCourse(usageIds, courseId) {
+        if (usageIds.length === 0) return;
+
+        try {
+            await this.pool.query(`
+                UPDATE llm_usage SET course_id = ? WHERE id IN (?)
+            `, [courseId, usageIds]);
+        } catch (error) {
+            console.error('❌ Failed to link LLM usage:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Usage totals grouped by groupBy (a key of USAGE_GROUPS), optionally limited to
+     * created_at in [from, to). scans counts distinct courses the usage produced.
+     */
+    async getLlmUsageAggregates({ groupBy, from, to } = {}) {
+        const groupExpression = USAGE_GROUPS[groupBy] || null;
+        const conditions = [];
+        const params = [];
+        if (from) {
+            conditions.push('created_at >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('created_at < ?');
+            params.push(to);
+        }
+
+        try {
+            const [rows] = await this.pool.query(`
+                SELECT
+                    ${groupExpression ? `${groupExpression} AS group_key,` : ''}
+                    COUNT(*) AS calls,
+                    COUNT(DISTINCT course_id) AS scans,
+                    COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+                    COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+                    COALESCE(SUM(total_tokens), 0) AS total_tokens,
+                    COALESCE(SUM(cost_usd), 0) AS cost_usd,
+                    AVG(latency_ms) AS avg_latency_ms
+                FROM llm_usage
+                ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+                ${groupExpression ? `GROUP BY ${groupExpression} ORDER BY cost_usd DESC` : ''}
+            `, params);
+            return rows;
+        } catch (error) {
+            console.error('❌ Failed to aggregate LLM usage:', error.message);
+            throw error;
+        }
+    }
+
+    // Total tokens recorded for userId at or after since ("YYYY-MM-DD HH:MM:SS")
+    async getTokenUsageSince(userId, since) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT COALESCE(SUM(total_tokens), 0) AS total FROM llm_usage
+                WHERE user_id = ? AND created_at >= ?
+            `, [userId, since]);
+            return Number(rows[0].total);
+        } catch (error) {
+            console.error('❌ Failed to get LLM usage:', error.message);
+            throw error;
+        }
+    }
+
+    async createCourseTemplate(template) {
+        try {
+            const [result] = await this.pool.execute(`
+                INSERT INTO course_templates (
+                    owner_user_id, source_course_id, template_key, course_code, term, institution,
+                    course_name, professor_name, professor_email, meeting_days, office_hours, syllabus_text
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                template.owner_user_id,
+                template.source_course_id,
+                template.template_key,
+                template.course_code,
+                template.term,
+                template.institution,
+                template.course_name,
+                template.professor_name,
+                template.professor_email,
+                template.meeting_days,
+                template.office_hours,
+                template.syllabus_text
+            ]);
+
+            console.log(`✅ Course template created with ID: ${result.insertId}`);
+            return result.insertId;
+        } catch (error) {
+            console.error('❌ Failed to create course template:', error.message);
+            throw error;
+        }
+    }
+
+    async getCourseTemplateById(templateId) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT course_templates.*,
+                    (SELECT COUNT(*) FROM courses WHERE courses.template_id = course_templates.id) AS subscriber_count
+                FROM course_templates WHERE id = ?
+            `, [templateId]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('❌ Failed to get course template:', error.message);
+            throw error;
+        }
+    }
+
+    async getCourseTemplateByKey(templateKey) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT * FROM course_templates WHERE template_key = ?
+            `, [templateKey]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('❌ Failed to get course template:', error.message);
+            throw error;
+        }
+    }
+
+    async getCourseTemplateBySourceCourse(courseId) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT * FROM course_templates WHERE source_course_id = ?
+            `, [courseId]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('❌ Failed to get course template:', error.message);
+            throw error;
+        }
+    }
+
+    // keyPattern is a LIKE pattern over template_key, built by course-templates.js
+    async searchCourseTemplates(keyPattern, { limit, offset = 0 } = {}) {
+        const pagination = limit ? ` LIMIT ${Number(limit)} OFFSET ${Number(offset)}` : '';
+
+        try {
+            const [rows] = await this.pool.query(`
+                SELECT course_templates.*,
+                    (SELECT COUNT(*) FROM courses WHERE courses.template_id = course_templates.id) AS subscriber_count
+                FROM course_templates
+                WHERE template_key LIKE ? ESCAPE '!'
+                ORDER BY course_code ASC, term ASC, id ASC${pagination}
+            `, [keyPattern]);
+            return rows;
+        } catch (error) {
+            console.error('❌ Failed to search course templates:', error.message);
+            throw error;
+        }
+    }
+
+    async countCourseTemplates(keyPattern) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT COUNT(*) AS count FROM course_templates WHERE template_key LIKE ? ESCAPE '!'
+            `, [keyPattern]);
+            return rows[0].count;
+        } catch (error) {
+            console.error('❌ Failed to count course templates:', error.message);
+            throw error;
+        }
+    }
+
+    async updateCourseTemplate(templateId, fields) {
+        const columns = Object.keys(fields).filter(column => TEMPLATE_COLUMNS.includes(column));
+        if (columns.length === 0) return false;
+
+        try {
+            const [result] = await this.pool.execute(`
+                UPDATE course_templates SET ${columns.map(column => `${column} = ?`).join(', ')}
+                WHERE id = ?
+            `, [...columns.map(column => fields[column]), templateId]);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to update course template:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteCourseTemplate(templateId) {
+        try {
+            // Template assignments cascade; subscribers' courses and assignments are detached (SET NULL)
+            const [result] = await this.pool.execute(`
+                DELETE FROM course_templates WHERE id = ?
+            `, [templateId]);
+
+            console.log(`🗑️ Course template ${templateId} deleted`);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to delete course template:', error.message);
+            throw error;
+        }
+    }
+
+    async getTemplateAssignments(templateId) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT * FROM template_assignments WHERE template_id = ?
+                ORDER BY due_date ASC, id ASC
+            `, [templateId]);
+            return rows;
+        } catch (error) {
+            console.error('❌ Failed to get template assignments:', error.message);
+            throw error;
+        }
+    }
+
+    async createTemplateAssignment(templateId, assignmentData) {
+        try {
+            const [result] = await this.pool.execute(`
+                INSERT INTO template_assignments (template_id, source_assignment_id, title, due_date, due_time, type, description)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                templateId,
+                assignmentData.source_assignment_id || null,
+                assignmentData.title,
+                assignmentData.due_date,
+                assignmentData.due_time,
+                assignmentData.type,
+                assignmentData.description
+            ]);
+            return result.insertId;
+        } catch (error) {
+            console.error('❌ Failed to create template assignment:', error.message);
+            throw error;
+        }
+    }
+
+    async updateTemplateAssignment(templateAssignmentId, fields) {
+        const columns = Object.keys(fields).filter(column => TEMPLATE_ASSIGNMENT_COLUMNS.includes(column));
+        if (columns.length === 0) return false;
+
+        try {
+            const [result] = await this.pool.execute(`
+                UPDATE template_assignments SET ${columns.map(column => `${column} = ?`).join(', ')}
+                WHERE id = ?
+            `, [...columns.map(column => fields[column]), templateAssignmentId]);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to update template assignment:', error.message);
+            throw error;
+        }
+    }
+
+    async deleteTemplateAssignment(templateAssignmentId) {
+        try {
+            const [result] = await this.pool.execute(`
+                DELETE FROM template_assignments WHERE id = ?
+            `, [templateAssignmentId]);
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to delete template assignment:', error.message);
+            throw error;
+        }
+    }
+
+    // Subscribers' copies of a template
+    async getCoursesByTemplate(templateId) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT * FROM courses WHERE template_id = ?
+            `, [templateId]);
+            return rows;
+        } catch (error) {
+            console.error('❌ Failed to get template subscribers:', error.message);
+            throw error;
+        }
+    }
+
+    async getCourseByTemplateAndUser(templateId, userId) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT * FROM courses WHERE template_id = ? AND user_id = ?
+            `, [templateId, userId]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('❌ Failed to get subscribed course:', error.message);
+            throw error;
+        }
+    }
+
+    async getDocumentCache(contentHash) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT * FROM document_cache WHERE content_hash = ?
+            `, [contentHash]);
+            return rows[0] || null;
+        } catch (error) {
+            console.error('❌ Failed to get cached document:', error.message);
+            throw error;
+        }
+    }
+
+    // Stores (or replaces, after a forced re-analysis) the extraction for a document
+    async saveDocumentCache(contentHash, analysisPath, resultData) {
+        try {
+            await this.pool.execute(`
+                INSERT INTO document_cache (content_hash, analysis_path, result_data)
+                VALUES (?, ?, ?)
+                ON DUPLICATE KEY UPDATE
+                    analysis_path = VALUES(analysis_path),
+                    result_data = VALUES(result_data),
+                    created_at = CURRENT_TIMESTAMP
+            `, [contentHash, analysisPath, JSON.stringify(resultData)]);
+        } catch (error) {
+            console.error('❌ Failed to cache document:', error.message);
+            throw error;
+        }
+    }
+
+    async touchDocumentCache(contentHash) {
+        try {
+            await this.pool.execute(`
+                UPDATE document_cache SET hit_count = hit_count + 1, last_used_at = CURRENT_TIMESTAMP
+                WHERE content_hash = ?
+            `, [contentHash]);
+        } catch (error) {
+            console.error('❌ Failed to update cached document:', error.message);
+            throw error;
+        }
+    }
+
+    async createWebhook(userId, url, secret) {
+        try {
+            const [result] = await this.pool.execute(`
+                INSERT INTO webhooks (user_id, url, secret) VALUES (?, ?, ?)
+            `, [userId, url, secret]);
+
+            console.log(`✅ Webhook ${result.insertId} registered for user ${userId}`);
+            return result.insertId;
+        } catch (error) {
+            console.error('❌ Failed to create webhook:', error.message);
+            throw error;
+        }
+    }
+
+    async getWebhooksByUser(userId) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT * FROM webhooks WHERE user_id = ? ORDER BY id ASC
+            `, [userId]);
+            return rows;
+        } catch (error) {
+            console.error('❌ Failed to get webhooks:', error.message);
+            throw error;
+        }
+    }
+
+    // Resolves to false if userId has no webhook with this id
+    async deleteWebhook(webhookId, userId) {
+        try {
+            const [result] = await this.pool.execute(`
+                DELETE FROM webhooks WHERE id = ? AND user_id = ?
+            `, [webhookId, userId]);
+
+            if (result.affectedRows > 0) {
+                console.log(`🗑️ Webhook ${webhookId} deleted`);
+            }
+            return result.affectedRows > 0;
+        } catch (error) {
+            console.error('❌ Failed to delete webhook:', error.message);
+            throw error;
+        }
+    }
+
+    async createWebhookDelivery({ user_id, job_id, webhook_id = null, event, url, secret, payload }) {
+        try {
+            const [result] = await this.pool.execute(`
+                INSERT INTO webhook_deliveries (user_id, job_id, webhook_id, event, url, secret, payload)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [user_id, job_id, webhook_id, event, url, secret, JSON.stringify(payload)]);
+            return result.insertId;
+        } catch (error) {
+            console.error('❌ Failed to create webhook delivery:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Claims up to limit pending deliveries that are due and counts the attempt. A claimed
+     * delivery isn't due again for leaseSeconds, so a sender that dies mid-delivery only
+     * delays it. Resolves to the claimed delivery rows.
+     */
+    async claimWebhookDeliveries({ limit = 10, leaseSeconds }) {
+        try {
+            return await this.transaction(async connection => {
+                const [candidates] = await connection.query(`
+                    SELECT id FROM webhook_deliveries
+                    WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+                    ORDER BY next_attempt_at ASC, id ASC
+                    LIMIT ${Number(limit)}
+                    FOR UPDATE SKIP LOCKED
+                `);
+                if (candidates.length === 0) return [];
+
+                const ids = candidates.map(candidate => candidate.id);
+                const placeholders = ids.map(() => '?').join(', ');
+                await connection.execute(`
+                    UPDATE webhook_deliveries SET
+                        attempts = attempts + 1,
+                        next_attempt_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ${Number(leaseSeconds)} SECOND)
+                    WHERE id IN (${placeholders})
+                `, ids);
+
+                const [rows] = await connection.execute(`
+                    SELECT * FROM webhook_deliveries WHERE id IN (${placeholders}) ORDER BY id ASC
+                `, ids);
+                return rows;
+            });
+        } catch (error) {
+            console.error('❌ Failed to claim webhook deliveries:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Records the outcome of a delivery attempt. status is 'delivered', 'failed' (out of
+     * attempts) or 'pending' with retryInSeconds until the next attempt.
+     */
+    async recordWebhookAttempt(deliveryId, { status, responseStatus = null, error = null, retryInSeconds = 0 }) {
+        try {
+            await this.pool.execute(`
+                UPDATE webhook_deliveries SET
+                    status = ?,
+                    response_status = ?,
+                    last_error = ?,
+                    next_attempt_at = DATE_ADD(CURRENT_TIMESTAMP, INTERVAL ${Number(retryInSeconds)} SECOND),
+                    delivered_at = ${status === 'delivered' ? 'CURRENT_TIMESTAMP' : 'NULL'}
+                WHERE id = ?
+            `, [status, responseStatus, error, deliveryId]);
+        } catch (dbError) {
+            console.error('❌ Failed to record webhook attempt:', dbError.message);
+            throw dbError;
+        }
+    }
+
+    // Delivery log for a user, newest first, optionally for one job
+    async getWebhookDeliveries(userId, { jobId = null, limit, offset = 0 } = {}) {
+        const pagination = limit ? ` LIMIT ${Number(limit)} OFFSET ${Number(offset)}` : '';
+
+        try {
+            const [rows] = await this.pool.query(`
+                SELECT * FROM webhook_deliveries
+                WHERE user_id = ?${jobId ? ' AND job_id = ?' : ''}
+                ORDER BY id DESC${pagination}
+            `, [userId, ...(jobId ? [jobId] : [])]);
+            return rows;
+        } catch (error) {
+            console.error('❌ Failed to get webhook deliveries:', error.message);
+            throw error;
+        }
+    }
+
+    async countWebhookDeliveries(userId, { jobId = null } = {}) {
+        try {
+            const [rows] = await this.pool.execute(`
+                SELECT COUNT(*) AS count FROM webhook_deliveries
+                WHERE user_id = ?${jobId ? ' AND job_id = ?' : ''}
+            `, [userId, ...(jobId ? [jobId] : [])]);
+            return rows[0].count;
+        } catch (error) {
+            console.error('❌ Failed to count webhook deliveries:', error.message);
+            throw error;
+        }
+    }
+
     async close() {
         if (this.pool) {
             await this.pool.end();
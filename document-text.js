@@ -0,0 +1,233 @@
+// Plain text from the text-based document formats syllabi are published in: Word
+// documents, LMS and course-site HTML pages, plain text, Markdown and RTF. The text is
+// analyzed like a PDF's text layer.
+
+const fs = require('fs');
+const path = require('path');
+const mammoth = require('mammoth');
+
+// Analysis path and MIME type for each extension. Markdown is close enough to plain
+// text for the model.
+const TEXT_DOCUMENT_TYPES = {
+  '.docx': { path: 'docx-text', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  '.html': { path: 'html-text', mimeType: 'text/html' },
+  '.htm': { path: 'html-text', mimeType: 'text/html' },
+  '.txt': { path: 'plain-text', mimeType: 'text/plain' },
+  '.md': { path: 'plain-text', mimeType: 'text/markdown' },
+  '.markdown': { path: 'plain-text', mimeType: 'text/markdown' },
+  '.rtf': { path: 'rtf-text', mimeType: 'application/rtf' }
+};
+
+// Text files are UTF-8 unless they start with a UTF-16 byte order mark (Windows Notepad)
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.subarray(2).toString('utf16le');
+  }
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  bull: '•'
+};
+
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const codePoint = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+const HTML_BLOCK_TAGS = 'p|div|h[1-6]|ul|ol|tr|table|thead|tbody|section|article|header|footer|main|nav|aside|pre|blockquote|dl|dt|dd|hr|caption|figure|figcaption|address';
+
+/**
+ * Visible text of an HTML page. Block elements and <br> become line breaks, list items
+ * become "- " lines and table cells are separated with " | ", so schedules laid out as
+ * lists or tables keep one entry per line.
+ */
+function htmlToText(html) {
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|head|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(new RegExp(`</?(${HTML_BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<\/t[dh]\s*>/gi, ' | ')
+    .replace(/<[^>]*>/g, '');
+
+  return decodeHtmlEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').replace(/( \| )+$/, '').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// RTF groups that hold formatting tables or embedded data rather than document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata', 'datastore',
+  'latentstyles', 'listtable', 'listoverridetable', 'rsidtbl', 'generator', 'xmlnstbl',
+  'mmathPr', 'fldinst', 'filetbl', 'revtbl'
+]);
+
+const RTF_SYMBOLS = {
+  par: '\n',
+  line: '\n',
+  sect: '\n',
+  page: '\n',
+  row: '\n',
+  cell: ' | ',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”'
+};
+
+// Windows-1252 characters for bytes 0x80-0x9F (the rest match Latin-1). Node's
+// TextDecoder decodes "windows-1252" as Latin-1, which turns these into control codes.
+const WINDOWS_1252_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ';
+
+function decodeWindows1252(byte) {
+  return byte >= 0x80 && byte <= 0x9f ? WINDOWS_1252_HIGH[byte - 0x80] : String.fromCharCode(byte);
+}
+
+/**
+ * Text of an RTF document: control words are dropped, paragraphs and line breaks kept,
+ * and \'hh (Windows-1252) and \uN escapes decoded. Font tables, pictures and other
+ * non-text groups are skipped.
+ */
+function rtfToText(rtf) {
+  let output = '';
+  // Per group: whether its text is skipped, and \ucN (characters after \uN to ignore)
+  const stack = [];
+  let group = { skip: false, unicodeSkip: 1 };
+  let pendingSkip = 0;
+
+  const emit = text => {
+    if (group.skip) return;
+    if (pendingSkip > 0) {
+      pendingSkip--;
+      return;
+    }
+    output += text;
+  };
+
+  for (let i = 0; i < rtf.length; i++) {
+    const character = rtf[i];
+
+    if (character === '{') {
+      stack.push(group);
+      group = { ...group };
+    } else if (character === '}') {
+      group = stack.pop() || { skip: false, unicodeSkip: 1 };
+      pendingSkip = 0;
+    } else if (character === '\\') {
+      const next = rtf[i + 1];
+
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i++;
+      } else if (next === "'") {
+        emit(decodeWindows1252(parseInt(rtf.substr(i + 2, 2), 16) || 0x3f));
+        i += 3;
+      } else if (next === '*') {
+        // \* marks a destination readers may ignore when they don't know it
+        group.skip = true;
+        i++;
+      } else if (next === '~') {
+        emit(' ');
+        i++;
+      } else if (next === '_') {
+        emit('-');
+        i++;
+      } else if (next === '\n' || next === '\r') {
+        emit('\n');
+        i++;
+      } else {
+        const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+        if (!match) {
+          // Other control symbols (\- optional hyphen, \| and so on) have no text
+          i++;
+          continue;
+        }
+        i += match[0].length;
+
+        const [, word, parameter] = match;
+        if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+          group.skip = true;
+        } else if (word === 'uc') {
+          group.unicodeSkip = parseInt(parameter, 10) || 0;
+        } else if (word === 'u') {
+          const code = parseInt(parameter, 10);
+          emit(String.fromCharCode(code < 0 ? code + 65536 : code));
+          pendingSkip = group.unicodeSkip;
+        } else if (RTF_SYMBOLS[word]) {
+          emit(RTF_SYMBOLS[word]);
+        }
+      }
+    } else if (character !== '\n' && character !== '\r') {
+      emit(character);
+    }
+  }
+
+  return output
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Reads a text-based document. Resolves to { path, mimeType, text } from
+ * TEXT_DOCUMENT_TYPES, or null for other file types.
+ */
+async function extractDocumentText(filePath) {
+  const type = TEXT_DOCUMENT_TYPES[path.extname(filePath).toLowerCase()];
+  if (!type) return null;
+
+  let text;
+  switch (type.path) {
+    case 'docx-text': {
+      const { value } = await mammoth.extractRawText({ path: filePath });
+      text = value;
+      break;
+    }
+    case 'html-text':
+      text = htmlToText(decodeText(await fs.promises.readFile(filePath)));
+      break;
+    case 'rtf-text':
+      text = rtfToText((await fs.promises.readFile(filePath)).toString('latin1'));
+      break;
+    default:
+      text = decodeText(await fs.promises.readFile(filePath));
+  }
+
+  return { ...type, text: text.trim() };
+}
+
+module.exports = {
+  TEXT_DOCUMENT_TYPES,
+  extractDocumentText,
+  htmlToText,
+  rtfToText
+};
@@ -0,0 +1,219 @@
+// LLM provider abstraction used by every analyzer.
+//
+// Analyzers call provider.complete({ task, messages, ... }) instead of the OpenAI SDK
+// directly. The task ("text", "page", "image", "diagnostic") picks the model, so models
+// can be changed per task through env without touching the analyzers:
+//
+//   LLM_PROVIDER=openai|mock       (default: openai)
+//   LLM_MODEL=gpt-4o               default model for every task
+//   LLM_MODEL_TEXT, LLM_MODEL_PAGE, LLM_MODEL_IMAGE, LLM_MODEL_DIAGNOSTIC
+//   LLM_MOCK_FIXTURE=path.json     response returned by the mock provider
+//   LLM_PRICING={"gpt-4o":{"input":2.5,"output":10}}   USD per million tokens, overrides MODEL_PRICING
+
+const fs = require('fs');
+const OpenAI = require('openai');
+
+const DEFAULT_TASK_MODELS = {
+  text: 'gpt-4o',
+  page: 'gpt-4o',
+  image: 'gpt-4o',
+  diagnostic: 'gpt-4o'
+};
+
+// USD per million prompt (input) and completion (output) tokens, used for cost estimates.
+// Dated model names returned by the API ("gpt-4o-2024-08-06") match by prefix.
+const MODEL_PRICING = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 }
+};
+
+function resolvePricing(env = process.env) {
+  if (!env.LLM_PRICING) return MODEL_PRICING;
+  return { ...MODEL_PRICING, ...JSON.parse(env.LLM_PRICING) };
+}
+
+/**
+ * Estimated USD cost of one completion, or null for models without a known price.
+ */
+function estimateCost(model, usage, pricing = resolvePricing()) {
+  const name = Object.keys(pricing)
+    .filter(prefix => model === prefix || model.startsWith(`${prefix}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!name) return null;
+
+  const cost = (usage.prompt_tokens * pricing[name].input + usage.completion_tokens * pricing[name].output) / 1000000;
+  return Math.round(cost * 1000000) / 1000000;
+}
+
+function resolveModels(env = process.env) {
+  const models = {};
+  Object.keys(DEFAULT_TASK_MODELS).forEach(task => {
+    models[task] = env[`LLM_MODEL_${task.toUpperCase()}`] || env.LLM_MODEL || DEFAULT_TASK_MODELS[task];
+  });
+  return models;
+}
+
+class OpenAIProvider {
+  constructor({ apiKey, timeout, maxRetries, models, pricing } = {}) {
+    this.name = 'openai';
+    this.models = models || resolveModels();
+    this.pricing = pricing || resolvePricing();
+    this.clientOptions = { apiKey, timeout, maxRetries };
+    this.client = null;
+  }
+
+  // Created on first use so the server can start (and serve stored data) without an API key
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI(this.clientOptions);
+    }
+    return this.client;
+  }
+
+  modelFor(task) {
+    return this.models[task] || this.models.text;
+  }
+
+  /**
+   * Runs one chat completion.
+   * Resolves to { content, refusal, model, usage: { prompt_tokens, completion_tokens, total_tokens },
+   * latency_ms, cost_usd }.
+   */
+  async complete({ task, messages, responseFormat, temperature, maxTokens }) {
+    const model = this.modelFor(task);
+    const startedAt = Date.now();
+
+    const response = await this.getClient().chat.completions.create({
+      model,
+      messages,
+      ...(responseFormat && { response_format: responseFormat }),
+      ...(temperature !== undefined && { temperature }),
+      ...(maxTokens && { max_tokens: maxTokens })
+    });
+
+    const message = response.choices[0].message;
+    const usage = {
+      prompt_tokens: response.usage ? response.usage.prompt_tokens : 0,
+      completion_tokens: response.usage ? response.usage.completion_tokens : 0,
+      total_tokens: response.usage ? response.usage.total_tokens : 0
+    };
+
+    return {
+      content: message.content,
+      refusal: message.refusal || null,
+      model: response.model || model,
+      usage,
+      latency_ms: Date.now() - startedAt,
+      cost_usd: estimateCost(response.model || model, usage, this.pricing)
+    };
+  }
+}
+
+// Built-in fixture for the mock provider; matches SYLLABUS_SCHEMA in syllabus-schema.js
+const MOCK_SYLLABUS = {
+  course_name: 'ANT 141: Introduction to Archaeology',
+  professor_name: 'C. R. DeCorse',
+  professor_email: 'crdecorse@maxwell.syr.edu',
+  meeting_days: 'Mondays & Wednesdays 12:45-1:40',
+  office_hours: '2-5:00 Mon., Wed.; 12-2:00 Fri.',
+  assignments: [
+    { title: 'Chapter 1 reading', due_date: '2025-09-03', due_time: null, type: 'reading', description: 'Record of the Past, Chapter 1' },
+    { title: 'Exam 1', due_date: '2025-09-29', due_time: null, type: 'exam', description: 'In-class exam, 20% of final grade' },
+    { title: 'Film study guide', due_date: '2025-10-08', due_time: '23:59:00', type: 'assignment', description: 'Submitted electronically' },
+    { title: 'Exam 2', due_date: '2025-11-03', due_time: null, type: 'exam', description: 'In-class exam, 20% of final grade' },
+    { title: 'Final exam', due_date: '2025-12-16', due_time: '10:15:00', type: 'exam', description: '20% of final grade' }
+  ],
+  important_dates: [
+    { date: '2025-09-01', end_date: null, description: 'Labor Day', no_class: true },
+    { date: '2025-10-14', end_date: '2025-10-15', description: 'Fall Break', no_class: true },
+    { date: '2025-11-23', end_date: '2025-11-30', description: 'Thanksgiving', no_class: true }
+  ],
+  additional_info: 'Discussion section grade 40%; two in-class exams 20% each; final exam 20%.'
+};
+
+// Rough token estimate (4 characters per token) so usage accounting has numbers to work with
+function estimateTokens(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Deterministic offline provider: returns the same fixture for every structured
+ * request and "OK" for everything else, without network access or an API key.
+ * With recordCalls, every request is kept in calls for tests to inspect; it is off by
+ * default so a long-running server or worker on the mock provider doesn't grow forever.
+ */
+class MockProvider {
+  constructor({ fixture, models, recordCalls = false } = {}) {
+    this.name = 'mock';
+    this.models = models || resolveModels();
+    this.fixture = fixture || MOCK_SYLLABUS;
+    this.recordCalls = recordCalls;
+    this.calls = [];
+  }
+
+  modelFor(task) {
+    return `mock-${this.models[task] || this.models.text}`;
+  }
+
+  async complete({ task, messages, responseFormat }) {
+    if (this.recordCalls) {
+      this.calls.push({ task, messages, responseFormat });
+    }
+
+    const content = responseFormat ? JSON.stringify(this.fixture) : 'OK';
+    const promptTokens = estimateTokens(messages);
+    const completionTokens = estimateTokens(content);
+
+    return {
+      content,
+      refusal: null,
+      model: this.modelFor(task),
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      },
+      latency_ms: 0,
+      cost_usd: 0
+    };
+  }
+}
+
+/**
+ * Builds the provider selected by LLM_PROVIDER.
+ * options.timeout / options.maxRetries configure the OpenAI client, and
+ * options.recordCalls makes the mock provider keep its requests (for tests).
+ */
+function createProvider(options = {}, env = process.env) {
+  const providerName = (options.provider || env.LLM_PROVIDER || 'openai').toLowerCase();
+  const models = resolveModels(env);
+
+  if (providerName === 'mock') {
+    const fixture = env.LLM_MOCK_FIXTURE
+      ? JSON.parse(fs.readFileSync(env.LLM_MOCK_FIXTURE, 'utf8'))
+      : options.fixture;
+    return new MockProvider({ fixture, models, recordCalls: options.recordCalls });
+  }
+
+  if (providerName !== 'openai') {
+    throw new Error(`Unknown LLM_PROVIDER "${providerName}" (expected "openai" or "mock")`);
+  }
+
+  return new OpenAIProvider({
+    apiKey: env.OPENAI_API_KEY,
+    timeout: options.timeout,
+    maxRetries: options.maxRetries,
+    models,
+    pricing: resolvePricing(env)
+  });
+}
+
+module.exports = {
+  createProvider,
+  OpenAIProvider,
+  MockProvider,
+  MOCK_SYLLABUS,
+  MODEL_PRICING,
+  estimateCost
+};
@@ -0,0 +1,684 @@
+// Versioned schema migrations for both database backends (database.js for MySQL,
+// database-sqlite.js for SQLite), applied in order by connect().
+//
+// Each migration has a unique, increasing version and an up(schema) function.
+// schema.run() takes either one SQL string used by both dialects or
+// { mysql, sqlite } when they differ (a missing dialect skips the statement).
+// Applied versions are recorded in schema_migrations, so a migration runs once per
+// database. Never edit a released migration; add a new one instead.
+//
+// Migrations 1-5 describe the schema that createTables used to build, and use
+// IF NOT EXISTS / addColumnIfMissing so databases created before migrations existed
+// are adopted without changes. Later migrations can assume the schema is current.
+
+const SCHEMA_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_courses_assignments_jobs',
+    async up(schema) {
+      await schema.run({
+        mysql: `
+          CREATE TABLE IF NOT EXISTS courses (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id VARCHAR(255),
+            course_name VARCHAR(255),
+            professor_name VARCHAR(255),
+            professor_email VARCHAR(255),
+            meeting_days VARCHAR(255),
+            office_hours TEXT,
+            syllabus_text LONGTEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_user_id (user_id)
+          )
+        `,
+        sqlite: `
+          CREATE TABLE IF NOT EXISTS courses (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT,
+            course_name TEXT,
+            professor_name TEXT,
+            professor_email TEXT,
+            meeting_days TEXT,
+            office_hours TEXT,
+            syllabus_text TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `
+      });
+
+      await schema.run({
+        mysql: `
+          CREATE TABLE IF NOT EXISTS assignments (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            course_id INT,
+            title VARCHAR(500),
+            due_date DATE,
+            due_time TIME,
+            type ENUM('exam', 'assignment', 'reading', 'project', 'quiz', 'other') DEFAULT 'other',
+            description TEXT,
+            completed BOOLEAN DEFAULT FALSE,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+            INDEX idx_course_id (course_id),
+            INDEX idx_due_date (due_date)
+          )
+        `,
+        sqlite: `
+          CREATE TABLE IF NOT EXISTS assignments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            course_id INTEGER,
+            title TEXT,
+            due_date DATE,
+            due_time TIME,
+            type TEXT DEFAULT 'other',
+            description TEXT,
+            completed BOOLEAN DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE
+          )
+        `
+      });
+
+      // Async scan jobs processed by worker.js (SQLite databases never had this table)
+      await schema.run({
+        mysql: `
+          CREATE TABLE IF NOT EXISTS jobs (
+            id VARCHAR(36) PRIMARY KEY,
+            user_id VARCHAR(255),
+            status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+            file_name VARCHAR(255),
+            file_path VARCHAR(500),
+            result_data LONGTEXT,
+            error_message TEXT,
+            course_id INT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            completed_at TIMESTAMP NULL,
+            INDEX idx_user_id (user_id),
+            INDEX idx_status (status),
+            INDEX idx_created_at (created_at),
+            FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE SET NULL
+          )
+        `,
+        sqlite: `
+          CREATE TABLE IF NOT EXISTS jobs (
+            id TEXT PRIMARY KEY,
+            user_id TEXT,
+            status TEXT DEFAULT 'pending',
+            file_name TEXT,
+            file_path TEXT,
+            result_data TEXT,
+            error_message TEXT,
+            course_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            completed_at DATETIME,
+            FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE SET NULL
+          )
+        `
+      });
+
+      // MySQL creates these inside CREATE TABLE; SQLite needs separate statements
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_courses_user_id ON courses(user_id)' });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_assignments_course_id ON assignments(course_id)' });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_assignments_due_date ON assignments(due_date)' });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_jobs_user_id ON jobs(user_id)' });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)' });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_jobs_created_at ON jobs(created_at)' });
+    }
+  },
+  {
+    version: 2,
+    name: 'create_users_api_tokens',
+    async up(schema) {
+      await schema.run({
+        mysql: `
+          CREATE TABLE IF NOT EXISTS users (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            email VARCHAR(255) NOT NULL,
+            name VARCHAR(255),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY idx_email (email)
+          )
+        `,
+        sqlite: `
+          CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            email TEXT NOT NULL UNIQUE,
+            name TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `
+      });
+
+      // Only the SHA-256 hash of each API token is stored
+      await schema.run({
+        mysql: `
+          CREATE TABLE IF NOT EXISTS api_tokens (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            token_hash CHAR(64) NOT NULL,
+            name VARCHAR(100),
+            last_used_at TIMESTAMP NULL,
+            revoked_at TIMESTAMP NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY idx_token_hash (token_hash),
+            INDEX idx_user_id (user_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+          )
+        `,
+        sqlite: `
+          CREATE TABLE IF NOT EXISTS api_tokens (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            token_hash TEXT NOT NULL UNIQUE,
+            name TEXT,
+            last_used_at DATETIME,
+            revoked_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+          )
+        `
+      });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id)' });
+    }
+  },
+  {
+    version: 3,
+    name: 'create_llm_usage',
+    async up(schema) {
+      // One row per LLM completion, used for per-user token budgets and cost reporting.
+      // job_id/course_id have no foreign keys so usage history outlives deleted courses.
+      await schema.run({
+        mysql: `
+          CREATE TABLE IF NOT EXISTS llm_usage (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id VARCHAR(255),
+            job_id VARCHAR(36),
+            course_id INT,
+            analysis_path VARCHAR(20),
+            task VARCHAR(50),
+            model VARCHAR(100),
+            prompt_tokens INT DEFAULT 0,
+            completion_tokens INT DEFAULT 0,
+            total_tokens INT DEFAULT 0,
+            latency_ms INT,
+            cost_usd DECIMAL(12, 6),
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_user_created (user_id, created_at),
+            INDEX idx_course_id (course_id),
+            INDEX idx_job_id (job_id)
+          )
+        `,
+        sqlite: `
+          CREATE TABLE IF NOT EXISTS llm_usage (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT,
+            job_id TEXT,
+            course_id INTEGER,
+            analysis_path TEXT,
+            task TEXT,
+            model TEXT,
+            prompt_tokens INTEGER DEFAULT 0,
+            completion_tokens INTEGER DEFAULT 0,
+            total_tokens INTEGER DEFAULT 0,
+            latency_ms INTEGER,
+            cost_usd REAL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `
+      });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_llm_usage_user_created ON llm_usage(user_id, created_at)' });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_llm_usage_course_id ON llm_usage(course_id)' });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_llm_usage_job_id ON llm_usage(job_id)' });
+    }
+  },
+  {
+    version: 4,
+    name: 'create_document_cache',
+    async up(schema) {
+      // Extractions keyed by the SHA-256 of the uploaded file, reused for identical uploads
+      await schema.run({
+        mysql: `
+          CREATE TABLE IF NOT EXISTS document_cache (
+            content_hash CHAR(64) PRIMARY KEY,
+            analysis_path VARCHAR(20),
+            result_data LONGTEXT NOT NULL,
+            hit_count INT DEFAULT 0,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            last_used_at TIMESTAMP NULL
+          )
+        `,
+        sqlite: `
+          CREATE TABLE IF NOT EXISTS document_cache (
+            content_hash TEXT PRIMARY KEY,
+            analysis_path TEXT,
+            result_data TEXT NOT NULL,
+            hit_count INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_used_at DATETIME
+          )
+        `
+      });
+
+      // Set by ?refresh=true on async scans so the worker skips the cache
+      await schema.addColumnIfMissing('jobs', 'bypass_cache', {
+        mysql: 'BOOLEAN DEFAULT FALSE',
+        sqlite: 'BOOLEAN DEFAULT 0'
+      });
+    }
+  },
+  {
+    version: 5,
+    name: 'create_course_templates',
+    async up(schema) {
+      // Shared course templates, published from one user's course and identified by
+      // the normalized "course code|term|institution" template_key
+      await schema.run({
+        mysql: `
+          CREATE TABLE IF NOT EXISTS course_templates (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            owner_user_id VARCHAR(255) NOT NULL,
+            source_course_id INT,
+            template_key VARCHAR(255) NOT NULL,
+            course_code VARCHAR(50) NOT NULL,
+            term VARCHAR(50) NOT NULL,
+            institution VARCHAR(150) NOT NULL,
+            course_name VARCHAR(255),
+            professor_name VARCHAR(255),
+            professor_email VARCHAR(255),
+            meeting_days VARCHAR(255),
+            office_hours TEXT,
+            syllabus_text LONGTEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY idx_template_key (template_key),
+            INDEX idx_owner_user_id (owner_user_id),
+            FOREIGN KEY (source_course_id) REFERENCES courses(id) ON DELETE SET NULL
+          )
+        `,
+        sqlite: `
+          CREATE TABLE IF NOT EXISTS course_templates (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            owner_user_id TEXT NOT NULL,
+            source_course_id INTEGER,
+            template_key TEXT NOT NULL UNIQUE,
+            course_code TEXT NOT NULL,
+            term TEXT NOT NULL,
+            institution TEXT NOT NULL,
+            course_name TEXT,
+            professor_name TEXT,
+            professor_email TEXT,
+            meeting_days TEXT,
+            office_hours TEXT,
+            syllabus_text TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (source_course_id) REFERENCES courses(id) ON DELETE SET NULL
+          )
+        `
+      });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_course_templates_owner ON course_templates(owner_user_id)' });
+
+      await schema.run({
+        mysql: `
+          CREATE TABLE IF NOT EXISTS template_assignments (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            template_id INT NOT NULL,
+            source_assignment_id INT,
+            title VARCHAR(500),
+            due_date DATE,
+            due_time TIME,
+            type ENUM('exam', 'assignment', 'reading', 'project', 'quiz', 'other') DEFAULT 'other',
+            description TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (template_id) REFERENCES course_templates(id) ON DELETE CASCADE,
+            FOREIGN KEY (source_assignment_id) REFERENCES assignments(id) ON DELETE SET NULL,
+            INDEX idx_template_id (template_id)
+          )
+        `,
+        sqlite: `
+          CREATE TABLE IF NOT EXISTS template_assignments (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            template_id INTEGER NOT NULL,
+            source_assignment_id INTEGER,
+            title TEXT,
+            due_date DATE,
+            due_time TIME,
+            type TEXT DEFAULT 'other',
+            description TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (template_id) REFERENCES course_templates(id) ON DELETE CASCADE,
+            FOREIGN KEY (source_assignment_id) REFERENCES assignments(id) ON DELETE SET NULL
+          )
+        `
+      });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_template_assignments_template_id ON template_assignments(template_id)' });
+
+      // Subscribers' copies point at the template they follow. MySQL ignores REFERENCES
+      // inside a column definition, so its foreign keys are separate constraints.
+      await schema.addColumnIfMissing('courses', 'template_id', {
+        mysql: 'INT NULL, ADD CONSTRAINT fk_courses_template FOREIGN KEY (template_id) REFERENCES course_templates(id) ON DELETE SET NULL',
+        sqlite: 'INTEGER REFERENCES course_templates(id) ON DELETE SET NULL'
+      });
+      await schema.addColumnIfMissing('assignments', 'template_assignment_id', {
+        mysql: 'INT NULL, ADD CONSTRAINT fk_assignments_template_assignment FOREIGN KEY (template_assignment_id) REFERENCES template_assignments(id) ON DELETE SET NULL',
+        sqlite: 'INTEGER REFERENCES template_assignments(id) ON DELETE SET NULL'
+      });
+    }
+  },
+  {
+    version: 6,
+    name: 'add_job_leases',
+    async up(schema) {
+      // A worker claims a job by setting worker_id and a lease, which it renews while the
+      // job runs. Jobs whose lease ran out (the worker crashed) go back to pending.
+      await schema.run({
+        mysql: `
+          ALTER TABLE jobs
+            ADD COLUMN worker_id VARCHAR(100) NULL,
+            ADD COLUMN lease_expires_at TIMESTAMP NULL,
+            ADD INDEX idx_status_lease (status, lease_expires_at)
+        `,
+        sqlite: 'ALTER TABLE jobs ADD COLUMN worker_id TEXT'
+      });
+      await schema.run({ sqlite: 'ALTER TABLE jobs ADD COLUMN lease_expires_at DATETIME' });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_jobs_status_lease ON jobs(status, lease_expires_at)' });
+    }
+  },
+  {
+    version: 7,
+    name: 'add_job_retries',
+    async up(schema) {
+      // attempts counts claims; a failed attempt waits in pending until next_attempt_at.
+      // "dead" is the terminal status for jobs that ran out of attempts.
+      await schema.run({
+        mysql: `
+          ALTER TABLE jobs
+            MODIFY COLUMN status ENUM('pending', 'processing', 'completed', 'failed', 'dead') DEFAULT 'pending',
+            ADD COLUMN attempts INT NOT NULL DEFAULT 0,
+            ADD COLUMN next_attempt_at TIMESTAMP NULL
+        `,
+        sqlite: 'ALTER TABLE jobs ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0'
+      });
+      await schema.run({ sqlite: 'ALTER TABLE jobs ADD COLUMN next_attempt_at DATETIME' });
+    }
+  },
+  {
+    version: 8,
+    name: 'create_job_events',
+    async up(schema) {
+      // Progress of each job (uploaded, text_extracted, page_analyzed, saved, ...), written
+      // by the server and the worker and streamed to clients by GET /api/job-status/:id/events
+      await schema.run({
+        mysql: `
+          CREATE TABLE IF NOT EXISTS job_events (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            job_id VARCHAR(36) NOT NULL,
+            stage VARCHAR(30) NOT NULL,
+            detail TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_job_id (job_id, id),
+            FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
+          )
+        `,
+        sqlite: `
+          CREATE TABLE IF NOT EXISTS job_events (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            job_id TEXT NOT NULL,
+            stage TEXT NOT NULL,
+            detail TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
+          )
+        `
+      });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_job_events_job_id ON job_events(job_id, id)' });
+    }
+  },
+  {
+    version: 9,
+    name: 'create_webhooks',
+    async up(schema) {
+      // Endpoints a user registered to hear about every one of their jobs. The secret signs
+      // deliveries, so it is stored as issued (unlike API tokens).
+      await schema.run({
+        mysql: `
+          CREATE TABLE IF NOT EXISTS webhooks (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            url VARCHAR(2048) NOT NULL,
+            secret VARCHAR(100) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_user_id (user_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+          )
+        `,
+        sqlite: `
+          CREATE TABLE IF NOT EXISTS webhooks (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            url TEXT NOT NULL,
+            secret TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+          )
+        `
+      });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_webhooks_user_id ON webhooks(user_id)' });
+
+      // A callback_url given with one async scan, signed with its own secret
+      await schema.run({
+        mysql: `
+          ALTER TABLE jobs
+            ADD COLUMN callback_url VARCHAR(2048) NULL,
+            ADD COLUMN callback_secret VARCHAR(100) NULL
+        `,
+        sqlite: 'ALTER TABLE jobs ADD COLUMN callback_url TEXT'
+      });
+      await schema.run({ sqlite: 'ALTER TABLE jobs ADD COLUMN callback_secret TEXT' });
+
+      // One row per webhook notification, retried until delivered or out of attempts.
+      // url and secret are copied so deleting a webhook doesn't orphan pending deliveries.
+      await schema.run({
+        mysql: `
+          CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id VARCHAR(255),
+            job_id VARCHAR(36) NOT NULL,
+            webhook_id INT NULL,
+            event VARCHAR(50) NOT NULL,
+            url VARCHAR(2048) NOT NULL,
+            secret VARCHAR(100) NOT NULL,
+            payload LONGTEXT NOT NULL,
+            status ENUM('pending', 'delivered', 'failed') DEFAULT 'pending',
+            attempts INT NOT NULL DEFAULT 0,
+            next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            response_status INT NULL,
+            last_error TEXT,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            delivered_at TIMESTAMP NULL,
+            INDEX idx_status_next_attempt (status, next_attempt_at),
+            INDEX idx_user_id (user_id, id),
+            INDEX idx_job_id (job_id),
+            FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
+            FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE SET NULL
+          )
+        `,
+        sqlite: `
+          CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT,
+            job_id TEXT NOT NULL,
+            webhook_id INTEGER,
+            event TEXT NOT NULL,
+            url TEXT NOT NULL,
+            secret TEXT NOT NULL,
+            payload TEXT NOT NULL,
+            status TEXT DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            response_status INTEGER,
+            last_error TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            delivered_at DATETIME,
+            FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE,
+            FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE SET NULL
+          )
+        `
+      });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries(status, next_attempt_at)' });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_user_id ON webhook_deliveries(user_id, id)' });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_job_id ON webhook_deliveries(job_id)' });
+    }
+  },
+  {
+    version: 10,
+    name: 'create_batches',
+    async up(schema) {
+      // Several syllabi uploaded together by POST /api/scan-syllabi, one job per file
+      await schema.run({
+        mysql: `
+          CREATE TABLE IF NOT EXISTS batches (
+            id VARCHAR(36) PRIMARY KEY,
+            user_id VARCHAR(255),
+            file_count INT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_user_id (user_id)
+          )
+        `,
+        sqlite: `
+          CREATE TABLE IF NOT EXISTS batches (
+            id TEXT PRIMARY KEY,
+            user_id TEXT,
+            file_count INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+          )
+        `
+      });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_batches_user_id ON batches(user_id)' });
+
+      // batch_position keeps the batch's jobs in upload order
+      await schema.run({
+        mysql: `
+          ALTER TABLE jobs
+            ADD COLUMN batch_id VARCHAR(36) NULL,
+            ADD COLUMN batch_position INT NULL,
+            ADD INDEX idx_batch_id (batch_id, batch_position)
+        `,
+        sqlite: 'ALTER TABLE jobs ADD COLUMN batch_id TEXT'
+      });
+      await schema.run({ sqlite: 'ALTER TABLE jobs ADD COLUMN batch_position INTEGER' });
+      await schema.run({ sqlite: 'CREATE INDEX IF NOT EXISTS idx_jobs_batch_id ON jobs(batch_id, batch_position)' });
+    }
+  },
+  {
+    version: 11,
+    name: 'namespace_legacy_user_ids',
+    async up(schema) {
+      // Before accounts existed (migration 2), courses and jobs stored whatever the client
+      // sent in the user-id header: "1", "2", "anonymous" and so on. New accounts get the
+      // ids 1, 2, ..., so those rows would belong to whoever registered first. Rows from
+      // before then move to "legacy:<old id>", which no account id can match.
+      for (const table of ['courses', 'jobs']) {
+        await schema.run({
+          mysql: `
+            UPDATE ${table} SET user_id = CONCAT('legacy:', user_id)
+            WHERE user_id IS NOT NULL
+              AND created_at <= (SELECT applied_at FROM schema_migrations WHERE version = 2)
+          `,
+          sqlite: `
+            UPDATE ${table} SET user_id = 'legacy:' || user_id
+            WHERE user_id IS NOT NULL
+              AND created_at <= (SELECT applied_at FROM schema_migrations WHERE version = 2)
+          `
+        });
+      }
+    }
+  }
+];
+
+/**
+ * Applies every migration newer than the database's recorded version.
+ *
+ * connection is provided by the backend:
+ *   dialect                     'mysql' or 'sqlite'
+ *   run(sql, params)            executes a statement
+ *   all(sql, params)            resolves to the result rows
+ *   columnExists(table, column) resolves to a boolean
+ *   transactional               true if DDL can be rolled back (SQLite); MySQL commits
+ *                               each DDL statement implicitly, so a migration that fails
+ *                               halfway has to be finished by hand before retrying
+ *
+ * Resolves to the versions that were applied.
+ */
+async function runMigrations(connection, { migrations = MIGRATIONS, log = console.log } = {}) {
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version <= migrations[index - 1].version) {
+      throw new Error(`Migration versions must increase: ${migration.version} (${migration.name}) follows ${migrations[index - 1].version}`);
+    }
+  });
+
+  const schema = {
+    dialect: connection.dialect,
+    run(statement, params = []) {
+      const sql = typeof statement === 'string' ? statement : statement[connection.dialect];
+      return sql ? connection.run(sql, params) : Promise.resolve();
+    },
+    async addColumnIfMissing(table, column, definition) {
+      if (await connection.columnExists(table, column)) return;
+      await schema.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${typeof definition === 'string' ? definition : definition[connection.dialect]}`);
+    }
+  };
+
+  await connection.run(SCHEMA_MIGRATIONS_TABLE);
+  const rows = await connection.all('SELECT version FROM schema_migrations');
+  const appliedVersions = new Set(rows.map(row => Number(row.version)));
+
+  const latestVersion = migrations[migrations.length - 1].version;
+  const unknownVersions = [...appliedVersions].filter(version => version > latestVersion);
+  if (unknownVersions.length > 0) {
+    log(`⚠️ Database has migrations newer than this code: ${unknownVersions.join(', ')}`);
+  }
+
+  const applied = [];
+  for (const migration of migrations) {
+    if (appliedVersions.has(migration.version)) continue;
+
+    if (connection.transactional) await connection.run('BEGIN');
+    try {
+      await migration.up(schema);
+      await connection.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      if (connection.transactional) await connection.run('COMMIT');
+    } catch (error) {
+      if (connection.transactional) await connection.run('ROLLBACK').catch(() => {});
+      throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+    }
+
+    log(`✅ Applied migration ${migration.version}: ${migration.name}`);
+    applied.push(migration.version);
+  }
+
+  return applied;
+}
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations
+};
@@ -0,0 +1,94 @@
+// Renders PDF pages to JPEG images with poppler's pdftocairo so scanned
+// syllabi can be sent to the vision model one page at a time.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const util = require('util');
+const execFileAsync = util.promisify(execFile);
+
+const RENDER_TIMEOUT_MS = 60000;
+
+/**
+ * Renders up to maxPages pages of pdfPath into a temporary directory.
+ * Resolves to [{ pageNumber, imagePath }] in page order; pass the result to
+ * removePageImages when done.
+ */
+async function renderPdfPages(pdfPath, { maxPages = 20, resolution = 150 } = {}) {
+  const outputDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'syllabus-pages-'));
+  const outputPrefix = path.join(outputDir, 'page');
+
+  try {
+    await execFileAsync('pdftocairo', [
+      '-jpeg',
+      '-r', String(resolution),
+      '-f', '1',
+      '-l', String(maxPages),
+      pdfPath,
+      outputPrefix
+    ], { timeout: RENDER_TIMEOUT_MS });
+  } catch (error) {
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+    if (error.code === 'ENOENT') {
+      throw new Error('pdftocairo is not installed; install poppler-utils to process scanned PDFs');
+    }
+    throw new Error(`Failed to render PDF pages: ${error.stderr || error.message}`);
+  }
+
+  // pdftocairo zero-pads page numbers to the width of the page count (page-01.jpg, ...)
+  const pages = (await fs.promises.readdir(outputDir))
+    .map(fileName => {
+      const match = fileName.match(/^page-(\d+)\.jpg$/);
+      return match && { pageNumber: Number(match[1]), imagePath: path.join(outputDir, fileName) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.pageNumber - b.pageNumber);
+
+  if (pages.length === 0) {
+    await fs.promises.rm(outputDir, { recursive: true, force: true });
+    throw new Error('PDF has no pages to render');
+  }
+
+  return pages;
+}
+
+async function removePageImages(pages) {
+  const directories = new Set(pages.map(page => path.dirname(page.imagePath)));
+  await Promise.all([...directories].map(directory =>
+    fs.promises.rm(directory, { recursive: true, force: true })
+  ));
+}
+
+/**
+ * Like Promise.all(items.map(fn)) but with at most `limit` calls in flight.
+ * Results keep the order of items; the first rejection rejects the whole call.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  async function runNext() {
+    while (nextIndex < items.length && !failed) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        // Stop handing out work so one bad page doesn't keep paying for the rest
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  const runners = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, runNext);
+  await Promise.all(runners);
+  return results;
+}
+
+module.exports = {
+  renderPdfPages,
+  removePageImages,
+  mapWithConcurrency
+};
@@ -15,7 +15,7 @@ curl -s -X POST -F "syllabus=@test-file.txt" \
   https://syllabus-scanner-server.vercel.app/api/scan-syllabus | jq .
 
 echo -e "\n3. Testing Environment..."
-curl -s https://syllabus-scanner-server.vercel.app/debug/env | jq .
+curl -s -H "Authorization: Bearer $ADMIN_API_KEY" https://syllabus-scanner-server.vercel.app/debug/env | jq .
 
 rm test-file.txt
 echo -e "\n✅ Test complete! Try uploading a real PDF at:"
@@ -0,0 +1,163 @@
+// Request rate limits and LLM token budgets.
+//
+// Rate limits are fixed windows kept in memory, so they apply per server process.
+// Token budgets are read from the llm_usage ledger in the database, so they hold
+// across restarts and include usage recorded by the background worker.
+
+class RateLimiter {
+  constructor({ windowMs, max }) {
+    this.windowMs = windowMs;
+    this.max = max;
+    this.windows = new Map();
+
+    // Drop expired windows so one-off clients don't accumulate forever
+    this.cleanupTimer = setInterval(() => this.prune(), windowMs);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Counts cost requests for key, or none if they don't all fit in the window.
+   * Returns { allowed, remaining, retryAfterSeconds }.
+   */
+  hit(key, now = Date.now(), cost = 1) {
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    if (window.count + cost > this.max) {
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterSeconds: Math.max(1, Math.ceil((window.resetAt - now) / 1000))
+      };
+    }
+
+    window.count += cost;
+    return { allowed: true, remaining: this.max - window.count, retryAfterSeconds: 0 };
+  }
+
+  prune(now = Date.now()) {
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+function sendTooManyRequests(res, retryAfterSeconds, message) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    error: 'Too many requests',
+    message,
+    retry_after: retryAfterSeconds
+  });
+}
+
+/**
+ * Express middleware allowing `max` requests per `windowMs` for each key.
+ * keyFor(req) returns the bucket ("user:12", "ip:10.0.0.1"); a falsy key skips the limit.
+ * cost(req) is how many requests the request counts as (default 1).
+ * A max of 0 disables the limiter.
+ */
+function rateLimit({ name, windowMs, max, keyFor, cost = () => 1 }) {
+  if (!max) {
+    return (req, res, next) => next();
+  }
+
+  const limiter = new RateLimiter({ windowMs, max });
+
+  return (req, res, next) => {
+    const key = keyFor(req);
+    if (!key) return next();
+
+    const { allowed, retryAfterSeconds } = limiter.hit(key, Date.now(), cost(req));
+    if (!allowed) {
+      return sendTooManyRequests(res, retryAfterSeconds,
+        `${name} limit of ${max} requests per ${Math.round(windowMs / 1000)} seconds reached. Retry in ${retryAfterSeconds} seconds.`);
+    }
+
+    next();
+  };
+}
+
+// Budget periods are calendar days and months in UTC
+function startOfUTCDay(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+function startOfUTCMonth(now) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+// "YYYY-MM-DD HH:MM:SS", the format CURRENT_TIMESTAMP stores in both backends
+// (assumes the MySQL server runs in UTC, as RDS does by default)
+function toSQLTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Checks a user's recorded token usage against the daily and monthly budgets
+ * (0 means unlimited). Resolves to null when the user may continue, or to
+ * { period, limit, used, retryAfterSeconds } for the first exhausted budget.
+ */
+async function checkTokenBudget(database, userId, { dailyLimit, monthlyLimit }, now = new Date()) {
+  const budgets = [
+    { period: 'daily', limit: dailyLimit, start: startOfUTCDay(now), end: new Date(startOfUTCDay(now).getTime() + 24 * 60 * 60 * 1000) },
+    { period: 'monthly', limit: monthlyLimit, start: startOfUTCMonth(now), end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)) }
+  ];
+
+  for (const budget of budgets) {
+    if (!budget.limit) continue;
+
+    const used = await database.getTokenUsageSince(userId, toSQLTimestamp(budget.start));
+    if (used >= budget.limit) {
+      return {
+        period: budget.period,
+        limit: budget.limit,
+        used,
+        retryAfterSeconds: Math.max(1, Math.ceil((budget.end.getTime() - now.getTime()) / 1000))
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Returns a syllabus-pipeline onCompletion callback that writes each completion's
+ * tokens, latency and estimated cost to the llm_usage ledger. Once the scan has
+ * saved its course, call recorder.linkCourse(courseId) to attach the recorded rows.
+ */
+function createUsageRecorder(database, { userId = null, jobId = null } = {}) {
+  const usageIds = [];
+
+  const recorder = async (completion, { task, analysisPath } = {}) => {
+    const usageId = await database.recordLlmUsage({
+      user_id: userId,
+      job_id: jobId,
+      analysis_path: analysisPath,
+      task,
+      model: completion.model,
+      prompt_tokens: completion.usage.prompt_tokens,
+      completion_tokens: completion.usage.completion_tokens,
+      total_tokens: completion.usage.total_tokens,
+      latency_ms: completion.latency_ms,
+      cost_usd: completion.cost_usd
+    });
+    usageIds.push(usageId);
+    return usageId;
+  };
+
+  recorder.linkCourse = courseId => database.linkLlmUsageToCourse(usageIds, courseId);
+
+  return recorder;
+}
+
+module.exports = {
+  RateLimiter,
+  rateLimit,
+  checkTokenBudget,
+  createUsageRecorder,
+  sendTooManyRequests
+};
@@ -0,0 +1,259 @@
+// Downloads a syllabus from a URL for POST /api/scan-syllabus-url.
+//
+// The server fetches whatever URL a user sends, so the download is guarded against
+// server-side request forgery: every address a host name resolves to is checked when
+// the connection is made (so DNS rebinding can't swap in an internal address after the
+// check), IP literals are checked directly, and redirects are followed by hand so each
+// hop goes through the same checks. Loopback, private, link-local (including cloud
+// metadata at 169.254.169.254), carrier-grade NAT, multicast and reserved ranges are
+// refused.
+
+const dns = require('dns');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { Agent, request } = require('undici');
+
+const MAX_BYTES = parseInt(process.env.URL_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const TIMEOUT_MS = parseInt(process.env.URL_FETCH_TIMEOUT_MS, 10) || 15000;
+const MAX_REDIRECTS = 5;
+
+// Extension the pipeline handles each accepted Content-Type with
+const DOCUMENT_TYPES = {
+  'application/pdf': '.pdf',
+  'text/html': '.html',
+  'application/xhtml+xml': '.html'
+};
+
+// Failed downloads, with the HTTP status the route responds with
+class RemoteDocumentError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'RemoteDocumentError';
+    this.status = status;
+  }
+}
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+// IPv4-mapped IPv6 addresses are judged by their IPv4 address. They're matched here
+// rather than as a ::ffff:0:0/96 rule, which BlockList would apply to every IPv4 address.
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  // new URL() writes mapped addresses in hex: [::ffff:7f00:1] for 127.0.0.1
+  const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (mappedHex) {
+    const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+    return isPrivateAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+
+  if (net.isIPv4(address)) return blockedAddresses.check(address, 'ipv4');
+  if (net.isIPv6(address)) return blockedAddresses.check(address, 'ipv6');
+  return true;
+}
+
+// dns.lookup, refusing host names with any private address
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new RemoteDocumentError(`${hostname} resolves to a private address`, 400));
+    }
+    callback(null, address, family);
+  });
+}
+
+const guardedAgent = new Agent({ connect: { lookup: guardedLookup } });
+
+// Connections to IP literals skip the lookup, so they are checked here
+function assertPublicUrl(url, { allowPrivateAddresses = false } = {}) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new RemoteDocumentError('Only http and https URLs can be downloaded', 400);
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (!allowPrivateAddresses && net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw new RemoteDocumentError(`${hostname} is a private address`, 400);
+  }
+}
+
+/**
+ * Rejects a URL whose host is, or currently resolves to, a private address. For checking
+ * URLs that are stored and fetched later (webhooks); the fetch itself must still go
+ * through guardedAgent, since DNS can change in between. Hosts that don't resolve are
+ * let through and fail when fetched.
+ */
+async function assertPublicHost(url) {
+  assertPublicUrl(url);
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) return;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    return;
+  }
+  if (addresses.some(entry => isPrivateAddress(entry.address))) {
+    throw new RemoteDocumentError(`${hostname} resolves to a private address`, 400);
+  }
+}
+
+// undici wraps connection errors; the guard's own error is more useful
+function unwrapFetchError(error) {
+  if (error instanceof RemoteDocumentError) return error;
+  if (error.cause instanceof RemoteDocumentError) return error.cause;
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+    return new RemoteDocumentError(`The download did not finish within ${TIMEOUT_MS / 1000}s`, 504);
+  }
+  return new RemoteDocumentError(`The document could not be downloaded: ${error.message}`, 502);
+}
+
+// PDFs are often served as application/octet-stream; trust the extension for those only
+function documentExtension(contentType, url) {
+  const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+  if (DOCUMENT_TYPES[mimeType]) return DOCUMENT_TYPES[mimeType];
+  if (mimeType === 'application/octet-stream' && path.extname(url.pathname).toLowerCase() === '.pdf') {
+    return '.pdf';
+  }
+  return null;
+}
+
+// A file name for the upload list and job, from the last path segment of the URL
+function documentFileName(url, extension) {
+  let name = path.basename(url.pathname);
+  try {
+    name = decodeURIComponent(name);
+  } catch (error) {
+    // Keep the encoded name
+  }
+  name = name.replace(/[^\w.\- ]+/g, '_').slice(0, 100) || 'syllabus';
+  return path.extname(name).toLowerCase() === extension ? name : `${name}${extension}`;
+}
+
+async function readBody(body, contentLength) {
+  if (contentLength > MAX_BYTES) {
+    body.destroy();
+    throw new RemoteDocumentError(`The document is larger than ${MAX_BYTES / (1024 * 1024)}MB`, 413);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of body) {
+    size += chunk.length;
+    if (size > MAX_BYTES) {
+      body.destroy();
+      throw new RemoteDocumentError(`The document is larger than ${MAX_BYTES / (1024 * 1024)}MB`, 413);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Downloads the PDF or HTML document at url into directory. Resolves to an uploaded-file
+ * object shaped like multer's ({ path, filename, originalname, mimetype, size }) plus the
+ * final url after redirects. Rejects with a RemoteDocumentError.
+ * allowPrivateAddresses turns the SSRF guard off, for tests against a local server.
+ */
+async function downloadDocument(url, directory, { allowPrivateAddresses = false } = {}) {
+  const signal = AbortSignal.timeout(TIMEOUT_MS);
+  let current = new URL(url);
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      assertPublicUrl(current, { allowPrivateAddresses });
+
+      const response = await request(current, {
+        method: 'GET',
+        headers: {
+          'User-Agent': 'syllabus-scanner',
+          Accept: Object.keys(DOCUMENT_TYPES).join(', ')
+        },
+        dispatcher: allowPrivateAddresses ? undefined : guardedAgent,
+        signal
+      });
+
+      if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+        await response.body.dump();
+        if (redirects >= MAX_REDIRECTS) {
+          throw new RemoteDocumentError(`More than ${MAX_REDIRECTS} redirects`, 502);
+        }
+        current = new URL(response.headers.location, current);
+        continue;
+      }
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        await response.body.dump();
+        throw new RemoteDocumentError(`The server responded with HTTP ${response.statusCode}`, 502);
+      }
+
+      const extension = documentExtension(response.headers['content-type'], current);
+      if (!extension) {
+        await response.body.dump();
+        throw new RemoteDocumentError(
+          `Unsupported content type ${response.headers['content-type'] || '(none)'}; the URL must point to a PDF or HTML page`,
+          415
+        );
+      }
+
+      const data = await readBody(response.body, parseInt(response.headers['content-length'], 10) || 0);
+      const originalname = documentFileName(current, extension);
+      const filename = `${Date.now()}-${originalname}`;
+      const filePath = path.join(directory, filename);
+      await fs.promises.writeFile(filePath, data);
+
+      return {
+        path: filePath,
+        filename,
+        originalname,
+        mimetype: Object.keys(DOCUMENT_TYPES).find(type => DOCUMENT_TYPES[type] === extension),
+        size: data.length,
+        url: current.toString()
+      };
+    }
+  } catch (error) {
+    throw unwrapFetchError(error);
+  }
+}
+
+module.exports = {
+  RemoteDocumentError,
+  assertPublicHost,
+  assertPublicUrl,
+  downloadDocument,
+  guardedAgent,
+  isPrivateAddress
+};
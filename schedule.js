@@ -0,0 +1,369 @@
+// Turns the free-text meeting_days and IMPORTANT DATES from a syllabus into a
+// structured weekly schedule that calendar.js can export as recurring events.
+
+const { isValidDate } = require('./validation');
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_NAMES = [
+  [/^(sun|sundays?)$/i, 'SU'],
+  [/^(mon|mondays?)$/i, 'MO'],
+  [/^(tue|tues|tuesdays?)$/i, 'TU'],
+  [/^(wed|weds|wednesdays?)$/i, 'WE'],
+  [/^(thu|thur|thurs|thursdays?)$/i, 'TH'],
+  [/^(fri|fridays?)$/i, 'FR'],
+  [/^(sat|saturdays?)$/i, 'SA']
+];
+
+// Registrar shorthand such as "MWF", "TTh", "TR" or "TuTh"
+const COMPACT_DAYS = [
+  ['Th', 'TH'], ['Tu', 'TU'], ['Sa', 'SA'], ['Su', 'SU'],
+  ['M', 'MO'], ['T', 'TU'], ['W', 'WE'], ['R', 'TH'], ['F', 'FR']
+];
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const TIME_RANGE_PATTERN = /(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?\s*m?\.?\s*(?:-|–|—|to|until)\s*(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?\s*m?\.?(?![a-z])/i;
+
+const NO_CLASS_PATTERN = /no class|no classes|classes? (?:cancel+ed|suspended)|break|holiday|recess|vacation|thanksgiving|labor day|memorial day|martin luther king|\bmlk\b|juneteenth|veterans day|columbus day|indigenous peoples|presidents'? day|reading day|university closed|campus closed/i;
+
+function parseCompactDays(token) {
+  const days = [];
+  let rest = token;
+
+  while (rest.length > 0) {
+    const match = COMPACT_DAYS.find(([abbreviation]) => rest.startsWith(abbreviation));
+    if (!match) return null;
+    days.push(match[1]);
+    rest = rest.slice(match[0].length);
+  }
+
+  return days;
+}
+
+function expandDayRange(from, to) {
+  const days = [];
+  let index = WEEKDAYS.indexOf(from);
+  const end = WEEKDAYS.indexOf(to);
+
+  for (let step = 0; step < 7; step++) {
+    days.push(WEEKDAYS[index]);
+    if (index === end) break;
+    index = (index + 1) % 7;
+  }
+
+  return days;
+}
+
+function parseDayToken(token) {
+  const named = DAY_NAMES.find(([pattern]) => pattern.test(token));
+  if (named) return [named[1]];
+
+  // Compact forms are written in capitals ("MWF"), which keeps words like "Room" out
+  if (/^[A-Z]/.test(token) && token.length <= 8) {
+    return parseCompactDays(token);
+  }
+
+  return null;
+}
+
+function parseDays(text) {
+  const days = new Set();
+  const tokens = text.split(/[^A-Za-z]+/).filter(Boolean);
+  const rangeMatch = text.match(/([A-Za-z]+)\s*(?:-|–|—|\s(?:through|thru|to)\s)\s*([A-Za-z]+)/);
+
+  if (rangeMatch) {
+    const from = parseDayToken(rangeMatch[1]);
+    const to = parseDayToken(rangeMatch[2]);
+    if (from && to && from.length === 1 && to.length === 1) {
+      expandDayRange(from[0], to[0]).forEach(day => days.add(day));
+    }
+  }
+
+  tokens.forEach(token => {
+    const parsed = parseDayToken(token);
+    if (parsed) parsed.forEach(day => days.add(day));
+  });
+
+  return WEEKDAYS.filter(day => days.has(day));
+}
+
+function toMinutes(hour, minute, meridiem) {
+  let hours = hour % 12;
+  if (meridiem === 'p') hours += 12;
+  return hours * 60 + minute;
+}
+
+function formatMinutes(minutes) {
+  const hours = String(Math.floor(minutes / 60) % 24).padStart(2, '0');
+  const mins = String(minutes % 60).padStart(2, '0');
+  return `${hours}:${mins}:00`;
+}
+
+/**
+ * Resolves a time range such as "12:45-1:40" or "10:35-11:30am" to 24-hour times.
+ * Syllabi usually leave off am/pm, so unmarked hours from 1 to 7 are read as afternoon.
+ */
+function parseTimeRange(match) {
+  const startHour = Number(match[1]);
+  const startMinute = Number(match[2] || 0);
+  const endHour = Number(match[4]);
+  const endMinute = Number(match[5] || 0);
+  let startMeridiem = match[3] ? match[3].toLowerCase() : null;
+  let endMeridiem = match[6] ? match[6].toLowerCase() : null;
+
+  if (startHour > 23 || endHour > 23 || startMinute > 59 || endMinute > 59) return null;
+
+  const guessMeridiem = hour => (hour >= 1 && hour <= 7) || hour === 12 ? 'p' : 'a';
+
+  if (!startMeridiem && endMeridiem) {
+    startMeridiem = endMeridiem;
+    if (toMinutes(startHour, startMinute, startMeridiem) > toMinutes(endHour, endMinute, endMeridiem)) {
+      startMeridiem = 'a';
+    }
+  }
+  if (!startMeridiem) startMeridiem = startHour > 12 ? null : guessMeridiem(startHour);
+
+  let start = startHour > 12 ? startHour * 60 + startMinute : toMinutes(startHour, startMinute, startMeridiem);
+  let end;
+  if (endHour > 12) {
+    end = endHour * 60 + endMinute;
+  } else if (endMeridiem) {
+    end = toMinutes(endHour, endMinute, endMeridiem);
+  } else {
+    end = toMinutes(endHour, endMinute, 'a');
+    while (end <= start && end < 24 * 60) end += 12 * 60;
+  }
+
+  if (end <= start || end >= 24 * 60) return null;
+
+  return { start_time: formatMinutes(start), end_time: formatMinutes(end) };
+}
+
+function parseLocation(text) {
+  const location = text
+    .replace(/^[\s,;:()\-–—]+/, '')
+    .replace(/^(?:in|at|@|location:?|room:?)\s+/i, match => /room/i.test(match) ? match : '')
+    .replace(/[\s,;()]+$/, '')
+    .trim();
+
+  return /[A-Za-z]/.test(location) ? location : null;
+}
+
+function parseMeetingSegment(segment) {
+  const timeMatch = segment.match(TIME_RANGE_PATTERN);
+  // A bare "10-11" is too easily a date or a room number; require a colon or am/pm
+  const isTime = timeMatch && (timeMatch[2] || timeMatch[5] || timeMatch[3] || timeMatch[6]);
+
+  const before = isTime ? segment.slice(0, timeMatch.index) : segment;
+  const after = isTime ? segment.slice(timeMatch.index + timeMatch[0].length) : '';
+
+  let days = parseDays(before);
+  let location = parseLocation(after);
+  if (days.length === 0 && after) {
+    days = parseDays(after);
+    location = null;
+  }
+  if (days.length === 0) return null;
+
+  const times = isTime ? parseTimeRange(timeMatch) : null;
+
+  return {
+    days,
+    start_time: times ? times.start_time : null,
+    end_time: times ? times.end_time : null,
+    location
+  };
+}
+
+/**
+ * Parses meeting_days text like "Mondays & Wednesdays 12:45-1:40" or
+ * "MWF 10:00-10:50 AM, Hall of Languages 207; F 2-3:50pm Lab" into
+ * [{ days: ['MO', 'WE'], start_time: '12:45:00', end_time: '13:40:00', location }].
+ */
+function parseMeetingDays(text) {
+  if (!text || typeof text !== 'string') return [];
+
+  return text
+    .split(/[;\n]+/)
+    .map(segment => segment.trim())
+    .filter(Boolean)
+    .map(parseMeetingSegment)
+    .filter(Boolean);
+}
+
+function toISODate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1) return null;
+  return date.toISOString().split('T')[0];
+}
+
+// Picks the year that puts a month/day closest to the middle of the term
+function resolveYear(month, day, referenceDate) {
+  const reference = new Date(`${referenceDate}T00:00:00Z`);
+  const year = reference.getUTCFullYear();
+
+  return [year - 1, year, year + 1]
+    .map(candidate => toISODate(candidate, month, day))
+    .filter(Boolean)
+    .reduce((best, candidate) => {
+      if (!best) return candidate;
+      const distance = value => Math.abs(new Date(`${value}T00:00:00Z`) - reference);
+      return distance(candidate) < distance(best) ? candidate : best;
+    }, null);
+}
+
+function parseDateRanges(text, referenceDate) {
+  const ranges = [];
+  const monthPattern = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?((?:\s*(?:-|–|—|to|through|&|and|,)\s*(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+)?\d{1,2}(?:st|nd|rd|th)?\b)*)(?:,?\s*(\d{4}))?/gi;
+
+  let match;
+  while ((match = monthPattern.exec(text)) !== null) {
+    let month = MONTHS[match[1].toLowerCase()];
+    const explicitYear = match[4] ? Number(match[4]) : null;
+    const resolve = (m, d) => explicitYear ? toISODate(explicitYear, m, d) : resolveYear(m, d, referenceDate);
+
+    const start = resolve(month, Number(match[2]));
+    if (!start) continue;
+
+    let current = { start_date: start, end_date: start };
+    ranges.push(current);
+
+    const continuation = /\s*(-|–|—|to|through|&|and|,)\s*(?:(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+)?(\d{1,2})/gi;
+    let part;
+    while ((part = continuation.exec(match[3])) !== null) {
+      if (part[2]) month = MONTHS[part[2].toLowerCase()];
+      const date = resolve(month, Number(part[3]));
+      if (!date) continue;
+
+      if (/^(&|and|,)$/i.test(part[1])) {
+        // "November 24 & 26" lists separate days rather than a range
+        current = { start_date: date, end_date: date };
+        ranges.push(current);
+      } else if (date >= current.start_date) {
+        current.end_date = date;
+      }
+    }
+  }
+
+  return ranges;
+}
+
+function extractImportantDateLines(syllabusText) {
+  if (!syllabusText || typeof syllabusText !== 'string') return [];
+
+  const lines = syllabusText.split(/\r?\n/);
+  const headingIndex = lines.findIndex(line => /important dates/i.test(line));
+  if (headingIndex === -1) return [];
+
+  const items = [];
+  for (const line of lines.slice(headingIndex + 1)) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    if (!/^[-•*]/.test(trimmed)) break;
+    items.push(trimmed.replace(/^[-•*]\s*/, ''));
+  }
+
+  return items;
+}
+
+/**
+ * Finds the no-class days listed under "IMPORTANT DATES" in the stored syllabus text.
+ * referenceDate (YYYY-MM-DD) is used to fill in the year when the syllabus leaves it out.
+ */
+function parseExcludedDates(syllabusText, referenceDate) {
+  return extractImportantDateLines(syllabusText)
+    .filter(item => NO_CLASS_PATTERN.test(item))
+    .flatMap(item => parseDateRanges(item, referenceDate).map(range => ({
+      ...range,
+      description: item
+    })));
+}
+
+function addDays(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+function weekdayOf(date) {
+  return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+const DEFAULT_TERM_WEEKS = 15;
+
+/**
+ * The syllabus doesn't give term dates directly, so the term is taken to span the
+ * dated assignments. Without any, it runs DEFAULT_TERM_WEEKS from the upload date.
+ */
+function inferTerm(course, assignments) {
+  const dates = assignments
+    .map(assignment => assignment.due_date ? String(assignment.due_date).slice(0, 10) : null)
+    .filter(isValidDate)
+    .sort();
+
+  if (dates.length > 0) {
+    return { start_date: dates[0], end_date: dates[dates.length - 1], source: 'assignments' };
+  }
+
+  const uploaded = course.created_at ? String(course.created_at).slice(0, 10) : null;
+  const start = isValidDate(uploaded) ? uploaded : new Date().toISOString().split('T')[0];
+  return { start_date: start, end_date: addDays(start, DEFAULT_TERM_WEEKS * 7 - 1), source: 'created_at' };
+}
+
+/**
+ * Lists the dates within the term that a meeting actually happens on
+ * and that fall inside an excluded range.
+ */
+function excludedOccurrences(meeting, term, excludedDates) {
+  const skipped = [];
+
+  excludedDates.forEach(range => {
+    for (let date = range.start_date; date <= range.end_date; date = addDays(date, 1)) {
+      if (date >= term.start_date && date <= term.end_date && meeting.days.includes(weekdayOf(date))) {
+        skipped.push(date);
+      }
+    }
+  });
+
+  return [...new Set(skipped)].sort();
+}
+
+function firstOccurrence(meeting, term) {
+  for (let offset = 0; offset < 7; offset++) {
+    const date = addDays(term.start_date, offset);
+    if (meeting.days.includes(weekdayOf(date))) return date;
+  }
+  return null;
+}
+
+/**
+ * Builds the structured weekly schedule for a course from its stored row and assignments.
+ */
+function buildCourseSchedule(course, assignments = []) {
+  const term = inferTerm(course, assignments);
+  const midTerm = addDays(term.start_date,
+    Math.floor((new Date(`${term.end_date}T00:00:00Z`) - new Date(`${term.start_date}T00:00:00Z`)) / 86400000 / 2));
+  const excludedDates = parseExcludedDates(course.syllabus_text, midTerm);
+
+  const meetings = parseMeetingDays(course.meeting_days).map(meeting => ({
+    ...meeting,
+    first_date: firstOccurrence(meeting, term),
+    skipped_dates: excludedOccurrences(meeting, term, excludedDates)
+  }));
+
+  return {
+    meeting_days: course.meeting_days || null,
+    meetings,
+    term,
+    excluded_dates: excludedDates
+  };
+}
+
+module.exports = {
+  parseMeetingDays,
+  parseExcludedDates,
+  buildCourseSchedule
+};
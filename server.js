@@ -3,243 +3,42 @@ const multer = require('multer');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const winston = require('winston');
-const OpenAI = require('openai');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
 const { exec } = require('child_process');
 const util = require('util');
 const execAsync = util.promisify(exec);
-const pdfParse = require('pdf-parse');
 const database = require('./database');
 const sqliteDatabase = require('./database-sqlite');
-
-// Image analysis function
-async function analyzeImageWithOpenAI(fileBuffer, fileExtension) {
-  logger.info(`Analyzing image with OpenAI Vision API...`);
-
-  // Convert buffer to base64
-  const base64Image = fileBuffer.toString('base64');
-  const mimeType = fileExtension === '.jpg' || fileExtension === '.jpeg' ? 'image/jpeg' :
-                   fileExtension === '.png' ? 'image/png' :
-                   fileExtension === '.gif' ? 'image/gif' :
-                   fileExtension === '.bmp' ? 'image/bmp' :
-                   fileExtension === '.webp' ? 'image/webp' : 'image/jpeg';
-
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o-mini',
-    messages: [
-      {
-        role: 'user',
-        content: [
-          {
-            type: 'text',
-            text: `Please analyze this syllabus image and extract key information in a structured format. Return a JSON object with the following structure:
-
-{
-  "course_name": "Course title",
-  "professor_name": "Professor name",
-  "professor_email": "Professor email",
-  "meeting_days": "Days and times when class meets",
-  "office_hours": "Professor's office hours",
-  "assignments": [
-    {
-      "title": "Assignment name",
-      "due_date": "YYYY-MM-DD",
-      "due_time": "HH:MM:SS",
-      "type": "exam|assignment|reading|project|quiz|other",
-      "description": "Assignment description"
-    }
-  ],
-  "plain_text": "Clean, formatted version of the syllabus text"
-}`
-          },
-          {
-            type: 'image_url',
-            image_url: {
-              url: `data:${mimeType};base64,${base64Image}`
-            }
-          }
-        ]
-      }
-    ],
-    temperature: 0.3,
-    max_tokens: 4000
-  });
-
-  const content = response.choices[0].message.content;
-
-  try {
-    return JSON.parse(content);
-  } catch (parseError) {
-    logger.error('❌ Failed to parse OpenAI image response as JSON:', parseError);
-    return {
-      plain_text: content,
-      error: 'Failed to parse structured data',
-      raw_response: content
-    };
-  }
-}
-
-// PDF Vision fallback function
-async function analyzePDFWithVision(fileBuffer) {
-  logger.info(`Using OpenAI Vision API for PDF processing...`);
-
-  // Convert PDF buffer to base64
-  const base64PDF = fileBuffer.toString('base64');
-
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o-mini',
-    messages: [
-      {
-        role: 'user',
-        content: [
-          {
-            type: 'text',
-            text: `Please analyze this PDF syllabus and extract key information in a structured format. Return a JSON object with the following structure:
-
-{
-  "course_name": "Course title",
-  "professor_name": "Professor name",
-  "professor_email": "Professor email",
-  "meeting_days": "Days and times when class meets",
-  "office_hours": "Professor's office hours",
-  "assignments": [
-    {
-      "title": "Assignment name",
-      "due_date": "YYYY-MM-DD",
-      "due_time": "HH:MM:SS",
-      "type": "exam|assignment|reading|project|quiz|other",
-      "description": "Assignment description"
-    }
-  ],
-  "plain_text": "Clean, formatted version of the syllabus text"
-}`
-          },
-          {
-            type: 'image_url',
-            image_url: {
-              url: `data:application/pdf;base64,${base64PDF}`
-            }
-          }
-        ]
-      }
-    ],
-    temperature: 0.3,
-    max_tokens: 4000
-  });
-
-  const content = response.choices[0].message.content;
-
-  try {
-    return JSON.parse(content);
-  } catch (parseError) {
-    logger.error('❌ Failed to parse OpenAI PDF vision response as JSON:', parseError);
-    return {
-      plain_text: content,
-      error: 'Failed to parse structured data',
-      raw_response: content
-    };
-  }
-}
-
-// Syllabus processing functions
-async function analyzeSyllabusWithOpenAI(filePath) {
-  logger.info(`Reading file: ${filePath}`);
-
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`File not found: ${filePath}`);
-  }
-
-  const fileExtension = path.extname(filePath).toLowerCase();
-  const fileBuffer = fs.readFileSync(filePath);
-
-  // Check if it's an image file
-  if (['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'].includes(fileExtension)) {
-    logger.info(`Processing image file: ${fileExtension}`);
-    return await analyzeImageWithOpenAI(fileBuffer, fileExtension);
-  }
-
-  // Process as PDF
-  let data;
-  try {
-    logger.info(`Attempting to parse PDF...`);
-    data = await pdfParse(fileBuffer, {
-      // Add options to handle various PDF types
-      normalizeWhitespace: false,
-      disableCombineTextItems: false
-    });
-    logger.info(`Successfully extracted ${data.text.length} characters from PDF`);
-
-    if (data.text.length === 0) {
-      logger.info('PDF parsing resulted in empty text - trying OpenAI vision as fallback...');
-      // Convert PDF to image and use OpenAI Vision as fallback
-      return await analyzePDFWithVision(fileBuffer);
-    }
-  } catch (pdfError) {
-    logger.error(`PDF parsing failed:`, pdfError.message);
-    logger.info('PDF parsing failed - trying OpenAI vision as fallback...');
-    // Use OpenAI Vision as fallback for image-based PDFs
-    return await analyzePDFWithVision(fileBuffer);
-  }
-
-  const prompt = `Please analyze this syllabus text and extract key information in a structured format. Return a JSON object with the following structure:
-
-{
-  "course_name": "Course title",
-  "professor_name": "Professor name",
-  "professor_email": "Professor email",
-  "meeting_days": "Days and times when class meets",
-  "office_hours": "Professor's office hours",
-  "assignments": [
-    {
-      "title": "Assignment name",
-      "due_date": "YYYY-MM-DD",
-      "due_time": "HH:MM:SS",
-      "type": "exam|assignment|reading|project|quiz|other",
-      "description": "Assignment description"
-    }
-  ],
-  "plain_text": "Clean, formatted version of the syllabus text"
-}
-
-Syllabus text:
-${data.text}`;
-
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o-mini',
-    messages: [{ role: 'user', content: prompt }],
-    temperature: 0.3,
-  });
-
-  const content = response.choices[0].message.content;
-
-  try {
-    return JSON.parse(content);
-  } catch (parseError) {
-    logger.error('Failed to parse OpenAI response as JSON:', parseError);
-    return {
-      plain_text: content,
-      error: 'Failed to parse structured data',
-      raw_response: content
-    };
-  }
-}
-
-function parseSyllabusData(aiResponse) {
-  const courseData = {
-    course_name: aiResponse.course_name || 'Unknown Course',
-    professor_name: aiResponse.professor_name || 'Unknown Professor',
-    professor_email: aiResponse.professor_email || null,
-    meeting_days: aiResponse.meeting_days || null,
-    office_hours: aiResponse.office_hours || null,
-    syllabus_text: aiResponse.plain_text || JSON.stringify(aiResponse)
-  };
-
-  const assignments = Array.isArray(aiResponse.assignments) ? aiResponse.assignments : [];
-
-  return { courseData, assignments };
-}
+const { validateAssignmentInput, validateCourseInput, validateTemplateInput, validateHttpUrl, isValidDate } = require('./validation');
+const { buildCalendar } = require('./calendar');
+const { buildCourseSchedule } = require('./schedule');
+const { createProvider } = require('./llm-provider');
+const { createSyllabusPipeline, SUPPORTED_EXTENSIONS } = require('./syllabus-pipeline');
+const { SyllabusValidationError } = require('./syllabus-schema');
+const {
+  generateToken,
+  hashToken,
+  extractToken,
+  validateRegistrationInput,
+  validateTokenName
+} = require('./auth');
+const {
+  rateLimit,
+  checkTokenBudget,
+  createUsageRecorder,
+  sendTooManyRequests
+} = require('./rate-limit');
+const {
+  buildTemplateKey,
+  buildTemplateSearchPattern,
+  publishCourse,
+  subscribeToTemplate,
+  syncTemplateFromCourse
+} = require('./course-templates');
+const { generateWebhookSecret } = require('./webhooks');
+const { assertPublicHost, downloadDocument, RemoteDocumentError } = require('./remote-document');
 
 dotenv.config();
 
@@ -263,15 +62,19 @@ const logger = winston.createLogger({
   ],
 });
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+const llm = createProvider({
   timeout: 25000, // 25 second timeout to fit within Vercel's 30s limit
   maxRetries: 1,  // Reduce retries to save time
 });
 
+const pipeline = createSyllabusPipeline({ llm, logger });
+
+// Also where /api/scan-syllabus-url saves downloads, so the worker finds them the same way
+const UPLOAD_DIR = 'uploads/';
+
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    const uploadDir = 'uploads/';
+    const uploadDir = UPLOAD_DIR;
     if (!fs.existsSync(uploadDir)) {
       fs.mkdirSync(uploadDir, { recursive: true });
     }
@@ -287,685 +90,1742 @@ const upload = multer({
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
+  // The pipeline picks its analysis path by extension, so that is what gets checked
+  // (browsers report Markdown and RTF files under several MIME types)
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf'];
-    if (allowedTypes.includes(file.mimetype)) {
+    if (SUPPORTED_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only JPEG, PNG, and PDF files are allowed.'));
+      cb(Object.assign(
+        new Error(`Invalid file type. Supported files: ${SUPPORTED_EXTENSIONS.join(', ')}`),
+        { code: 'UNSUPPORTED_FILE_TYPE' }
+      ));
     }
   }
 });
 
+// Number of proxy hops to trust for req.ip (e.g. 1 behind Render's load balancer)
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || false);
+
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
-async function analyzeTextWithOpenAI(text) {
-  const completion = await openai.chat.completions.create({
-    model: "gpt-4o",
-    messages: [
-      {
-        role: "system",
-        content: "You are a helpful assistant that extracts structured data from syllabi. Analyze the text and return the information in clean, readable plain text format."
-      },
-      {
-        role: "user",
-        content: `You are a COMPREHENSIVE syllabus analyzer trained to extract ALL student-essential information. Use this TRAINING EXAMPLE to understand what students need:
-
-TRAINING EXAMPLE - ANT 141 Syllabus shows students need:
-✓ Basic Info: "Introduction to Archaeology", "Professor C. R. DeCorse", "crdecorse@maxwell.syr.edu", "Mondays & Wednesdays 12:45-1:40", "2-5:00 Mon., Wed.; 12-2:00 Fri."
-✓ Test Dates: "Monday, September 29", "Monday, November 3", "Tuesday, December 16, 10:15 AM - 12:15 PM"
-✓ Assignment Deadlines: "Discussion section participation 40%", "Quizzes, exercises, film study guides"
-✓ Weekly Readings: "Record of the Past: An Introduction to Archaeology, 4th Edition", "Chapter 1", "Chapters 2 & 3"
-✓ Major Deliverables: "Two in-class exams (20% each)", "Final exam (20%)", "Discussion section grade (40%)"
-✓ Important Dates: "Labor Day September 1 (no class)", "Fall Break October 14-15", "Thanksgiving November 23-30"
-
-SPECIFIC ASSIGNMENT PATTERNS TO WATCH FOR:
-• "In Class Writing Assignment" + dates: "Monday, Sept. 9", "Wednesday, Sept. 18"
-• "ICWA" assignments with specific deadlines
-• Homework assignments with due dates
-• Project milestones and final deadlines
-• Reading assignments by week/date
-• Quiz and exam schedules
-• Discussion posts and participation requirements
-
-EXTRACT FROM THIS SYLLABUS TEXT:
-
-${text}
-
-RETURN IN THIS CLEAN FORMAT:
-Course: [Course Name and Number]
-Professor: [Name]
-Email: [Email]
-Meeting Times: [Days and times]
-Office Hours: [Times]
-
-Important Dates:
-- [Date]: [Event description]
-- [Date]: [Event description]
-
-Assignments & Due Dates:
-- [Date]: [Assignment name and details]
-- [Date]: [Assignment name and details]
-
-Tests & Exams:
-- [Date]: [Test/exam details]
-- [Date]: [Test/exam details]
-
-Reading Schedule:
-- Week/Date: [Reading assignment]
-- Week/Date: [Reading assignment]
-
-Additional Information:
-[Any other important student information like grading, policies, etc.]`
+// Rate limits and token budgets for the routes that make paid LLM calls (0 disables a limit)
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 60000;
+const envLimit = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+const TOKEN_BUDGETS = {
+  dailyLimit: envLimit('LLM_DAILY_TOKEN_BUDGET', 200000),
+  monthlyLimit: envLimit('LLM_MONTHLY_TOKEN_BUDGET', 2000000)
+};
+
+// Each file of a batch counts as a scan
+const scanUserRateLimit = rateLimit({
+  name: 'Scan',
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: envLimit('SCAN_RATE_LIMIT_PER_USER', 10),
+  keyFor: req => req.user && `user:${req.user.id}`,
+  cost: req => (req.files ? req.files.length : 1)
+});
+
+const scanIpRateLimit = rateLimit({
+  name: 'Scan',
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: envLimit('SCAN_RATE_LIMIT_PER_IP', 30),
+  keyFor: req => `ip:${req.ip}`
+});
+
+// Sign-ups are limited per IP, so one client can't script unlimited accounts
+const registerRateLimit = rateLimit({
+  name: 'Registration',
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: envLimit('REGISTER_RATE_LIMIT_PER_IP', 3),
+  keyFor: req => `ip:${req.ip}`
+});
+
+// Token budgets and scan limits are per user, so new accounts per IP are also capped per
+// day; otherwise signing up again would hand a client a fresh budget
+const dailyRegisterRateLimit = rateLimit({
+  name: 'Daily registration',
+  windowMs: 24 * 60 * 60 * 1000,
+  max: envLimit('REGISTRATIONS_PER_IP_PER_DAY', 10),
+  keyFor: req => `ip:${req.ip}`
+});
+
+const diagnosticRateLimit = rateLimit({
+  name: 'Diagnostic',
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: envLimit('DEBUG_RATE_LIMIT_PER_IP', 5),
+  keyFor: req => `ip:${req.ip}`
+});
+
+// Rejects the request with a 429 once the user's daily or monthly token budget is spent
+async function enforceTokenBudget(req, res, next) {
+  try {
+    const exceeded = await checkTokenBudget(activeDatabase, getUserId(req), TOKEN_BUDGETS);
+    if (exceeded) {
+      return sendTooManyRequests(res, exceeded.retryAfterSeconds,
+        `Your ${exceeded.period} budget of ${exceeded.limit} LLM tokens is used up (${exceeded.used} used). Retry in ${exceeded.retryAfterSeconds} seconds.`);
+    }
+    next();
+  } catch (error) {
+    logger.error('Error checking token budget:', error);
+    res.status(500).json({
+      error: 'Budget check failed',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+}
+
+// Authentication: API routes identify the user from an API token
+// ("Authorization: Bearer ssk_...") issued by POST /api/auth/register or /api/auth/tokens
+function requireAuth({ allowQueryToken = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const token = extractToken(req, { allowQuery: allowQueryToken });
+      const user = token ? await activeDatabase.getUserByTokenHash(hashToken(token)) : null;
+
+      if (!user) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: token ? 'Invalid or revoked API token' : 'An API token is required'
+        });
       }
-    ],
-    temperature: 0.2,
-    max_tokens: 2000
+
+      req.user = { id: user.id, email: user.email, name: user.name, token_id: user.token_id };
+
+      activeDatabase.touchApiToken(user.token_id).catch(error => {
+        logger.error('Error recording API token use:', error);
+      });
+
+      next();
+    } catch (error) {
+      logger.error('Error authenticating request:', error);
+      res.status(500).json({
+        error: 'Authentication failed',
+        message: error.message || 'An unexpected error occurred'
+      });
+    }
+  };
+}
+
+const authenticate = requireAuth();
+// Calendar subscriptions can't send headers, so the feed routes also accept ?token=
+const authenticateFeed = requireAuth({ allowQueryToken: true });
+
+function formatUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    created_at: user.created_at
+  };
+}
+
+// Issues a new token and returns it in plain text; this is the only time it is shown
+async function issueToken(userId, name) {
+  const token = generateToken();
+  const tokenId = await activeDatabase.createApiToken(userId, hashToken(token), name);
+  return { id: tokenId, name, token };
+}
+
+app.post('/api/auth/register', registerRateLimit, dailyRegisterRateLimit, requireDatabase, async (req, res) => {
+  try {
+    if (process.env.REGISTRATION_ENABLED === 'false') {
+      return res.status(403).json({
+        error: 'Registration disabled',
+        message: 'New accounts cannot be created on this server'
+      });
+    }
+
+    const { values, errors } = validateRegistrationInput(req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    if (await activeDatabase.getUserByEmail(values.email)) {
+      return res.status(409).json({
+        error: 'Email already registered',
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const userId = await activeDatabase.createUser(values);
+    const user = await activeDatabase.getUserById(userId);
+    const token = await issueToken(userId, 'default');
+
+    res.status(201).json({
+      success: true,
+      user: formatUser(user),
+      token: token.token,
+      token_id: token.id
+    });
+  } catch (error) {
+    logger.error('Error registering user:', error);
+    res.status(500).json({
+      error: 'Registration failed',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+app.get('/api/auth/me', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const user = await activeDatabase.getUserById(req.user.id);
+    res.json({ success: true, user: formatUser(user), token_id: req.user.token_id });
+  } catch (error) {
+    logger.error('Error fetching user:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+app.get('/api/auth/tokens', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const tokens = await activeDatabase.getApiTokensByUser(req.user.id);
+    res.json({ success: true, tokens });
+  } catch (error) {
+    logger.error('Error listing API tokens:', error);
+    res.status(500).json({
+      error: 'Failed to list tokens',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+app.post('/api/auth/tokens', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const { value: name, error } = validateTokenName(req.body.name);
+    if (error) {
+      return sendValidationError(res, [error]);
+    }
+
+    const token = await issueToken(req.user.id, name);
+
+    res.status(201).json({
+      success: true,
+      token: token.token,
+      token_id: token.id,
+      name: token.name
+    });
+  } catch (error) {
+    logger.error('Error issuing API token:', error);
+    res.status(500).json({
+      error: 'Failed to issue token',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+app.delete('/api/auth/tokens/:id', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const tokenId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(tokenId) || tokenId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid token ID',
+        message: 'Token ID must be a positive integer'
+      });
+    }
+
+    const revoked = await activeDatabase.revokeApiToken(tokenId, req.user.id);
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Token not found',
+        message: 'No active token found with the provided ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Token revoked',
+      token_id: tokenId
+    });
+  } catch (error) {
+    logger.error('Error revoking API token:', error);
+    res.status(500).json({
+      error: 'Failed to revoke token',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+// Progress events for queued scans, streamed by GET /api/job-status/:jobId/events.
+// A failure to record one is logged and never fails the request.
+function recordJobEvent(jobId, stage, detail = null) {
+  return activeDatabase.addJobEvent(jobId, stage, detail).catch(error => {
+    logger.error(`Error recording ${stage} event for job ${jobId}:`, error);
   });
+}
+
+// Clients opt into background processing with ?async=true or "Prefer: respond-async"
+function wantsAsyncProcessing(req) {
+  return req.query.async === 'true' ||
+         String(req.body.async) === 'true' ||
+         /\brespond-async\b/i.test(req.headers.prefer || '');
+}
+
+// Clients force a new analysis of a previously seen document with ?refresh=true
+// or "Cache-Control: no-cache"
+function wantsFreshAnalysis(req) {
+  return req.query.refresh === 'true' ||
+         String(req.body.refresh) === 'true' ||
+         /\bno-cache\b/i.test(req.headers['cache-control'] || '');
+}
 
-  return completion.choices[0].message.content;
+// validateHttpUrl for URLs the server will POST to later (webhooks and callback URLs),
+// which must not point to loopback, private or metadata addresses. Resolves to { value }
+// or { error }.
+async function validateWebhookUrl(url, field = 'url') {
+  const { value, error } = validateHttpUrl(url, field);
+  if (error) return { error };
+
+  try {
+    await assertPublicHost(new URL(value));
+  } catch (hostError) {
+    if (hostError instanceof RemoteDocumentError) {
+      return { error: `${field} must not point to a private address (${hostError.message})` };
+    }
+    throw hostError;
+  }
+  return { value };
+}
+
+// A callback_url is POSTed the result once the queued job finishes (see webhooks.js).
+// Resolves to { callback } (null when none was given) or { error }.
+async function parseCallback(req) {
+  const callbackUrl = req.body.callback_url || req.query.callback_url;
+  if (callbackUrl === undefined) return { callback: null };
+
+  const { value, error } = await validateWebhookUrl(callbackUrl, 'callback_url');
+  if (error) return { error };
+  return { callback: { url: value, secret: generateWebhookSecret() } };
+}
+
+function deleteUploads(files) {
+  files.forEach(file => {
+    fs.unlink(file.path, (err) => {
+      if (err) logger.error('Error deleting uploaded file:', err);
+    });
+  });
 }
 
-async function analyzePageWithOpenAI(imagePath) {
-  const imageBuffer = fs.readFileSync(imagePath);
-  const base64Image = imageBuffer.toString('base64');
-  const mimeType = 'image/jpeg';
-
-  const completion = await openai.chat.completions.create({
-    model: "gpt-4o",
-    messages: [
-      {
-        role: "system",
-        content: "You are a helpful assistant that extracts structured data from syllabi. Analyze the image and return the information in clean, readable plain text format."
+/**
+ * Scans an uploaded file (from multer, or downloaded by /api/scan-syllabus-url) and sends
+ * the response: the extracted data, or 202 with a job when the client asked for async
+ * processing. Synchronous scans delete the file when done; queued ones leave it to the worker.
+ */
+async function scanSyllabusFile(req, res, file) {
+  try {
+    const userId = getUserId(req);
+
+    const { callback, error: callbackError } = await parseCallback(req);
+    if (callbackError || (callback && !wantsAsyncProcessing(req))) {
+      deleteUploads([file]);
+      return sendValidationError(res, [callbackError || 'callback_url requires async processing (?async=true)']);
+    }
+
+    // Async mode: queue the file for worker.js and return right away
+    if (wantsAsyncProcessing(req)) {
+      const jobId = crypto.randomUUID();
+      await activeDatabase.createJob(jobId, userId, file.originalname, path.resolve(file.path), {
+        bypassCache: wantsFreshAnalysis(req),
+        callbackUrl: callback && callback.url,
+        callbackSecret: callback && callback.secret
+      });
+      logger.info(`Queued syllabus file ${file.filename} as job ${jobId}`);
+      await recordJobEvent(jobId, 'uploaded', { file_name: file.originalname, ...(file.url && { url: file.url }) });
+
+      const statusUrl = `/api/job-status/${jobId}`;
+      return res.status(202).location(statusUrl).json({
+        success: true,
+        message: 'Syllabus queued for processing',
+        job_id: jobId,
+        status: 'pending',
+        status_url: statusUrl,
+        events_url: `${statusUrl}/events`,
+        // Shown only here: it verifies the X-Syllabus-Signature of the callback
+        ...(callback && { callback_url: callback.url, callback_secret: callback.secret })
+      });
+    }
+
+    logger.info(`Processing syllabus file: ${file.filename}`);
+
+    // Process the syllabus immediately
+    // Check database connection
+    if (!activeDatabase) {
+      throw new Error('Database connection unavailable');
+    }
+
+    // Extract, analyze and save the syllabus, recording the LLM usage it costs
+    const usageRecorder = createUsageRecorder(activeDatabase, { userId });
+    const {
+      analysisPath,
+      cached,
+      data: syllabusData,
+      courseData,
+      assignments,
+      courseId,
+      savedAssignments
+    } = await pipeline.processSyllabus(file.path, {
+      database: activeDatabase,
+      userId,
+      onCompletion: usageRecorder,
+      bypassCache: wantsFreshAnalysis(req)
+    });
+
+    await usageRecorder.linkCourse(courseId).catch(error => {
+      logger.error('Error linking LLM usage to course:', error);
+    });
+
+    // Clean up uploaded file
+    fs.unlink(file.path, (err) => {
+      if (err) logger.error('Error deleting processed file:', err);
+    });
+
+    // Return success with extracted data
+    res.json({
+      success: true,
+      message: 'Syllabus processed successfully!',
+      course: {
+        id: courseId,
+        name: courseData.course_name,
+        professor: courseData.professor_name,
+        email: courseData.professor_email
       },
-      {
-        role: "user",
-        content: [
-          {
-            type: "text",
-            text: `You are a COMPREHENSIVE syllabus analyzer trained to extract ALL student-essential information. Use this TRAINING EXAMPLE to understand what students need:
-
-TRAINING EXAMPLE - ANT 141 Syllabus shows students need:
-✓ Basic Info: "Introduction to Archaeology", "Professor C. R. DeCorse", "crdecorse@maxwell.syr.edu", "Mondays & Wednesdays 12:45-1:40", "2-5:00 Mon., Wed.; 12-2:00 Fri."
-✓ Test Dates: "Monday, September 29", "Monday, November 3", "Tuesday, December 16, 10:15 AM - 12:15 PM"
-✓ Assignment Deadlines: "Discussion section participation 40%", "Quizzes, exercises, film study guides"
-✓ Weekly Readings: "Record of the Past: An Introduction to Archaeology, 4th Edition", "Chapter 1", "Chapters 2 & 3"
-✓ Major Deliverables: "Two in-class exams (20% each)", "Final exam (20%)", "Discussion section grade (40%)"
-✓ Important Dates: "Labor Day September 1 (no class)", "Fall Break October 14-15", "Thanksgiving November 23-30"
-
-SPECIFIC ASSIGNMENT PATTERNS TO WATCH FOR:
-• "In Class Writing Assignment" + dates: "Monday, Sept. 9", "Wednesday, Sept. 18"
-• "ICWA" assignments with specific deadlines
-• "Mini-Exam" dates: "Monday, October 20", "Monday, November 10"
-• Assignment percentages: "10% of final grade", "20% each"
-• Submission details: "due at beginning of class", "submitted electronically"
-
-EXTRACTION RULES - Find EVERY instance of:
-
-BASIC CONTACT INFO:
-• Course title/name/number
-• Professor/instructor name(s) and contact info
-• Class meeting schedule (days/times/location)
-• Office hours and availability
-
-ACADEMIC DEADLINES (CRITICAL for students):
-• Exam dates (midterm, final, quizzes) with specific dates/times
-• Assignment due dates and descriptions
-• Project deadlines and submission requirements
-• Discussion section requirements and participation grades
-
-COURSE STRUCTURE:
-• Required textbooks and reading assignments
-• Weekly reading schedules and chapter assignments
-• Major projects, presentations, papers
-• Grading breakdown (percentages for exams, assignments, participation)
-
-CALENDAR INFORMATION:
-• Holiday breaks and no-class days
-• Important semester dates and deadlines
-• Special events, field trips, extra credit opportunities
-• Final exam schedule and location
-
-SEARCH FOR THESE PATTERNS:
-- Specific dates: "September 29", "Monday, November 3", "December 16"
-- Percentage breakdowns: "20% each", "40% of grade"
-- Chapter assignments: "Chapter 1", "pages 101-114"
-- Schedule patterns: "Week 1:", "Monday & Wednesday"
-- Break periods: "Labor Day", "Fall Break", "Thanksgiving"
-- Exam information: "Final exam", "in-class examination"
-
-VALIDATION REQUIREMENT:
-Return "Not specified in document" only if information truly doesn't exist after thorough search.
-
-Return information in this clean, well-separated format:
-
-🎓 COURSE INFORMATION
-• Course Name: [course name or "Not specified in document"]
-• Professor: [professor name or "Not specified in document"]
-• Email: [email or "Not specified in document"]
-• Meeting Days: [schedule or "Not specified in document"]
-• Office Hours: [office hours or "Not specified in document"]
-
-📝 TEST DATES
-• [Each test date as a bullet point, or "Not specified in document"]
-
-📋 ASSIGNMENT DEADLINES
-• [Each assignment deadline as a bullet point, or "Not specified in document"]
-
-📚 WEEKLY READINGS
-• [Each reading assignment as a bullet point, or "Not specified in document"]
-
-🎯 MAJOR DELIVERABLES
-• [Each major project/deliverable as a bullet point, or "Not specified in document"]
-
-📅 IMPORTANT DATES
-• [Each important date as a bullet point, or "Not specified in document"]
-
-EXTRACT EVERYTHING. STUDENTS DEPEND ON THIS INFORMATION.`
-          },
-          {
-            type: "image_url",
-            image_url: {
-              url: `data:${mimeType};base64,${base64Image}`
-            }
-          }
-        ]
+      assignments: assignments.length,
+      assignments_saved: savedAssignments.length,
+      analysis_path: analysisPath,
+      cached,
+      data: {
+        ...syllabusData,
+        plain_text: courseData.syllabus_text
       }
-    ],
-    temperature: 0.1,
-    max_tokens: 1000,
-  });
+    });
+
+  } catch (error) {
+    const action = wantsAsyncProcessing(req) ? 'Queuing the syllabus' : 'Syllabus processing';
+    logger.error(`${action} failed:`, error);
+    logger.error('Error stack:', error.stack);
+    logger.error('File info:', file ? {
+      filename: file.filename,
+      path: file.path,
+      mimetype: file.mimetype,
+      size: file.size
+    } : 'No file');
 
-  const content = completion.choices[0].message.content.trim();
-  logger.info('OpenAI response:', content.substring(0, 200) + '...');
+    // Clean up uploaded file on error
+    if (file && file.path) {
+      fs.unlink(file.path, (err) => {
+        if (err) logger.error('Error deleting uploaded file on error:', err);
+      });
+    }
 
-  // Return the plain text content directly
-  return { plain_text: content };
-}
+    if (error instanceof SyllabusValidationError) {
+      return res.status(422).json({
+        error: 'Syllabus could not be parsed',
+        message: error.message,
+        errors: error.errors
+      });
+    }
 
-function combineResults(page1Data, page3Data) {
-  // Legacy function for backward compatibility - will use combineAllResults instead
-  const allPageData = [
-    { pageNumber: 1, data: page1Data },
-    { pageNumber: 3, data: page3Data }
-  ];
-  return combineAllResults(allPageData);
+    res.status(500).json({
+      error: `${action} failed`,
+      message: error.message || 'An unexpected error occurred',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
 }
 
-function combineAllResults(allPageData) {
-  // Smart combination - extract key information from all pages into one clean summary
-  let courseInfo = { name: "", professor: "", email: "", meetingDays: "", officeHours: "" };
-  let testDates = [];
-  let assignmentDeadlines = [];
-  let weeklyReadings = [];
-  let majorDeliverables = [];
-  let importantDates = [];
-
-  // Helper function to extract bullet points from a section
-  function extractBulletPoints(content, sectionTitle) {
-    const sectionRegex = new RegExp(`${sectionTitle}\\s*\\n([\\s\\S]*?)(?=\\n\\s*[🎓📝📋📚🎯📅]|$)`, 'i');
-    const sectionMatch = content.match(sectionRegex);
-
-    if (sectionMatch) {
-      const sectionContent = sectionMatch[1];
-      // Extract bullet points that aren't just "Not specified in document"
-      const bullets = sectionContent.match(/•\s*([^\n]+)/g) || [];
-      return bullets
-        .map(bullet => bullet.replace(/^•\s*/, '').trim())
-        .filter(bullet =>
-          bullet &&
-          !bullet.includes('Not specified in document') &&
-          !bullet.includes('TEST DATES') &&
-          !bullet.includes('ASSIGNMENT DEADLINE') &&
-          bullet.length > 5
-        );
+app.post('/api/scan-syllabus', scanIpRateLimit, requireDatabase, authenticate, scanUserRateLimit, enforceTokenBudget, upload.single('syllabus'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'No file uploaded',
+      message: `Please upload a syllabus file (${SUPPORTED_EXTENSIONS.join(', ')})`
+    });
+  }
+
+  await scanSyllabusFile(req, res, req.file);
+});
+
+// Job status check endpoint
+app.get('/api/job-status/:jobId', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!jobId) {
+      return res.status(400).json({
+        error: 'Missing job ID',
+        message: 'Please provide a valid job ID'
+      });
+    }
+
+    logger.info(`Checking status for job: ${jobId}`);
+
+    const job = await activeDatabase.getJobById(jobId);
+
+    // Other users' jobs are reported as missing rather than forbidden
+    if (!job || String(job.user_id) !== getUserId(req)) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'No job found with the provided ID'
+      });
+    }
+
+    // Parse result data if it exists
+    let resultData = null;
+    if (job.result_data) {
+      try {
+        resultData = JSON.parse(job.result_data);
+      } catch (parseError) {
+        logger.error('Error parsing job result data:', parseError);
+        resultData = job.result_data;
+      }
     }
-    return [];
+
+    res.json({
+      success: true,
+      job_id: job.id,
+      status: job.status,
+      created_at: job.created_at,
+      updated_at: job.updated_at,
+      completed_at: job.completed_at,
+      file_name: job.file_name,
+      error_message: job.error_message,
+      attempts: job.attempts,
+      next_attempt_at: job.next_attempt_at,
+      data: resultData,
+      course_id: job.course_id
+    });
+
+  } catch (error) {
+    logger.error('Error checking job status:', error);
+    res.status(500).json({
+      error: 'Status check failed',
+      message: error.message || 'An unexpected error occurred',
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Manual retry for jobs that failed or ran out of attempts
+app.post('/api/job-status/:jobId/requeue', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const job = await activeDatabase.getJobById(req.params.jobId);
+
+    if (!job || String(job.user_id) !== getUserId(req)) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'No job found with the provided ID'
+      });
+    }
+
+    if (job.status !== 'failed' && job.status !== 'dead') {
+      return res.status(409).json({
+        error: 'Job cannot be requeued',
+        message: `Only failed or dead jobs can be requeued; this job is ${job.status}`
+      });
+    }
+
+    if (!fs.existsSync(job.file_path)) {
+      return res.status(409).json({
+        error: 'Job cannot be requeued',
+        message: 'The uploaded file is no longer available. Please upload the syllabus again.'
+      });
+    }
+
+    // requeueJob re-checks the status, in case a concurrent request requeued it first
+    if (!(await activeDatabase.requeueJob(job.id))) {
+      return res.status(409).json({
+        error: 'Job cannot be requeued',
+        message: 'The job has already been requeued'
+      });
+    }
+    logger.info(`Requeued job ${job.id} (was ${job.status} after ${job.attempts} attempts)`);
+    await recordJobEvent(job.id, 'requeued', { previous_status: job.status });
+
+    const statusUrl = `/api/job-status/${job.id}`;
+    res.status(202).location(statusUrl).json({
+      success: true,
+      message: 'Syllabus requeued for processing',
+      job_id: job.id,
+      status: 'pending',
+      status_url: statusUrl,
+      events_url: `${statusUrl}/events`
+    });
+
+  } catch (error) {
+    logger.error('Error requeuing job:', error);
+    res.status(500).json({
+      error: 'Failed to requeue job',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+// Downloads a PDF or HTML syllabus from a URL (see remote-document.js for the limits and
+// the SSRF guard), then scans it like an upload: ?async=true, refresh and callback_url work
+app.post('/api/scan-syllabus-url', scanIpRateLimit, requireDatabase, authenticate, scanUserRateLimit, enforceTokenBudget, async (req, res) => {
+  const { value: url, error } = validateHttpUrl(req.body.url);
+  if (error) {
+    return sendValidationError(res, [error]);
+  }
+
+  let file;
+  try {
+    if (!fs.existsSync(UPLOAD_DIR)) {
+      fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+    }
+    file = await downloadDocument(url, UPLOAD_DIR);
+    logger.info(`Downloaded ${file.url} (${file.size} bytes) as ${file.filename}`);
+  } catch (downloadError) {
+    if (downloadError instanceof RemoteDocumentError) {
+      logger.error(`Could not download syllabus from ${url}: ${downloadError.message}`);
+      return res.status(downloadError.status).json({
+        error: 'Syllabus download failed',
+        message: downloadError.message
+      });
+    }
+
+    logger.error('Error downloading syllabus:', downloadError);
+    return res.status(500).json({
+      error: 'Syllabus download failed',
+      message: downloadError.message || 'An unexpected error occurred'
+    });
+  }
+
+  await scanSyllabusFile(req, res, file);
+});
+
+// Batch uploads: several syllabi in one request, each queued as its own job for worker.js
+const MAX_BATCH_FILES = parseInt(process.env.BATCH_MAX_FILES, 10) || 10;
+
+// Overall status of a batch from its jobs' statuses. A batch is finished once every job
+// is completed, failed or dead; jobs waiting for a retry keep it processing.
+function summarizeBatch(jobs) {
+  const counts = { pending: 0, processing: 0, completed: 0, failed: 0, dead: 0 };
+  jobs.forEach(job => {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+  });
+
+  let status;
+  if (counts.pending + counts.processing > 0) {
+    status = counts.pending === jobs.length ? 'pending' : 'processing';
+  } else if (counts.completed === jobs.length) {
+    status = 'completed';
+  } else {
+    status = counts.completed > 0 ? 'partially_completed' : 'failed';
+  }
+
+  return { status, counts };
+}
+
+// A batch's files are only counted once uploaded, so a refused batch deletes them
+function batchScanUserRateLimit(req, res, next) {
+  scanUserRateLimit(req, res, next);
+  if (res.headersSent) deleteUploads(req.files || []);
+}
+
+app.post('/api/scan-syllabi', scanIpRateLimit, requireDatabase, authenticate, enforceTokenBudget, upload.array('syllabi', MAX_BATCH_FILES), batchScanUserRateLimit, async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({
+        error: 'No files uploaded',
+        message: `Please upload up to ${MAX_BATCH_FILES} syllabus files (${SUPPORTED_EXTENSIONS.join(', ')}) in the "syllabi" field`
+      });
+    }
+
+    const { callback, error: callbackError } = await parseCallback(req);
+    if (callbackError) {
+      deleteUploads(files);
+      return sendValidationError(res, [callbackError]);
+    }
+
+    const userId = getUserId(req);
+    const batchId = crypto.randomUUID();
+    const jobs = files.map(file => ({
+      id: crypto.randomUUID(),
+      file_name: file.originalname,
+      file_path: path.resolve(file.path)
+    }));
+
+    await activeDatabase.createBatch(batchId, userId, jobs, {
+      bypassCache: wantsFreshAnalysis(req),
+      callbackUrl: callback && callback.url,
+      callbackSecret: callback && callback.secret
+    });
+    logger.info(`Queued batch ${batchId} with ${jobs.length} syllabus files`);
+    for (const job of jobs) {
+      await recordJobEvent(job.id, 'uploaded', { file_name: job.file_name, batch_id: batchId });
+    }
+
+    const statusUrl = `/api/batches/${batchId}`;
+    res.status(202).location(statusUrl).json({
+      success: true,
+      message: `${jobs.length} syllabi queued for processing`,
+      batch_id: batchId,
+      status: 'pending',
+      status_url: statusUrl,
+      jobs: jobs.map(job => ({
+        job_id: job.id,
+        file_name: job.file_name,
+        status: 'pending',
+        status_url: `/api/job-status/${job.id}`,
+        events_url: `/api/job-status/${job.id}/events`
+      })),
+      // Shown only here, like a single scan's callback_secret; every job's callback uses it
+      ...(callback && { callback_url: callback.url, callback_secret: callback.secret })
+    });
+
+  } catch (error) {
+    logger.error('Error creating batch:', error);
+    deleteUploads(files);
+    res.status(500).json({
+      error: 'Batch creation failed',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+app.get('/api/batches/:batchId', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const batch = await activeDatabase.getBatchById(req.params.batchId);
+
+    // Like jobs, other users' batches are reported as missing
+    if (!batch || String(batch.user_id) !== getUserId(req)) {
+      return res.status(404).json({
+        error: 'Batch not found',
+        message: 'No batch found with the provided ID'
+      });
+    }
+
+    const jobs = await activeDatabase.getJobsByBatch(batch.id);
+    const { status, counts } = summarizeBatch(jobs);
+
+    res.json({
+      success: true,
+      batch_id: batch.id,
+      status,
+      created_at: batch.created_at,
+      total: jobs.length,
+      counts,
+      course_ids: jobs.filter(job => job.course_id).map(job => job.course_id),
+      jobs: jobs.map(job => ({
+        job_id: job.id,
+        file_name: job.file_name,
+        status: job.status,
+        attempts: job.attempts,
+        next_attempt_at: job.next_attempt_at,
+        error_message: job.status === 'completed' ? null : job.error_message,
+        course_id: job.course_id,
+        completed_at: job.completed_at,
+        status_url: `/api/job-status/${job.id}`
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Error checking batch status:', error);
+    res.status(500).json({
+      error: 'Batch status check failed',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+// Job progress stream (Server-Sent Events)
+const JOB_TERMINAL_STAGES = ['completed', 'failed', 'dead'];
+const JOB_EVENTS_POLL_MS = parseInt(process.env.JOB_EVENTS_POLL_MS, 10) || 1000;
+const JOB_EVENTS_KEEPALIVE_MS = 15000;
+
+function formatJobEvent(event) {
+  return {
+    stage: event.stage,
+    ...(event.detail ? JSON.parse(event.detail) : {}),
+    created_at: event.created_at
+  };
+}
+
+// Final event for a job that finished without one (jobs from before events were
+// recorded), made up from the job row. It isn't stored: only the worker records events.
+function terminalEvent(job) {
+  const detail = job.status === 'completed'
+    ? { course_id: job.course_id }
+    : { attempt: job.attempts, error: job.error_message };
+  return { stage: job.status, ...detail, created_at: job.completed_at || job.updated_at };
+}
+
+/**
+ * Streams a queued scan's progress. Events are read from job_events, where the server and
+ * the worker record them, so the stream works whichever process runs the job. Each event's
+ * data is { stage, ...detail, created_at }; the stream ends after a completed, failed or
+ * dead event. EventSource can't send headers, so ?token= is accepted as well.
+ */
+app.get('/api/job-status/:jobId/events', requireDatabase, authenticateFeed, async (req, res) => {
+  let job;
+  let events;
+  // EventSource sends the last id it received when it reconnects
+  let lastId = parseInt(req.get('Last-Event-ID') || req.query.after, 10) || 0;
+
+  try {
+    job = await activeDatabase.getJobById(req.params.jobId);
+
+    if (!job || String(job.user_id) !== getUserId(req)) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: 'No job found with the provided ID'
+      });
+    }
+
+    events = await activeDatabase.getJobEvents(job.id, { afterId: lastId });
+  } catch (error) {
+    logger.error('Error opening job event stream:', error);
+    return res.status(500).json({
+      error: 'Failed to stream job events',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+
+  // A reconnect after the final event: 204 tells EventSource to stop reconnecting
+  if (lastId > 0 && events.length === 0 && JOB_TERMINAL_STAGES.includes(job.status)) {
+    return res.status(204).end();
+  }
+
+  // A requeued job's earlier run ended with a final event; a new stream starts at the
+  // latest requeue so that run isn't replayed as the job's outcome
+  if (lastId === 0) {
+    const requeued = events.map(event => event.stage).lastIndexOf('requeued');
+    if (requeued > 0) events = events.slice(requeued);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let timer = null;
+  let lastWriteAt = Date.now();
+  let terminalPolls = 0;
+
+  req.on('close', () => {
+    closed = true;
+    clearTimeout(timer);
+  });
+
+  // Writes events and reports whether one of them ended the job. A final event that is
+  // followed by a requeue only ended an earlier run.
+  const send = newEvents => {
+    for (const [index, event] of newEvents.entries()) {
+      lastId = event.id;
+      res.write(`id: ${event.id}\ndata: ${JSON.stringify(formatJobEvent(event))}\n\n`);
+      lastWriteAt = Date.now();
+      if (JOB_TERMINAL_STAGES.includes(event.stage) &&
+          !newEvents.slice(index + 1).some(later => later.stage === 'requeued')) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  const poll = async () => {
+    try {
+      if (events === null) {
+        events = await activeDatabase.getJobEvents(job.id, { afterId: lastId });
+      }
+      if (closed) return;
+
+      let finished = send(events);
+
+      if (!finished && events.length === 0) {
+        job = await activeDatabase.getJobById(job.id);
+
+        // The worker records its final event right after the status, so give it one
+        // more poll before making one up. It has no id, since it isn't stored.
+        if (JOB_TERMINAL_STAGES.includes(job.status) && ++terminalPolls > 1) {
+          res.write(`data: ${JSON.stringify(terminalEvent(job))}\n\n`);
+          finished = true;
+        }
+      }
+
+      if (finished) {
+        closed = true;
+        return res.end();
+      }
+
+      if (Date.now() - lastWriteAt >= JOB_EVENTS_KEEPALIVE_MS) {
+        res.write(': keep-alive\n\n');
+        lastWriteAt = Date.now();
+      }
+    } catch (error) {
+      logger.error(`Error streaming events for job ${job.id}:`, error);
+    }
+
+    events = null;
+    if (!closed) timer = setTimeout(poll, JOB_EVENTS_POLL_MS);
+  };
+
+  poll();
+});
+
+// Course and assignment read endpoints
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// user_id columns are strings, so the authenticated user's id is compared as one
+function getUserId(req) {
+  return String(req.user.id);
+}
+
+function parsePagination(query) {
+  const limit = parseInt(query.limit, 10);
+  const offset = parseInt(query.offset, 10);
+
+  return {
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_PAGE_SIZE) : DEFAULT_PAGE_SIZE,
+    offset: Number.isInteger(offset) && offset > 0 ? offset : 0
+  };
+}
+
+function requireDatabase(req, res, next) {
+  if (!activeDatabase) {
+    return res.status(500).json({
+      error: 'Database unavailable',
+      message: 'Database connection failed'
+    });
+  }
+  next();
+}
+
+function formatAssignment(assignment) {
+  return {
+    ...assignment,
+    completed: Boolean(assignment.completed)
+  };
+}
+
+// Loads the course from :id and checks it belongs to the requesting user.
+// Sends the error response itself and resolves to null when the course can't be used.
+async function loadOwnedCourse(req, res) {
+  const courseId = parseInt(req.params.id, 10);
+  if (!Number.isInteger(courseId) || courseId <= 0) {
+    res.status(400).json({
+      error: 'Invalid course ID',
+      message: 'Course ID must be a positive integer'
+    });
+    return null;
+  }
+
+  const course = await activeDatabase.getCourseById(courseId);
+  if (!course || course.user_id !== getUserId(req)) {
+    res.status(404).json({
+      error: 'Course not found',
+      message: 'No course found with the provided ID'
+    });
+    return null;
+  }
+
+  return course;
+}
+
+app.get('/api/courses', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    const pagination = parsePagination(req.query);
+
+    const [courses, total] = await Promise.all([
+      activeDatabase.getCoursesByUser(userId, pagination),
+      activeDatabase.countCoursesByUser(userId)
+    ]);
+
+    res.json({
+      success: true,
+      courses,
+      pagination: { ...pagination, total }
+    });
+  } catch (error) {
+    logger.error('Error listing courses:', error);
+    res.status(500).json({
+      error: 'Failed to list courses',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+app.get('/api/courses/:id', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const course = await loadOwnedCourse(req, res);
+    if (!course) return;
+
+    const assignmentCount = await activeDatabase.countAssignmentsByCourse(course.id);
+
+    res.json({
+      success: true,
+      course: {
+        ...course,
+        assignment_count: assignmentCount
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting course:', error);
+    res.status(500).json({
+      error: 'Failed to get course',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+app.get('/api/courses/:id/assignments', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const course = await loadOwnedCourse(req, res);
+    if (!course) return;
+
+    const pagination = parsePagination(req.query);
+    const [assignments, total] = await Promise.all([
+      activeDatabase.getAssignmentsByCourse(course.id, pagination),
+      activeDatabase.countAssignmentsByCourse(course.id)
+    ]);
+
+    res.json({
+      success: true,
+      course_id: course.id,
+      assignments: assignments.map(formatAssignment),
+      pagination: { ...pagination, total }
+    });
+  } catch (error) {
+    logger.error('Error listing assignments:', error);
+    res.status(500).json({
+      error: 'Failed to list assignments',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+// Course and assignment edit endpoints
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    error: 'Validation failed',
+    message: errors.join('; '),
+    errors
+  });
+}
+
+// Same contract as loadOwnedCourse, for the assignment in :id
+async function loadOwnedAssignment(req, res) {
+  const assignmentId = parseInt(req.params.id, 10);
+  if (!Number.isInteger(assignmentId) || assignmentId <= 0) {
+    res.status(400).json({
+      error: 'Invalid assignment ID',
+      message: 'Assignment ID must be a positive integer'
+    });
+    return null;
+  }
+
+  const assignment = await activeDatabase.getAssignmentById(assignmentId);
+  const course = assignment && await activeDatabase.getCourseById(assignment.course_id);
+  if (!course || course.user_id !== getUserId(req)) {
+    res.status(404).json({
+      error: 'Assignment not found',
+      message: 'No assignment found with the provided ID'
+    });
+    return null;
+  }
+
+  return assignment;
+}
+
+// Subscribers' copies of a shared template are kept in sync by the template's owner
+function sendTemplateManaged(res, message) {
+  return res.status(409).json({
+    error: 'Managed by course template',
+    message
+  });
+}
+
+// Pushes an owner's edits to a published course out to its template and subscribers.
+// The edit itself is already saved, so a failed sync is logged rather than returned.
+async function syncPublishedCourse(courseId) {
+  try {
+    const result = await syncTemplateFromCourse(activeDatabase, courseId);
+    if (result) {
+      logger.info(`Synced course template ${result.templateId} to ${result.subscribers} subscribers`);
+    }
+  } catch (error) {
+    logger.error('Error syncing course template:', error);
+  }
+}
+
+async function updateCourseHandler(req, res) {
+  try {
+    const course = await loadOwnedCourse(req, res);
+    if (!course) return;
+
+    if (course.template_id) {
+      return sendTemplateManaged(res, 'This course follows a shared template and can only be changed by its owner');
+    }
+
+    const { values, errors } = validateCourseInput(req.body, { partial: req.method === 'PATCH' });
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    await activeDatabase.updateCourse(course.id, values);
+    await syncPublishedCourse(course.id);
+    const updatedCourse = await activeDatabase.getCourseById(course.id);
+
+    res.json({
+      success: true,
+      course: updatedCourse
+    });
+  } catch (error) {
+    logger.error('Error updating course:', error);
+    res.status(500).json({
+      error: 'Failed to update course',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+}
+
+async function updateAssignmentHandler(req, res) {
+  try {
+    const assignment = await loadOwnedAssignment(req, res);
+    if (!assignment) return;
+
+    const { values, errors } = validateAssignmentInput(req.body, { partial: req.method === 'PATCH' });
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    // A PATCH of only due_time has to be checked against the stored due_date
+    const dueDate = 'due_date' in values ? values.due_date : assignment.due_date;
+    const dueTime = 'due_time' in values ? values.due_time : assignment.due_time;
+    if (dueTime && !dueDate) {
+      return sendValidationError(res, ['due_time requires a due_date']);
+    }
+
+    // Assignments copied from a template can only be marked complete or incomplete
+    if (assignment.template_assignment_id &&
+        Object.keys(values).some(field => field !== 'completed' && values[field] !== assignment[field])) {
+      return sendTemplateManaged(res, 'This assignment comes from a shared template; only completed can be changed');
+    }
+
+    await activeDatabase.updateAssignment(assignment.id, values);
+    await syncPublishedCourse(assignment.course_id);
+    const updatedAssignment = await activeDatabase.getAssignmentById(assignment.id);
+
+    res.json({
+      success: true,
+      assignment: formatAssignment(updatedAssignment)
+    });
+  } catch (error) {
+    logger.error('Error updating assignment:', error);
+    res.status(500).json({
+      error: 'Failed to update assignment',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+}
+
+app.put('/api/courses/:id', requireDatabase, authenticate, updateCourseHandler);
+app.patch('/api/courses/:id', requireDatabase, authenticate, updateCourseHandler);
+
+app.delete('/api/courses/:id', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const course = await loadOwnedCourse(req, res);
+    if (!course) return;
+
+    await activeDatabase.deleteCourse(course.id);
+
+    res.json({
+      success: true,
+      message: 'Course deleted',
+      course_id: course.id
+    });
+  } catch (error) {
+    logger.error('Error deleting course:', error);
+    res.status(500).json({
+      error: 'Failed to delete course',
+      message: error.message || 'An unexpected error occurred'
+    });
   }
+});
 
-  // Extract unique information from all pages
-  allPageData.forEach(({ pageNumber, data }) => {
-    const content = data.plain_text;
+app.post('/api/courses/:id/assignments', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const course = await loadOwnedCourse(req, res);
+    if (!course) return;
 
-    // Extract course info (usually on page 1)
-    if (content.includes('Course Name:') && !courseInfo.name) {
-      const match = content.match(/Course Name: ([^\n•]+)/);
-      if (match && !match[1].includes('Not specified')) courseInfo.name = match[1].trim();
-    }
-    if (content.includes('Professor:') && !courseInfo.professor) {
-      const match = content.match(/Professor: ([^\n•]+)/);
-      if (match && !match[1].includes('Not specified')) courseInfo.professor = match[1].trim();
-    }
-    if (content.includes('Email:') && !courseInfo.email) {
-      const match = content.match(/Email: ([^\n•]+)/);
-      if (match && !match[1].includes('Not specified')) courseInfo.email = match[1].trim();
-    }
-    if (content.includes('Meeting Days:') && !courseInfo.meetingDays) {
-      const match = content.match(/Meeting Days: ([^\n•]+)/);
-      if (match && !match[1].includes('Not specified')) courseInfo.meetingDays = match[1].trim();
-    }
-    if (content.includes('Office Hours:') && !courseInfo.officeHours) {
-      const match = content.match(/Office Hours: ([^\n•]+)/);
-      if (match && !match[1].includes('Not specified')) courseInfo.officeHours = match[1].trim();
-    }
+    const { values, errors } = validateAssignmentInput(req.body);
+    if (errors.length > 0) return sendValidationError(res, errors);
 
-    // Extract structured data from OpenAI response sections
-    const newTestDates = extractBulletPoints(content, 'TEST DATES');
-    const newAssignments = extractBulletPoints(content, 'ASSIGNMENT DEADLINES');
-    const newReadings = extractBulletPoints(content, 'WEEKLY READINGS');
-    const newDeliverables = extractBulletPoints(content, 'MAJOR DELIVERABLES');
-    const newImportantDates = extractBulletPoints(content, 'IMPORTANT DATES');
+    const assignmentId = await activeDatabase.saveAssignment(course.id, values);
+    await syncPublishedCourse(course.id);
+    const assignment = await activeDatabase.getAssignmentById(assignmentId);
 
-    // Add unique items only
-    newTestDates.forEach(item => {
-      if (!testDates.includes(item)) testDates.push(item);
-    });
-    newAssignments.forEach(item => {
-      if (!assignmentDeadlines.includes(item)) assignmentDeadlines.push(item);
-    });
-    newReadings.forEach(item => {
-      if (!weeklyReadings.includes(item)) weeklyReadings.push(item);
-    });
-    newDeliverables.forEach(item => {
-      if (!majorDeliverables.includes(item)) majorDeliverables.push(item);
+    res.status(201).json({
+      success: true,
+      assignment: formatAssignment(assignment)
     });
-    newImportantDates.forEach(item => {
-      if (!importantDates.includes(item)) importantDates.push(item);
+  } catch (error) {
+    logger.error('Error creating assignment:', error);
+    res.status(500).json({
+      error: 'Failed to create assignment',
+      message: error.message || 'An unexpected error occurred'
     });
-  });
+  }
+});
 
-  // Create clean, concise summary
-  const combinedText = `
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+app.put('/api/assignments/:id', requireDatabase, authenticate, updateAssignmentHandler);
+app.patch('/api/assignments/:id', requireDatabase, authenticate, updateAssignmentHandler);
 
-📚 SYLLABUS SUMMARY
+app.delete('/api/assignments/:id', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const assignment = await loadOwnedAssignment(req, res);
+    if (!assignment) return;
 
-🎓 COURSE INFORMATION
-• Course: ${courseInfo.name || 'Not specified'}
-• Professor: ${courseInfo.professor || 'Not specified'}
-• Email: ${courseInfo.email || 'Not specified'}
-• Meeting Days: ${courseInfo.meetingDays || 'Not specified'}
-• Office Hours: ${courseInfo.officeHours || 'Not specified'}
+    if (assignment.template_assignment_id) {
+      return sendTemplateManaged(res, 'This assignment comes from a shared template; delete the course to unsubscribe');
+    }
 
-📝 EXAM DATES
-${testDates.length > 0 ? testDates.map(test => `• ${test}`).join('\n') : '• Not specified in document'}
+    await activeDatabase.deleteAssignment(assignment.id);
+    await syncPublishedCourse(assignment.course_id);
 
-📋 ASSIGNMENT DEADLINES
-${assignmentDeadlines.length > 0 ? assignmentDeadlines.map(assignment => `• ${assignment}`).join('\n') : '• Not specified in document'}
+    res.json({
+      success: true,
+      message: 'Assignment deleted',
+      assignment_id: assignment.id
+    });
+  } catch (error) {
+    logger.error('Error deleting assignment:', error);
+    res.status(500).json({
+      error: 'Failed to delete assignment',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
 
-📅 IMPORTANT DATES
-${importantDates.length > 0 ? [...new Set(importantDates)].map(date => `• ${date}`).join('\n') : '• Not specified in document'}
+app.get('/api/courses/:id/schedule', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const course = await loadOwnedCourse(req, res);
+    if (!course) return;
 
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-`;
+    const assignments = await activeDatabase.getAssignmentsByCourse(course.id);
 
-  return { plain_text: combinedText };
-}
+    res.json({
+      success: true,
+      course_id: course.id,
+      schedule: buildCourseSchedule(course, assignments)
+    });
+  } catch (error) {
+    logger.error('Error building course schedule:', error);
+    res.status(500).json({
+      error: 'Failed to build schedule',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
 
-async function analyzeSyllabusWithOpenAI(imagePath) {
-  // Check if it's a PDF and convert to image first
-  const fileExtension = path.extname(imagePath).toLowerCase();
-  let processedImagePath = imagePath;
+// iCalendar export endpoints
+function sendCalendar(res, calendar, filename) {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'no-cache'
+  });
+  res.send(calendar);
+}
 
+app.get('/api/courses/:id/calendar.ics', requireDatabase, authenticateFeed, async (req, res) => {
   try {
-    logger.info(`Analyzing syllabus with OpenAI Vision: ${imagePath}`);
+    const course = await loadOwnedCourse(req, res);
+    if (!course) return;
 
-    if (fileExtension === '.pdf') {
-      logger.info('Converting PDF to image...');
+    const assignments = await activeDatabase.getAssignmentsByCourse(course.id);
+    const calendar = buildCalendar([{ course, assignments }], { name: course.course_name });
 
-      // Convert PDF to image using system pdftocairo
-      const outputDir = path.dirname(imagePath);
-      const outputFile = path.join(outputDir, `converted-${Date.now()}.jpg`);
+    sendCalendar(res, calendar, `course-${course.id}.ics`);
+  } catch (error) {
+    logger.error('Error exporting course calendar:', error);
+    res.status(500).json({
+      error: 'Calendar export failed',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
 
-      try {
-        // Extract text from PDF using pdf-parse (serverless-compatible)
-        const dataBuffer = fs.readFileSync(imagePath);
-        const pdfData = await pdfParse(dataBuffer);
-
-        logger.info(`PDF text extracted: ${pdfData.text.length} characters`);
-
-        // Check if text extraction resulted in empty content
-        if (pdfData.text.length === 0) {
-          logger.info('PDF parsing resulted in empty text - trying OpenAI vision as fallback...');
-          const fileBuffer = fs.readFileSync(imagePath);
-          const result = await analyzePDFWithVision(fileBuffer);
-
-          // Clean up and return result
-          try {
-            fs.unlinkSync(imagePath);
-          } catch (cleanupError) {
-            logger.error('Error deleting PDF file:', cleanupError);
-          }
+// Combined feed of every course the user has saved
+app.get('/api/calendar.ics', requireDatabase, authenticateFeed, async (req, res) => {
+  try {
+    const courses = await activeDatabase.getCoursesByUser(getUserId(req));
+    const entries = await Promise.all(courses.map(async course => ({
+      course,
+      assignments: await activeDatabase.getAssignmentsByCourse(course.id)
+    })));
+    const calendar = buildCalendar(entries, { name: 'Syllabus Deadlines', prefixCourseName: true });
+
+    sendCalendar(res, calendar, 'syllabus-deadlines.ics');
+  } catch (error) {
+    logger.error('Error exporting calendar feed:', error);
+    res.status(500).json({
+      error: 'Calendar export failed',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
 
-          return result;
-        }
+// Shared course template endpoints
+function formatTemplate(template, req) {
+  return {
+    id: template.id,
+    course_code: template.course_code,
+    term: template.term,
+    institution: template.institution,
+    course_name: template.course_name,
+    professor_name: template.professor_name,
+    professor_email: template.professor_email,
+    meeting_days: template.meeting_days,
+    office_hours: template.office_hours,
+    subscriber_count: Number(template.subscriber_count || 0),
+    owned: template.owner_user_id === getUserId(req),
+    created_at: template.created_at,
+    updated_at: template.updated_at
+  };
+}
+
+// Same contract as loadOwnedCourse, for the template in :id. Templates are visible to every user.
+async function loadTemplate(req, res) {
+  const templateId = parseInt(req.params.id, 10);
+  if (!Number.isInteger(templateId) || templateId <= 0) {
+    res.status(400).json({
+      error: 'Invalid template ID',
+      message: 'Template ID must be a positive integer'
+    });
+    return null;
+  }
 
-        // Analyze the extracted text directly with OpenAI
-        const result = await analyzeTextWithOpenAI(pdfData.text);
+  const template = await activeDatabase.getCourseTemplateById(templateId);
+  if (!template) {
+    res.status(404).json({
+      error: 'Template not found',
+      message: 'No course template found with the provided ID'
+    });
+    return null;
+  }
 
-        // Clean up and return result
-        try {
-          fs.unlinkSync(imagePath);
-        } catch (cleanupError) {
-          logger.error('Error deleting PDF file:', cleanupError);
-        }
+  return template;
+}
 
-        return result;
+app.post('/api/courses/:id/publish', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const course = await loadOwnedCourse(req, res);
+    if (!course) return;
 
-        // PDF text extraction complete - result already returned above
-      } catch (pdfError) {
-        logger.error('Error processing PDF:', pdfError);
-        logger.info('PDF text extraction failed - trying OpenAI vision as fallback...');
+    if (course.template_id) {
+      return res.status(409).json({
+        error: 'Course is subscribed',
+        message: 'Courses copied from a shared template cannot be published again'
+      });
+    }
 
-        // Use OpenAI Vision as fallback for image-based PDFs
-        try {
-          const fileBuffer = fs.readFileSync(imagePath);
-          const result = await analyzePDFWithVision(fileBuffer);
+    const { values, errors } = validateTemplateInput(req.body);
+    if (errors.length > 0) return sendValidationError(res, errors);
 
-          // Clean up and return result
-          try {
-            fs.unlinkSync(imagePath);
-          } catch (cleanupError) {
-            logger.error('Error deleting PDF file:', cleanupError);
-          }
+    const templateKey = buildTemplateKey(values);
+    if (!templateKey) return sendValidationError(res, ['course_code must contain letters or digits']);
 
-          return result;
-        } catch (visionError) {
-          logger.error('Vision API fallback also failed:', visionError);
-          throw new Error('Failed to process PDF. Please try uploading an image (JPG/PNG) of your syllabus instead.');
-        }
-      }
+    const published = await activeDatabase.getCourseTemplateBySourceCourse(course.id);
+    if (published) {
+      return res.status(409).json({
+        error: 'Course already published',
+        message: 'This course is already published as a shared template',
+        template_id: published.id
+      });
     }
 
-    // Single page analysis (fallback or single-page documents)
-    const result = await analyzePageWithOpenAI(processedImagePath);
-
-    // Clean up converted PDF image if it was created
-    if (fileExtension === '.pdf' && processedImagePath !== imagePath) {
-      fs.unlink(processedImagePath, (err) => {
-        if (err) logger.error('Error deleting converted PDF image:', err);
+    const existing = await activeDatabase.getCourseTemplateByKey(templateKey);
+    if (existing) {
+      return res.status(409).json({
+        error: 'Template already exists',
+        message: 'A template for this course code, term and institution already exists; subscribe to it instead',
+        template_id: existing.id
       });
     }
 
-    return result;
+    const templateId = await publishCourse(activeDatabase, course, values);
+    const template = await activeDatabase.getCourseTemplateById(templateId);
+    logger.info(`Course ${course.id} published as template ${templateId} (${templateKey})`);
+
+    res.status(201).json({
+      success: true,
+      template: formatTemplate(template, req)
+    });
   } catch (error) {
-    logger.error('Error analyzing syllabus with OpenAI:', error);
+    logger.error('Error publishing course:', error);
+    res.status(500).json({
+      error: 'Failed to publish course',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
 
-    // Clean up converted PDF image if it was created
-    if (fileExtension === '.pdf' && processedImagePath !== imagePath) {
-      fs.unlink(processedImagePath, (err) => {
-        if (err) logger.error('Error deleting converted PDF image on error:', err);
-      });
+// Search by ?course_code= (prefix), ?term= and ?institution= (substring), ignoring case and punctuation in codes
+app.get('/api/templates', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const filters = {};
+    for (const field of ['course_code', 'term', 'institution']) {
+      if (typeof req.query[field] === 'string' && req.query[field].trim()) {
+        filters[field] = req.query[field];
+      }
     }
 
-    throw new Error(`Failed to analyze syllabus: ${error.message}`);
-  }
-}
+    const keyPattern = buildTemplateSearchPattern(filters);
+    const pagination = parsePagination(req.query);
+    const [templates, total] = await Promise.all([
+      activeDatabase.searchCourseTemplates(keyPattern, pagination),
+      activeDatabase.countCourseTemplates(keyPattern)
+    ]);
 
-// Helper function to parse syllabus data and extract assignments
-function parseSyllabusData(aiResponse) {
-  const courseData = {
-    course_name: extractField(aiResponse, 'Course Name') || 'Unknown Course',
-    professor_name: extractField(aiResponse, 'Professor Name') || 'Unknown Professor',
-    professor_email: extractField(aiResponse, 'Professor Email') || '',
-    meeting_days: extractField(aiResponse, 'Meeting Days') || '',
-    office_hours: extractField(aiResponse, 'Office Hours') || '',
-    syllabus_text: aiResponse
-  };
+    res.json({
+      success: true,
+      templates: templates.map(template => formatTemplate(template, req)),
+      pagination: { ...pagination, total }
+    });
+  } catch (error) {
+    logger.error('Error searching templates:', error);
+    res.status(500).json({
+      error: 'Failed to search templates',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
 
-  const assignments = extractAssignments(aiResponse);
+app.get('/api/templates/:id', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
 
-  return { courseData, assignments };
-}
+    const [assignments, subscribedCourse] = await Promise.all([
+      activeDatabase.getTemplateAssignments(template.id),
+      activeDatabase.getCourseByTemplateAndUser(template.id, getUserId(req))
+    ]);
 
-function extractField(text, fieldName) {
-  const patterns = [
-    new RegExp(`${fieldName}[:\s]*([^\n•]+)`, 'i'),
-    new RegExp(`📚\\s*${fieldName}[:\s]*([^\n•]+)`, 'i'),
-    new RegExp(`🎓\\s*${fieldName}[:\s]*([^\n•]+)`, 'i')
-  ];
-
-  for (const pattern of patterns) {
-    const match = text.match(pattern);
-    if (match && match[1]) {
-      return match[1].trim().replace(/^•\s*/, '');
-    }
+    res.json({
+      success: true,
+      template: {
+        ...formatTemplate(template, req),
+        syllabus_text: template.syllabus_text,
+        subscribed_course_id: subscribedCourse ? subscribedCourse.id : null,
+        assignments: assignments.map(({ id, title, due_date, due_time, type, description }) =>
+          ({ id, title, due_date, due_time, type, description }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting template:', error);
+    res.status(500).json({
+      error: 'Failed to get template',
+      message: error.message || 'An unexpected error occurred'
+    });
   }
-  return null;
-}
+});
 
-function extractAssignments(text) {
-  const assignments = [];
-  const sections = ['TEST DATES', 'ASSIGNMENT DEADLINE', 'Important Dates', 'EXAMS', 'ASSIGNMENTS'];
+app.post('/api/templates/:id/subscribe', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    const userId = getUserId(req);
+    if (template.owner_user_id === userId) {
+      return res.status(409).json({
+        error: 'Template owner',
+        message: 'You published this template; your own course is its source',
+        course_id: template.source_course_id
+      });
+    }
 
-  for (const section of sections) {
-    const sectionRegex = new RegExp(`${section}[\\s\\S]*?(?=\\n\\s*[🎓📝📋📚🎯📅]|$)`, 'i');
-    const sectionMatch = text.match(sectionRegex);
+    const subscribedCourse = await activeDatabase.getCourseByTemplateAndUser(template.id, userId);
+    if (subscribedCourse) {
+      return res.status(409).json({
+        error: 'Already subscribed',
+        message: 'You are already subscribed to this template',
+        course_id: subscribedCourse.id
+      });
+    }
 
-    if (sectionMatch) {
-      const bullets = sectionMatch[0].match(/•\s*([^\n]+)/g) || [];
+    const courseId = await subscribeToTemplate(activeDatabase, template, userId);
+    const [course, assignmentCount] = await Promise.all([
+      activeDatabase.getCourseById(courseId),
+      activeDatabase.countAssignmentsByCourse(courseId)
+    ]);
+    logger.info(`User ${userId} subscribed to template ${template.id} as course ${courseId}`);
 
-      for (const bullet of bullets) {
-        const cleanBullet = bullet.replace(/^•\s*/, '').trim();
-        if (cleanBullet && !cleanBullet.includes('Not specified in document')) {
-          const assignment = parseAssignmentBullet(cleanBullet, section);
-          if (assignment) {
-            assignments.push(assignment);
-          }
-        }
+    res.status(201).json({
+      success: true,
+      course: {
+        ...course,
+        assignment_count: assignmentCount
       }
-    }
+    });
+  } catch (error) {
+    logger.error('Error subscribing to template:', error);
+    res.status(500).json({
+      error: 'Failed to subscribe to template',
+      message: error.message || 'An unexpected error occurred'
+    });
   }
+});
 
-  return assignments;
-}
+// Unpublishes a template. Subscribers keep their courses, which stop receiving updates.
+app.delete('/api/templates/:id', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
 
-function parseAssignmentBullet(bullet, section) {
-  // Look for dates in various formats
-  const datePatterns = [
-    /(\w+\s+\d{1,2},?\s+\d{4})/i,  // March 15, 2024
-    /(\d{1,2}\/\d{1,2}\/\d{4})/,   // 3/15/2024
-    /(\d{1,2}-\d{1,2}-\d{4})/,     // 3-15-2024
-    /(\w+\s+\d{1,2})/i             // March 15
-  ];
-
-  let dueDate = null;
-  let title = bullet;
-
-  for (const pattern of datePatterns) {
-    const match = bullet.match(pattern);
-    if (match) {
-      try {
-        dueDate = new Date(match[1]).toISOString().split('T')[0]; // YYYY-MM-DD format
-        title = bullet.replace(match[1], '').replace(/[:-]/g, '').trim();
-        break;
-      } catch (e) {
-        // Invalid date, continue
-      }
+    if (template.owner_user_id !== getUserId(req)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the owner of a template can delete it'
+      });
     }
-  }
 
-  // Determine assignment type
-  let type = 'other';
-  if (section.toLowerCase().includes('test') || section.toLowerCase().includes('exam') ||
-      bullet.toLowerCase().includes('exam') || bullet.toLowerCase().includes('test')) {
-    type = 'exam';
-  } else if (bullet.toLowerCase().includes('assignment') || bullet.toLowerCase().includes('homework')) {
-    type = 'assignment';
-  } else if (bullet.toLowerCase().includes('reading')) {
-    type = 'reading';
-  } else if (bullet.toLowerCase().includes('project')) {
-    type = 'project';
-  } else if (bullet.toLowerCase().includes('quiz')) {
-    type = 'quiz';
+    await activeDatabase.deleteCourseTemplate(template.id);
+
+    res.json({
+      success: true,
+      message: 'Template deleted',
+      template_id: template.id
+    });
+  } catch (error) {
+    logger.error('Error deleting template:', error);
+    res.status(500).json({
+      error: 'Failed to delete template',
+      message: error.message || 'An unexpected error occurred'
+    });
   }
+});
+
+// Webhooks: endpoints that receive a signed POST whenever one of the user's queued
+// scans completes or fails (see webhooks.js for the payload and signature)
+const MAX_WEBHOOKS_PER_USER = 10;
 
+function formatWebhook(webhook) {
   return {
-    title: title || bullet,
-    due_date: dueDate,
-    due_time: null,
-    type: type,
-    description: bullet
+    id: webhook.id,
+    url: webhook.url,
+    created_at: webhook.created_at
   };
 }
 
+function formatWebhookDelivery(delivery) {
+  return {
+    id: delivery.id,
+    job_id: delivery.job_id,
+    webhook_id: delivery.webhook_id,
+    event: delivery.event,
+    url: delivery.url,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    response_status: delivery.response_status,
+    last_error: delivery.last_error,
+    next_attempt_at: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+    created_at: delivery.created_at,
+    delivered_at: delivery.delivered_at,
+    payload: JSON.parse(delivery.payload)
+  };
+}
 
-app.post('/api/scan-syllabus', upload.single('syllabus'), async (req, res) => {
+app.get('/api/webhooks', requireDatabase, authenticate, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({
-        error: 'No file uploaded',
-        message: 'Please upload a syllabus image or PDF file'
-      });
-    }
-
-    const userId = req.headers['user-id'] || 'anonymous';
-    logger.info(`Processing syllabus file: ${req.file.filename}`);
-
-    // Process the syllabus immediately
-    try {
-      // Check database connection
-      if (!activeDatabase) {
-        throw new Error('Database connection unavailable');
-      }
-
-      // Analyze the PDF with OpenAI
-      const aiResponse = await analyzeSyllabusWithOpenAI(req.file.path);
+    const webhooks = await activeDatabase.getWebhooksByUser(req.user.id);
+    res.json({ success: true, webhooks: webhooks.map(formatWebhook) });
+  } catch (error) {
+    logger.error('Error listing webhooks:', error);
+    res.status(500).json({
+      error: 'Failed to list webhooks',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
 
-      // Parse the AI response to extract structured data
-      const { courseData, assignments } = parseSyllabusData(aiResponse);
+app.post('/api/webhooks', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const { value: url, error } = await validateWebhookUrl(req.body.url);
+    if (error) {
+      return sendValidationError(res, [error]);
+    }
 
-      // Add user_id to course data
-      courseData.user_id = userId;
+    const existing = await activeDatabase.getWebhooksByUser(req.user.id);
+    if (existing.length >= MAX_WEBHOOKS_PER_USER) {
+      return res.status(409).json({
+        error: 'Too many webhooks',
+        message: `At most ${MAX_WEBHOOKS_PER_USER} webhooks can be registered; delete one first`
+      });
+    }
 
-      // Save course and assignments to database
-      const courseId = await activeDatabase.saveCourse(courseData);
-      logger.info(`Course saved with ID: ${courseId}`);
+    const secret = generateWebhookSecret();
+    const webhookId = await activeDatabase.createWebhook(req.user.id, url, secret);
 
-      let savedAssignments = [];
-      if (assignments.length > 0) {
-        savedAssignments = await activeDatabase.saveMultipleAssignments(courseId, assignments);
-        logger.info(`Saved ${savedAssignments.length} assignments`);
-      }
+    // The secret is shown only here, like API tokens
+    res.status(201).json({
+      success: true,
+      webhook_id: webhookId,
+      url,
+      secret
+    });
+  } catch (error) {
+    logger.error('Error registering webhook:', error);
+    res.status(500).json({
+      error: 'Failed to register webhook',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
 
-      // Clean up uploaded file
-      fs.unlink(req.file.path, (err) => {
-        if (err) logger.error('Error deleting processed file:', err);
-      });
+// Delivery log for the user's webhooks and callback URLs, newest first (?job_id= narrows it)
+app.get('/api/webhooks/deliveries', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const userId = getUserId(req);
+    const jobId = typeof req.query.job_id === 'string' && req.query.job_id ? req.query.job_id : null;
+    const pagination = parsePagination(req.query);
 
-      // Return success with extracted data
-      res.json({
-        success: true,
-        message: 'Syllabus processed successfully!',
-        course: {
-          id: courseId,
-          name: courseData.course_name,
-          professor: courseData.professor_name,
-          email: courseData.professor_email
-        },
-        assignments: assignments.length,
-        assignments_saved: savedAssignments.length
-      });
+    const [deliveries, total] = await Promise.all([
+      activeDatabase.getWebhookDeliveries(userId, { jobId, ...pagination }),
+      activeDatabase.countWebhookDeliveries(userId, { jobId })
+    ]);
 
-    } catch (processingError) {
-      logger.error('Syllabus processing failed:', processingError);
+    res.json({
+      success: true,
+      deliveries: deliveries.map(formatWebhookDelivery),
+      pagination: { ...pagination, total }
+    });
+  } catch (error) {
+    logger.error('Error listing webhook deliveries:', error);
+    res.status(500).json({
+      error: 'Failed to list webhook deliveries',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
 
-      // Clean up uploaded file on error
-      fs.unlink(req.file.path, (err) => {
-        if (err) logger.error('Error deleting uploaded file on error:', err);
+app.delete('/api/webhooks/:id', requireDatabase, authenticate, async (req, res) => {
+  try {
+    const webhookId = parseInt(req.params.id, 10);
+    if (!Number.isInteger(webhookId) || webhookId <= 0) {
+      return res.status(400).json({
+        error: 'Invalid webhook ID',
+        message: 'Webhook ID must be a positive integer'
       });
-
-      throw processingError;
     }
 
-  } catch (error) {
-    logger.error('Error creating job:', error);
-    logger.error('Error stack:', error.stack);
-    logger.error('File info:', req.file ? {
-      filename: req.file.filename,
-      path: req.file.path,
-      mimetype: req.file.mimetype,
-      size: req.file.size
-    } : 'No file');
-
-    // Clean up uploaded file on error
-    if (req.file && req.file.path) {
-      fs.unlink(req.file.path, (err) => {
-        if (err) logger.error('Error deleting uploaded file on error:', err);
+    // Deliveries already queued for it are still sent
+    const deleted = await activeDatabase.deleteWebhook(webhookId, req.user.id);
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Webhook not found',
+        message: 'No webhook found with the provided ID'
       });
     }
 
+    res.json({
+      success: true,
+      message: 'Webhook deleted',
+      webhook_id: webhookId
+    });
+  } catch (error) {
+    logger.error('Error deleting webhook:', error);
     res.status(500).json({
-      error: 'Job creation failed',
-      message: error.message || 'An unexpected error occurred',
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      error: 'Failed to delete webhook',
+      message: error.message || 'An unexpected error occurred'
     });
   }
 });
 
-// Job status check endpoint
-app.get('/api/job-status/:jobId', async (req, res) => {
-  try {
-    const { jobId } = req.params;
+// Admin endpoints authenticate with "Authorization: Bearer <ADMIN_API_KEY>" and are
+// disabled when ADMIN_API_KEY is not set
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  const token = extractToken(req);
+
+  // Comparing hashes keeps the comparison constant-time regardless of token length
+  if (!adminKey || !token ||
+      !crypto.timingSafeEqual(Buffer.from(hashToken(token), 'hex'), Buffer.from(hashToken(adminKey), 'hex'))) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: adminKey ? 'A valid admin API key is required' : 'Admin API is disabled (ADMIN_API_KEY is not set)'
+    });
+  }
 
-    if (!jobId) {
-      return res.status(400).json({
-        error: 'Missing job ID',
-        message: 'Please provide a valid job ID'
-      });
-    }
+  next();
+}
 
-    logger.info(`Checking status for job: ${jobId}`);
+const USAGE_GROUP_BY = ['path', 'model', 'task', 'user', 'day'];
 
-    // Get job from database
-    if (!activeDatabase) {
-      return res.status(500).json({
-        error: 'Database unavailable',
-        message: 'Cannot check job status - database connection failed'
-      });
-    }
+function formatUsageAggregate(row) {
+  const costUsd = Number(row.cost_usd);
+  const scans = Number(row.scans);
 
-    const job = await activeDatabase.getJobById(jobId);
+  return {
+    calls: Number(row.calls),
+    scans,
+    prompt_tokens: Number(row.prompt_tokens),
+    completion_tokens: Number(row.completion_tokens),
+    total_tokens: Number(row.total_tokens),
+    cost_usd: Math.round(costUsd * 1000000) / 1000000,
+    cost_per_scan_usd: scans > 0 ? Math.round(costUsd / scans * 1000000) / 1000000 : null,
+    avg_latency_ms: row.avg_latency_ms === null ? null : Math.round(Number(row.avg_latency_ms))
+  };
+}
 
-    if (!job) {
-      return res.status(404).json({
-        error: 'Job not found',
-        message: 'No job found with the provided ID'
-      });
-    }
+// LLM usage and cost totals, overall and grouped by analysis path, model, task, user or day
+app.get('/api/admin/usage', requireAdmin, requireDatabase, async (req, res) => {
+  try {
+    const groupBy = req.query.group_by || 'path';
+    const { from, to } = req.query;
+    const errors = [];
 
-    // Parse result data if it exists
-    let resultData = null;
-    if (job.result_data) {
-      try {
-        resultData = JSON.parse(job.result_data);
-      } catch (parseError) {
-        logger.error('Error parsing job result data:', parseError);
-        resultData = job.result_data;
-      }
+    if (!USAGE_GROUP_BY.includes(groupBy)) {
+      errors.push(`group_by must be one of: ${USAGE_GROUP_BY.join(', ')}`);
+    }
+    if (from !== undefined && !isValidDate(from)) {
+      errors.push('from must be a date in YYYY-MM-DD format');
+    }
+    if (to !== undefined && !isValidDate(to)) {
+      errors.push('to must be a date in YYYY-MM-DD format');
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
     }
 
+    // to is inclusive, so the range ends at the start of the following day
+    const range = {
+      from: from ? `${from} 00:00:00` : undefined,
+      to: to ? new Date(Date.parse(`${to}T00:00:00Z`) + 24 * 60 * 60 * 1000).toISOString().slice(0, 19).replace('T', ' ') : undefined
+    };
+
+    const [totals] = await activeDatabase.getLlmUsageAggregates(range);
+    const groups = await activeDatabase.getLlmUsageAggregates({ ...range, groupBy });
+
     res.json({
       success: true,
-      job_id: job.id,
-      status: job.status,
-      created_at: job.created_at,
-      updated_at: job.updated_at,
-      completed_at: job.completed_at,
-      file_name: job.file_name,
-      error_message: job.error_message,
-      data: resultData,
-      course_id: job.course_id
+      from: from || null,
+      to: to || null,
+      group_by: groupBy,
+      totals: formatUsageAggregate(totals),
+      groups: groups.map(row => ({
+        [groupBy]: row.group_key,
+        ...formatUsageAggregate(row)
+      }))
     });
-
   } catch (error) {
-    logger.error('Error checking job status:', error);
+    logger.error('Error aggregating LLM usage:', error);
     res.status(500).json({
-      error: 'Status check failed',
-      message: error.message || 'An unexpected error occurred',
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      error: 'Usage report failed',
+      message: error.message || 'An unexpected error occurred'
     });
   }
 });
@@ -984,7 +1844,7 @@ app.get('/health', (req, res) => {
 });
 
 // Debug endpoint for checking environment
-app.get('/debug-env', (req, res) => {
+app.get('/debug-env', requireAdmin, (req, res) => {
   res.json({
     openai_key_set: !!process.env.OPENAI_API_KEY,
     openai_key_length: process.env.OPENAI_API_KEY ? process.env.OPENAI_API_KEY.length : 0,
@@ -1027,7 +1887,7 @@ app.get('/get-ip', async (req, res) => {
   }
 });
 
-app.get('/test-mysql', async (req, res) => {
+app.get('/test-mysql', requireAdmin, async (req, res) => {
   try {
     logger.info('Testing MySQL connection from Railway...');
 
@@ -1082,7 +1942,7 @@ app.get('/test-mysql', async (req, res) => {
 });
 
 // Debug endpoint to check environment variables
-app.get('/debug/env', (req, res) => {
+app.get('/debug/env', requireAdmin, (req, res) => {
   res.json({
     hasOpenAI: !!process.env.OPENAI_API_KEY,
     openAIKeyLength: process.env.OPENAI_API_KEY ? process.env.OPENAI_API_KEY.length : 0,
@@ -1092,7 +1952,7 @@ app.get('/debug/env', (req, res) => {
 });
 
 // Diagnostic endpoint to test system components
-app.get('/debug/system', async (req, res) => {
+app.get('/debug/system', requireAdmin, diagnosticRateLimit, async (req, res) => {
   const diagnostics = {
     timestamp: new Date().toISOString(),
     pdftocairo: null,
@@ -1119,26 +1979,28 @@ app.get('/debug/system', async (req, res) => {
       diagnostics.pdftocairo = { available: false, error: error.message };
     }
 
-    // Test OpenAI API
+    // Test the configured LLM provider
     try {
-      if (process.env.OPENAI_API_KEY) {
-        const OpenAI = require('openai');
-        const openai = new OpenAI({
-          apiKey: process.env.OPENAI_API_KEY,
-          timeout: 60000,
-          maxRetries: 3
-        });
-
-        const response = await openai.chat.completions.create({
-          model: 'gpt-4o',
+      if (llm.name !== 'openai' || process.env.OPENAI_API_KEY) {
+        const diagnosticLLM = createProvider({ timeout: 60000, maxRetries: 3 });
+        const response = await diagnosticLLM.complete({
+          task: 'diagnostic',
           messages: [{ role: 'user', content: 'Test message' }],
-          max_tokens: 5
+          maxTokens: 5
         });
 
+        if (activeDatabase) {
+          createUsageRecorder(activeDatabase)(response, { task: 'diagnostic' }).catch(error => {
+            logger.error('Error recording diagnostic LLM usage:', error);
+          });
+        }
+
         diagnostics.openai = {
           available: true,
           keyValid: true,
-          response: response.choices[0].message.content
+          provider: diagnosticLLM.name,
+          model: response.model,
+          response: response.content
         };
       } else {
         diagnostics.openai = { available: false, error: 'No API key' };
@@ -1171,6 +2033,13 @@ app.get('/debug/system', async (req, res) => {
 app.use((error, req, res, next) => {
   logger.error('Unhandled error:', error);
 
+  if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+    return res.status(415).json({
+      error: 'Unsupported file type',
+      message: error.message
+    });
+  }
+
   if (error instanceof multer.MulterError) {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({
@@ -1178,6 +2047,13 @@ app.use((error, req, res, next) => {
         message: 'File size must be less than 10MB'
       });
     }
+    // Also raised for more than MAX_BATCH_FILES files in a batch
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({
+        error: 'Unexpected file',
+        message: `Send one file in the "syllabus" field, or up to ${MAX_BATCH_FILES} files in the "syllabi" field of /api/scan-syllabi`
+      });
+    }
   }
 
   res.status(500).json({
@@ -0,0 +1,400 @@
+// Syllabus extraction pipeline shared by the HTTP route (server.js) and the background worker.
+//
+// processSyllabus runs four steps, each of which can also be called on its own:
+//   1. extractText - read the file and decide which analysis path applies
+//   2. analyze     - ask the LLM for schema-validated syllabus data
+//   3. normalize   - map that data onto course and assignment rows
+//   4. persist     - save the rows for a user
+//
+// The analysis path ("pdf-text", "pdf-vision", "image", or "docx-text", "html-text",
+// "plain-text" and "rtf-text" for the formats in document-text.js) is logged and
+// returned, so every upload can be traced back to the code that actually handled it.
+//
+// An onProgress(stage, detail) callback hears about each step as it finishes:
+// text_extracted, pages_rendered and page_analyzed (scanned PDFs), parsed and saved.
+//
+// An AbortSignal stops processSyllabus between steps. It is always checked right before
+// persist, so an aborted scan never saves a course.
+//
+// Before analyzing, processSyllabus looks the file's SHA-256 up in the document cache:
+// an identical document analyzed before reuses the stored extraction (its path is
+// reported as "cache") and still gets its own course copy for the uploading user.
+
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const { renderPdfPages, removePageImages, mapWithConcurrency } = require('./pdf-pages');
+const { TEXT_DOCUMENT_TYPES, extractDocumentText } = require('./document-text');
+const {
+  SYLLABUS_RESPONSE_FORMAT,
+  buildExtractionInstructions,
+  validateSyllabusResult,
+  parseSyllabusResponse,
+  formatSyllabusText,
+  SyllabusValidationError
+} = require('./syllabus-schema');
+
+const IMAGE_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// Every extension extractText handles; uploads of anything else are refused
+const SUPPORTED_EXTENSIONS = [...Object.keys(IMAGE_MIME_TYPES), '.pdf', ...Object.keys(TEXT_DOCUMENT_TYPES)];
+
+// PDFs with less extractable text than this are treated as scanned images
+const MIN_PDF_TEXT_LENGTH = 50;
+
+// Scanned PDF pages: how many to render, how many to analyze at once, and at what resolution
+const PDF_MAX_PAGES = parseInt(process.env.PDF_MAX_PAGES, 10) || 20;
+const PDF_PAGE_CONCURRENCY = parseInt(process.env.PDF_PAGE_CONCURRENCY, 10) || 3;
+const PDF_RENDER_DPI = parseInt(process.env.PDF_RENDER_DPI, 10) || 150;
+
+const SYSTEM_PROMPT = 'You are a helpful assistant that extracts structured data from syllabi. Return only data that appears in the syllabus.';
+
+/**
+ * Merges per-page extractions of a scanned PDF: course details come from the first
+ * page that has them, assignments and important dates are concatenated and
+ * de-duplicated by validation.
+ */
+function combinePageResults(allPageData) {
+  const pages = [...allPageData].sort((a, b) => a.pageNumber - b.pageNumber);
+  const firstValue = field => {
+    const page = pages.find(({ data }) => data && data[field]);
+    return page ? page.data[field] : null;
+  };
+  const allOf = field => pages.flatMap(({ data }) => (data && data[field]) || []);
+
+  const additionalInfo = pages
+    .map(({ data }) => data && data.additional_info)
+    .filter(Boolean);
+
+  const { data } = validateSyllabusResult({
+    course_name: firstValue('course_name'),
+    professor_name: firstValue('professor_name'),
+    professor_email: firstValue('professor_email'),
+    meeting_days: firstValue('meeting_days'),
+    office_hours: firstValue('office_hours'),
+    assignments: allOf('assignments'),
+    important_dates: allOf('important_dates').filter((item, index, items) =>
+      items.findIndex(other => other.date === item.date && other.description === item.description) === index),
+    additional_info: additionalInfo.length > 0 ? [...new Set(additionalInfo)].join('\n\n') : null
+  });
+
+  return data;
+}
+
+// SHA-256 of the file's bytes, used as the document cache key
+function hashDocument(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * Maps validated syllabus data onto the course row and assignment rows that get saved.
+ */
+function normalize(syllabusData) {
+  const courseData = {
+    course_name: syllabusData.course_name || 'Unknown Course',
+    professor_name: syllabusData.professor_name || 'Unknown Professor',
+    professor_email: syllabusData.professor_email || '',
+    meeting_days: syllabusData.meeting_days || '',
+    office_hours: syllabusData.office_hours || '',
+    syllabus_text: formatSyllabusText(syllabusData)
+  };
+
+  return { courseData, assignments: syllabusData.assignments };
+}
+
+/**
+ * Builds the pipeline around an LLM provider (llm-provider.js) and a winston logger.
+ *
+ * The analysis steps accept an onCompletion(completion, { task, analysisPath }) callback
+ * that is called after every LLM call, including calls whose output later fails
+ * validation, so callers can record token usage.
+ */
+function createSyllabusPipeline({ llm, logger }) {
+  async function complete(request, onCompletion) {
+    const completion = await llm.complete(request);
+
+    if (onCompletion) {
+      try {
+        await onCompletion(completion, { task: request.task });
+      } catch (error) {
+        logger.error('Error recording LLM completion:', error);
+      }
+    }
+
+    return completion;
+  }
+
+  // Progress callbacks only inform the caller; a failing one never fails the scan
+  async function reportProgress(onProgress, stage, detail) {
+    if (!onProgress) return;
+
+    try {
+      await onProgress(stage, detail);
+    } catch (error) {
+      logger.error(`Error reporting ${stage} progress:`, error);
+    }
+  }
+
+  // Validates a structured-output completion and logs anything that had to be dropped
+  function readCompletion(completion, source, options = {}) {
+    const { data, warnings } = parseSyllabusResponse(completion, options);
+
+    if (warnings.length > 0) {
+      logger.info(`Normalized ${source} analysis:`, warnings);
+    }
+    logger.info(`Extracted ${data.assignments.length} assignments from ${source} analysis`);
+
+    return data;
+  }
+
+  async function analyzeText(text, { onCompletion } = {}) {
+    const completion = await complete({
+      task: 'text',
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        {
+          role: 'user',
+          content: `${buildExtractionInstructions()}
+
+EXTRACT FROM THIS SYLLABUS TEXT:
+
+${text}`
+        }
+      ],
+      responseFormat: SYLLABUS_RESPONSE_FORMAT,
+      temperature: 0.2,
+      maxTokens: 4000
+    }, onCompletion);
+
+    return readCompletion(completion, 'text');
+  }
+
+  // task is 'page' for rendered PDF pages (which may legitimately be empty) and 'image' for uploads
+  async function analyzeImage(imagePath, { task = 'image', allowEmpty = false, onCompletion } = {}) {
+    const mimeType = IMAGE_MIME_TYPES[path.extname(imagePath).toLowerCase()] || 'image/jpeg';
+    const base64Image = (await fs.promises.readFile(imagePath)).toString('base64');
+    const instructions = task === 'page'
+      ? 'This image may be a single page of a longer syllabus. Extract everything on this page; use null for course fields that are not on it.'
+      : 'Extract the syllabus information from this image.';
+
+    const completion = await complete({
+      task,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: `${buildExtractionInstructions()}\n\n${instructions}` },
+            { type: 'image_url', image_url: { url: `data:${mimeType};base64,${base64Image}` } }
+          ]
+        }
+      ],
+      responseFormat: SYLLABUS_RESPONSE_FORMAT,
+      temperature: 0.1,
+      maxTokens: 4000
+    }, onCompletion);
+
+    return readCompletion(completion, task, { allowEmpty });
+  }
+
+  // Scanned PDFs: render each page with pdftocairo and analyze a few pages at a time
+  async function analyzeScannedPdf(pdfPath, { onCompletion, onProgress } = {}) {
+    const pages = await renderPdfPages(pdfPath, {
+      maxPages: PDF_MAX_PAGES,
+      resolution: PDF_RENDER_DPI
+    });
+    logger.info(`Rendered ${pages.length} PDF pages, analyzing ${PDF_PAGE_CONCURRENCY} at a time`);
+    await reportProgress(onProgress, 'pages_rendered', { pages: pages.length });
+
+    try {
+      const allPageData = await mapWithConcurrency(pages, PDF_PAGE_CONCURRENCY, async ({ pageNumber, imagePath }) => {
+        const data = await analyzeImage(imagePath, { task: 'page', allowEmpty: true, onCompletion });
+        logger.info(`Analyzed PDF page ${pageNumber}/${pages.length}`);
+        await reportProgress(onProgress, 'page_analyzed', { page: pageNumber, pages: pages.length });
+        return { pageNumber, data };
+      });
+
+      return combinePageResults(allPageData);
+    } finally {
+      await removePageImages(pages);
+    }
+  }
+
+  /**
+   * Reads an uploaded file and picks the analysis path.
+   * Resolves to { path, filePath, text, mimeType }.
+   */
+  async function extractText(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (IMAGE_MIME_TYPES[extension]) {
+      return { path: 'image', filePath, text: null, mimeType: IMAGE_MIME_TYPES[extension] };
+    }
+
+    const document = await extractDocumentText(filePath);
+    if (document) {
+      logger.info(`Document text extracted (${document.path}): ${document.text.length} characters`);
+      // Unlike a scanned PDF there's nothing else to read, and a retry would find the same
+      if (!document.text) {
+        throw new SyllabusValidationError('The document contains no text');
+      }
+      return { path: document.path, filePath, text: document.text, mimeType: document.mimeType };
+    }
+
+    if (extension !== '.pdf') {
+      throw new Error(`Unsupported file type: ${extension || 'no extension'}`);
+    }
+
+    let text = '';
+    try {
+      const pdfData = await pdfParse(await fs.promises.readFile(filePath));
+      text = pdfData.text.trim();
+      logger.info(`PDF text extracted: ${text.length} characters`);
+    } catch (pdfError) {
+      logger.error('PDF text extraction failed:', pdfError.message);
+    }
+
+    if (text.replace(/\s/g, '').length >= MIN_PDF_TEXT_LENGTH) {
+      return { path: 'pdf-text', filePath, text, mimeType: 'application/pdf' };
+    }
+
+    logger.info('PDF has no usable text layer - using rendered pages');
+    return { path: 'pdf-vision', filePath, text: null, mimeType: 'application/pdf' };
+  }
+
+  /**
+   * Runs the LLM for an extraction from extractText and resolves to validated syllabus data.
+   * options: { onCompletion, onProgress }
+   */
+  async function analyze(extraction, options = {}) {
+    const onCompletion = options.onCompletion &&
+      ((completion, meta) => options.onCompletion(completion, { ...meta, analysisPath: extraction.path }));
+
+    switch (extraction.path) {
+      case 'pdf-text':
+      case 'docx-text':
+      case 'html-text':
+      case 'plain-text':
+      case 'rtf-text':
+        return analyzeText(extraction.text, { onCompletion });
+      case 'pdf-vision':
+        return analyzeScannedPdf(extraction.filePath, { onCompletion, onProgress: options.onProgress });
+      case 'image':
+        return analyzeImage(extraction.filePath, { onCompletion });
+      default:
+        throw new Error(`Unknown analysis path: ${extraction.path}`);
+    }
+  }
+
+  /**
+   * Saves normalized rows for userId in one transaction, so a failed assignment never
+   * leaves a half-saved course behind. Resolves to { courseId, savedAssignments }.
+   */
+  async function persist(database, { courseData, assignments }, { userId }) {
+    const { courseId, assignmentIds } = await database.saveCourseWithAssignments(
+      { ...courseData, user_id: userId },
+      assignments
+    );
+    logger.info(`Course saved with ID: ${courseId} and ${assignmentIds.length} assignments`);
+
+    return { courseId, savedAssignments: assignmentIds };
+  }
+
+  /**
+   * Resolves to { analysisPath, data } for a previously analyzed document, or null.
+   */
+  async function lookupCache(database, contentHash) {
+    const cached = await database.getDocumentCache(contentHash);
+    if (!cached) return null;
+
+    await database.touchDocumentCache(contentHash);
+    return { analysisPath: cached.analysis_path, data: JSON.parse(cached.result_data) };
+  }
+
+  /**
+   * Single entry point: extract, analyze, normalize and persist one syllabus file.
+   * bypassCache forces a fresh analysis (which then replaces the cached extraction),
+   * onProgress receives the progress stages listed at the top of this file, and an
+   * aborted signal rejects with its reason before the next step. Resolves to
+   * { analysisPath, cached, contentHash, data, courseData, assignments, courseId,
+   * savedAssignments }.
+   */
+  async function processSyllabus(filePath, { database, userId, onCompletion, onProgress, bypassCache = false, signal }) {
+    const contentHash = await hashDocument(filePath);
+    const cached = bypassCache ? null : await lookupCache(database, contentHash);
+    signal?.throwIfAborted();
+
+    let analysisPath;
+    let data;
+    if (cached) {
+      logger.info(`Reusing cached extraction (${cached.analysisPath} path) for document ${contentHash}: ${filePath}`);
+      analysisPath = 'cache';
+      data = cached.data;
+    } else {
+      const extraction = await extractText(filePath);
+      logger.info(`Analyzing syllabus via ${extraction.path} path: ${filePath}`);
+      await reportProgress(onProgress, 'text_extracted', {
+        analysis_path: extraction.path,
+        characters: extraction.text ? extraction.text.length : null
+      });
+
+      analysisPath = extraction.path;
+      signal?.throwIfAborted();
+      data = await analyze(extraction, { onCompletion, onProgress });
+      await database.saveDocumentCache(contentHash, analysisPath, data);
+    }
+    await reportProgress(onProgress, 'parsed', {
+      analysis_path: analysisPath,
+      cached: Boolean(cached),
+      assignments: data.assignments.length
+    });
+
+    const { courseData, assignments } = normalize(data);
+    signal?.throwIfAborted();
+    const { courseId, savedAssignments } = await persist(database, { courseData, assignments }, { userId });
+    await reportProgress(onProgress, 'saved', { course_id: courseId, assignments_saved: savedAssignments.length });
+
+    return {
+      analysisPath,
+      cached: Boolean(cached),
+      contentHash,
+      data,
+      courseData,
+      assignments,
+      courseId,
+      savedAssignments
+    };
+  }
+
+  return {
+    hashDocument,
+    lookupCache,
+    extractText,
+    analyze,
+    normalize,
+    persist,
+    processSyllabus
+  };
+}
+
+module.exports = {
+  createSyllabusPipeline,
+  combinePageResults,
+  hashDocument,
+  normalize,
+  IMAGE_MIME_TYPES,
+  SUPPORTED_EXTENSIONS
+};
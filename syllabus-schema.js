@@ -0,0 +1,293 @@
+// Shared output schema for every syllabus analyzer (text, page image, uploaded image).
+// The model is asked for JSON matching SYLLABUS_SCHEMA through OpenAI structured outputs,
+// and validateSyllabusResult checks and normalizes what comes back before it is saved.
+
+const { ASSIGNMENT_TYPES, isValidDate, normalizeTime } = require('./validation');
+
+const nullableString = description => ({ type: ['string', 'null'], description });
+
+const SYLLABUS_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: [
+    'course_name', 'professor_name', 'professor_email', 'meeting_days',
+    'office_hours', 'assignments', 'important_dates', 'additional_info'
+  ],
+  properties: {
+    course_name: nullableString('Course title including the course number, e.g. "ANT 141: Introduction to Archaeology"'),
+    professor_name: nullableString('Instructor name(s)'),
+    professor_email: nullableString('Instructor email address'),
+    meeting_days: nullableString('Class meeting days, times and location as written, e.g. "Mondays & Wednesdays 12:45-1:40, Maxwell 204"'),
+    office_hours: nullableString('Office hours as written'),
+    assignments: {
+      type: 'array',
+      description: 'Every graded or dated item: exams, quizzes, assignments, projects, readings',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['title', 'due_date', 'due_time', 'type', 'description'],
+        properties: {
+          title: { type: 'string' },
+          due_date: nullableString('YYYY-MM-DD, or null if the syllabus gives no date'),
+          due_time: nullableString('24-hour HH:MM:SS, or null if no time is given'),
+          type: { type: 'string', enum: ASSIGNMENT_TYPES },
+          description: nullableString('Details such as grade weight or submission instructions')
+        }
+      }
+    },
+    important_dates: {
+      type: 'array',
+      description: 'Holidays, breaks, no-class days and other term dates',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['date', 'end_date', 'description', 'no_class'],
+        properties: {
+          date: nullableString('YYYY-MM-DD'),
+          end_date: nullableString('YYYY-MM-DD last day for multi-day breaks, otherwise null'),
+          description: { type: 'string' },
+          no_class: { type: 'boolean', description: 'True if class does not meet on this date or range' }
+        }
+      }
+    },
+    additional_info: nullableString('Grading breakdown, required texts and policies students need to know')
+  }
+};
+
+const SYLLABUS_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'syllabus',
+    strict: true,
+    schema: SYLLABUS_SCHEMA
+  }
+};
+
+/**
+ * Extraction instructions shared by the text and image analyzers.
+ * today is used to resolve dates written without a year.
+ */
+function buildExtractionInstructions(today = new Date()) {
+  return `You are a COMPREHENSIVE syllabus analyzer trained to extract ALL student-essential information. Use this TRAINING EXAMPLE to understand what students need:
+
+TRAINING EXAMPLE - ANT 141 Syllabus shows students need:
+✓ Basic Info: "Introduction to Archaeology", "Professor C. R. DeCorse", "crdecorse@maxwell.syr.edu", "Mondays & Wednesdays 12:45-1:40", "2-5:00 Mon., Wed.; 12-2:00 Fri."
+✓ Test Dates: "Monday, September 29", "Monday, November 3", "Tuesday, December 16, 10:15 AM - 12:15 PM"
+✓ Assignment Deadlines: "Discussion section participation 40%", "Quizzes, exercises, film study guides"
+✓ Weekly Readings: "Record of the Past: An Introduction to Archaeology, 4th Edition", "Chapter 1", "Chapters 2 & 3"
+✓ Major Deliverables: "Two in-class exams (20% each)", "Final exam (20%)", "Discussion section grade (40%)"
+✓ Important Dates: "Labor Day September 1 (no class)", "Fall Break October 14-15", "Thanksgiving November 23-30"
+
+SPECIFIC ASSIGNMENT PATTERNS TO WATCH FOR:
+• "In Class Writing Assignment" + dates: "Monday, Sept. 9", "Wednesday, Sept. 18"
+• "ICWA" assignments with specific deadlines
+• "Mini-Exam" dates: "Monday, October 20", "Monday, November 10"
+• Homework assignments, project milestones and final deadlines
+• Reading assignments by week/date
+• Quiz and exam schedules, including the final exam date, time and location
+• Discussion posts and participation requirements
+
+RULES:
+• Put every exam, quiz, assignment, project, and dated reading in "assignments", one entry per date. Use type "exam" for midterms and finals, "quiz" for quizzes, "reading" for readings, "project" for projects and presentations, "assignment" for homework and papers, and "other" for anything else.
+• Write dates as YYYY-MM-DD. If the syllabus leaves out the year, use the year of the term it names (e.g. "Fall 2025"); if it names no term, assume the term in progress or about to start on ${today.toISOString().split('T')[0]}.
+• Write times as 24-hour HH:MM:SS. Use null for a due_time or due_date the syllabus does not give. Never invent dates.
+• Put holidays, breaks and no-class days in "important_dates" and set no_class to true for them.
+• Use null for any course field that is not in the document instead of "Not specified".
+
+EXTRACT EVERYTHING. STUDENTS DEPEND ON THIS INFORMATION.`;
+}
+
+class SyllabusValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'SyllabusValidationError';
+    this.errors = errors;
+  }
+}
+
+const PLACEHOLDER_PATTERN = /^(not specified( in (the )?document)?|n\/?a|none|unknown|tbd|null)\.?$/i;
+
+function cleanString(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed && !PLACEHOLDER_PATTERN.test(trimmed) ? trimmed : null;
+}
+
+function cleanDate(value, warnings, label) {
+  const cleaned = cleanString(value);
+  if (!cleaned) return null;
+  if (isValidDate(cleaned)) return cleaned;
+
+  warnings.push(`Dropped invalid date "${cleaned}" for ${label}`);
+  return null;
+}
+
+/**
+ * Checks a model response against SYLLABUS_SCHEMA and normalizes it for saving:
+ * placeholder strings become null, bad dates/times are dropped, unknown types become
+ * "other", and duplicate assignments are merged.
+ * Returns { data, warnings }; throws SyllabusValidationError if nothing usable came back,
+ * unless allowEmpty is set (single pages of a longer syllabus may legitimately be empty).
+ */
+function validateSyllabusResult(raw, { allowEmpty = false } = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new SyllabusValidationError('Syllabus analysis did not return a JSON object');
+  }
+
+  const warnings = [];
+  const seen = new Set();
+
+  const assignments = (Array.isArray(raw.assignments) ? raw.assignments : [])
+    .filter(item => item && typeof item === 'object')
+    .map(item => {
+      const title = cleanString(item.title);
+      if (!title) return null;
+
+      const dueDate = cleanDate(item.due_date, warnings, `"${title}"`);
+      let dueTime = null;
+      if (cleanString(item.due_time)) {
+        dueTime = normalizeTime(item.due_time);
+        if (!dueTime) warnings.push(`Dropped invalid time "${item.due_time}" for "${title}"`);
+      }
+
+      return {
+        title: title.slice(0, 500),
+        due_date: dueDate,
+        due_time: dueDate ? dueTime : null,
+        type: ASSIGNMENT_TYPES.includes(item.type) ? item.type : 'other',
+        description: cleanString(item.description)
+      };
+    })
+    .filter(item => {
+      if (!item) return false;
+      const key = `${item.title.toLowerCase()}|${item.due_date}|${item.type}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+  const importantDates = (Array.isArray(raw.important_dates) ? raw.important_dates : [])
+    .filter(item => item && typeof item === 'object' && cleanString(item.description))
+    .map(item => {
+      const date = cleanDate(item.date, warnings, `"${item.description}"`);
+      const endDate = cleanDate(item.end_date, warnings, `"${item.description}"`);
+      return {
+        date,
+        end_date: date && endDate && endDate > date ? endDate : null,
+        description: cleanString(item.description),
+        no_class: item.no_class === true
+      };
+    });
+
+  const data = {
+    course_name: cleanString(raw.course_name),
+    professor_name: cleanString(raw.professor_name),
+    professor_email: cleanString(raw.professor_email),
+    meeting_days: cleanString(raw.meeting_days),
+    office_hours: cleanString(raw.office_hours),
+    assignments,
+    important_dates: importantDates,
+    additional_info: cleanString(raw.additional_info)
+  };
+
+  if (data.professor_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.professor_email)) {
+    warnings.push(`Dropped invalid email "${data.professor_email}"`);
+    data.professor_email = null;
+  }
+
+  if (!allowEmpty && !data.course_name && !data.professor_name && assignments.length === 0) {
+    throw new SyllabusValidationError('No course information or assignments could be extracted from the document');
+  }
+
+  return { data, warnings };
+}
+
+/**
+ * Parses a structured-output completion message into validated syllabus data.
+ */
+function parseSyllabusResponse(message, options = {}) {
+  if (message.refusal) {
+    throw new SyllabusValidationError(`Syllabus analysis was refused: ${message.refusal}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(message.content);
+  } catch (parseError) {
+    throw new SyllabusValidationError('Syllabus analysis returned invalid JSON', [parseError.message]);
+  }
+
+  return validateSyllabusResult(raw, options);
+}
+
+function formatDisplayDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  const monthName = new Date(Date.UTC(year, month - 1, day)).toLocaleString('en-US', { month: 'long', timeZone: 'UTC' });
+  return { year, text: `${monthName} ${day}` };
+}
+
+function formatDateRange(date, endDate) {
+  if (!date) return null;
+
+  const start = formatDisplayDate(date);
+  if (!endDate) return `${start.text}, ${start.year}`;
+
+  const end = formatDisplayDate(endDate);
+  // One trailing year keeps ranges readable by schedule.js ("October 14 - October 15, 2025")
+  return start.year === end.year
+    ? `${start.text} - ${end.text}, ${end.year}`
+    : `${start.text} - ${end.text}`;
+}
+
+/**
+ * Renders validated syllabus data as the plain-text summary stored in
+ * courses.syllabus_text. schedule.js reads the IMPORTANT DATES section back.
+ */
+function formatSyllabusText(data) {
+  const bullets = items => items.length > 0 ? items.map(item => `• ${item}`).join('\n') : '• Not specified in document';
+  const dated = item => item.due_date
+    ? `${formatDateRange(item.due_date)}${item.due_time ? ` ${item.due_time.slice(0, 5)}` : ''}: ${item.title}`
+    : item.title;
+
+  const exams = data.assignments.filter(item => item.type === 'exam' || item.type === 'quiz');
+  const readings = data.assignments.filter(item => item.type === 'reading');
+  const deadlines = data.assignments.filter(item => !exams.includes(item) && !readings.includes(item));
+
+  const importantDates = data.important_dates.map(item => {
+    const when = formatDateRange(item.date, item.end_date);
+    const description = item.no_class && !/no class/i.test(item.description)
+      ? `${item.description} (no class)`
+      : item.description;
+    return when ? `${when}: ${description}` : description;
+  });
+
+  return `🎓 COURSE INFORMATION
+• Course Name: ${data.course_name || 'Not specified in document'}
+• Professor: ${data.professor_name || 'Not specified in document'}
+• Email: ${data.professor_email || 'Not specified in document'}
+• Meeting Days: ${data.meeting_days || 'Not specified in document'}
+• Office Hours: ${data.office_hours || 'Not specified in document'}
+
+📝 TEST DATES
+${bullets(exams.map(dated))}
+
+📋 ASSIGNMENT DEADLINES
+${bullets(deadlines.map(dated))}
+
+📚 WEEKLY READINGS
+${bullets(readings.map(dated))}
+
+📅 IMPORTANT DATES
+${bullets(importantDates)}
+${data.additional_info ? `\n🎯 ADDITIONAL INFORMATION\n${data.additional_info}\n` : ''}`;
+}
+
+module.exports = {
+  SYLLABUS_SCHEMA,
+  SYLLABUS_RESPONSE_FORMAT,
+  SyllabusValidationError,
+  buildExtractionInstructions,
+  validateSyllabusResult,
+  parseSyllabusResponse,
+  formatSyllabusText
+};
@@ -60,7 +60,9 @@ WEEKLY READINGS:
     console.log('3. 🔄 Testing OpenAI API connectivity...');
 
     // Test 2: Check if we can make a simple API call
-    const testResponse = await fetch('https://syllabus-scanner-server.vercel.app/debug/env');
+    const testResponse = await fetch('https://syllabus-scanner-server.vercel.app/debug/env', {
+      headers: { Authorization: `Bearer ${process.env.ADMIN_API_KEY}` }
+    });
     const envData = await testResponse.json();
 
     if (envData.hasOpenAI && envData.openAIKeyLength > 0) {
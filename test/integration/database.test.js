@@ -0,0 +1,1025 @@
+// Integration tests for the data layer and the scan pipeline against real databases.
+//
+//   npm run test:integration   (runs this file directly; see package.json)
+//
+// SQLite always runs, on a scratch file that is deleted afterwards. MySQL runs too when
+// TEST_DB_HOST is set, for example against the container in docker-compose.test.yml:
+//
+//   docker compose -f docker-compose.test.yml up -d --wait
+//   TEST_DB_HOST=127.0.0.1 TEST_DB_PORT=3307 TEST_DB_USER=root TEST_DB_PASSWORD=test \
+//     TEST_DB_NAME=syllabus_scanner_test npm run test:integration
+//   docker compose -f docker-compose.test.yml down -v
+//
+// Only TEST_DB_* variables are read, so the MySQL settings in .env are never touched.
+// LLM calls go to the mock provider.
+//
+// The HTTP API tests at the end start `node server.js` in a child process, on its own
+// SQLite file (MySQL is pointed at a closed port) and with scratch upload and log folders.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const { once } = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const sqlitePath = path.join(os.tmpdir(), `syllabus-scanner-test-${process.pid}.db`);
+process.env.SQLITE_PATH = sqlitePath;
+
+if (process.env.TEST_DB_HOST) {
+  // Set before database.js loads .env, which never overrides variables that already exist
+  process.env.DB_HOST = process.env.TEST_DB_HOST;
+  process.env.DB_PORT = process.env.TEST_DB_PORT || '3306';
+  process.env.DB_USER = process.env.TEST_DB_USER || 'root';
+  process.env.DB_PASSWORD = process.env.TEST_DB_PASSWORD || '';
+  process.env.DB_NAME = process.env.TEST_DB_NAME || 'syllabus_scanner_test';
+  process.env.DB_SSL = process.env.TEST_DB_SSL || 'false';
+}
+
+const { createProvider, MOCK_SYLLABUS } = require('../../llm-provider');
+const { createSyllabusPipeline } = require('../../syllabus-pipeline');
+const { SyllabusValidationError } = require('../../syllabus-schema');
+const { MIGRATIONS, runMigrations } = require('../../migrations');
+const { queueJobWebhooks, deliverDueWebhooks, verifySignature } = require('../../webhooks');
+const { assertPublicHost, downloadDocument, RemoteDocumentError } = require('../../remote-document');
+
+const silentLogger = { info() {}, error() {} };
+
+const backends = [
+  {
+    name: 'SQLite',
+    load: () => require('../../database-sqlite'),
+    appliedVersions: database => new Promise((resolve, reject) => {
+      database.db.all('SELECT version FROM schema_migrations ORDER BY version', (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => Number(row.version)));
+      });
+    }),
+    cleanUp: () => fs.promises.rm(sqlitePath, { force: true })
+  },
+  {
+    name: 'MySQL',
+    skip: !process.env.TEST_DB_HOST && 'set TEST_DB_HOST to run against MySQL',
+    load: () => require('../../database'),
+    appliedVersions: async database => {
+      const [rows] = await database.pool.query('SELECT version FROM schema_migrations ORDER BY version');
+      return rows.map(row => Number(row.version));
+    },
+    // The test container is thrown away with `down -v`
+    cleanUp: async () => {}
+  }
+];
+
+// Unique per run, so reruns against a kept MySQL database don't collide
+const runId = `${process.pid}-${Date.now()}`;
+
+// A PNG header followed by random bytes: a new document (and cache key) every run
+function writeTestImage(name) {
+  const filePath = path.join(os.tmpdir(), `${name}-${runId}.png`);
+  fs.writeFileSync(filePath, Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    crypto.randomBytes(64)
+  ]));
+  return filePath;
+}
+
+for (const backend of backends) {
+  describe(`${backend.name} backend`, { skip: backend.skip }, () => {
+    let database;
+
+    before(async () => {
+      database = backend.load();
+      await database.connect();
+    });
+
+    after(async () => {
+      await database.close();
+      await backend.cleanUp();
+    });
+
+    it('applies every migration at connect', async () => {
+      assert.deepEqual(await backend.appliedVersions(database), MIGRATIONS.map(migration => migration.version));
+    });
+
+    it('saves a course and its assignments together', async () => {
+      const userId = `course-${runId}`;
+      const { courseId, assignmentIds } = await database.saveCourseWithAssignments(
+        { user_id: userId, course_name: 'ANT 141', professor_name: 'C. R. DeCorse' },
+        [
+          { title: 'Exam 1', due_date: '2025-09-29', due_time: null, type: 'exam', description: null },
+          { title: 'Final exam', due_date: '2025-12-16', due_time: '10:15:00', type: 'exam', description: '20%' }
+        ]
+      );
+
+      assert.equal(assignmentIds.length, 2);
+
+      const [course] = await database.getCoursesByUser(userId);
+      assert.equal(course.id, courseId);
+      assert.equal(course.course_name, 'ANT 141');
+
+      const assignments = await database.getAssignmentsByCourse(courseId);
+      assert.deepEqual(assignments.map(assignment => assignment.title), ['Exam 1', 'Final exam']);
+      assert.equal(assignments[1].due_time, '10:15:00');
+      assert.equal(Boolean(assignments[0].completed), false);
+    });
+
+    it('rolls the course back when one of its assignments fails', async t => {
+      const userId = `rollback-${runId}`;
+      const saveAssignment = database.saveAssignment.bind(database);
+      t.mock.method(database, 'saveAssignment', async (courseId, assignment, connection) => {
+        if (assignment.title === 'Broken') throw new Error('assignment insert failed');
+        return saveAssignment(courseId, assignment, connection);
+      });
+
+      await assert.rejects(
+        database.saveCourseWithAssignments({ user_id: userId, course_name: 'Rolled back' }, [
+          { title: 'Fine', type: 'reading' },
+          { title: 'Broken', type: 'exam' }
+        ]),
+        /assignment insert failed/
+      );
+
+      assert.equal(await database.countCoursesByUser(userId), 0);
+    });
+
+    it('saves assignments that leave optional fields out', async () => {
+      const { courseId } = await database.saveCourseWithAssignments({ user_id: `optional-${runId}` });
+      const assignmentId = await database.saveAssignment(courseId, { title: 'Only a title' });
+
+      const assignment = await database.getAssignmentById(assignmentId);
+      assert.equal(assignment.title, 'Only a title');
+      assert.equal(assignment.type, 'other');
+      assert.equal(assignment.due_date, null);
+    });
+
+    it('runs a job from pending to completed or failed', async () => {
+      const userId = `jobs-${runId}`;
+      const { courseId } = await database.saveCourseWithAssignments({ user_id: userId, course_name: 'Job course' });
+      const jobId = crypto.randomUUID();
+      const failedJobId = crypto.randomUUID();
+
+      await database.createJob(jobId, userId, 'syllabus.png', '/tmp/syllabus.png', { bypassCache: true });
+      await database.createJob(failedJobId, userId, 'broken.png', '/tmp/broken.png');
+
+      let job = await database.getJobById(jobId);
+      assert.equal(job.status, 'pending');
+      assert.equal(job.user_id, userId);
+      assert.equal(Boolean(job.bypass_cache), true);
+
+      const pendingIds = (await database.getPendingJobs(1000)).map(pending => pending.id);
+      assert.ok(pendingIds.includes(jobId));
+      assert.ok(pendingIds.includes(failedJobId));
+
+      await database.updateJobStatus(jobId, 'processing');
+      assert.ok(!(await database.getPendingJobs(1000)).some(pending => pending.id === jobId));
+
+      await database.updateJobResult(jobId, { course_id: courseId, assignments_saved: 0 }, courseId);
+      job = await database.getJobById(jobId);
+      assert.equal(job.status, 'completed');
+      assert.equal(job.course_id, courseId);
+      assert.deepEqual(JSON.parse(job.result_data), { course_id: courseId, assignments_saved: 0 });
+      assert.ok(job.completed_at);
+
+      await database.updateJobError(failedJobId, 'File not found');
+      const failedJob = await database.getJobById(failedJobId);
+      assert.equal(failedJob.status, 'failed');
+      assert.equal(failedJob.error_message, 'File not found');
+
+      assert.equal(await database.getJobById(crypto.randomUUID()), null);
+    });
+
+    it('claims each pending job for exactly one worker', async () => {
+      const userId = `claims-${runId}`;
+      const jobIds = [];
+      for (let i = 0; i < 6; i++) {
+        jobIds.push(await database.createJob(crypto.randomUUID(), userId, `claim-${i}.png`, `/tmp/claim-${i}.png`));
+      }
+
+      const [first, second] = await Promise.all([
+        database.claimJobs('worker-a', { limit: 1000, leaseSeconds: 60 }),
+        database.claimJobs('worker-b', { limit: 1000, leaseSeconds: 60 })
+      ]);
+      const claimed = [...first, ...second].filter(job => job.user_id === userId);
+
+      assert.deepEqual(claimed.map(job => job.id).sort(), [...jobIds].sort());
+      assert.ok(claimed.every(job => job.status === 'processing' && job.lease_expires_at));
+      assert.deepEqual(await database.claimJobs('worker-c', { limit: 1000, leaseSeconds: 60 }), []);
+    });
+
+    it('reclaims jobs whose lease ran out and ignores the old worker', async () => {
+      const jobId = await database.createJob(crypto.randomUUID(), `leases-${runId}`, 'lease.png', '/tmp/lease.png');
+
+      // A negative lease stands in for a worker that crashed a minute ago
+      const [job] = await database.claimJobs('crashed-worker', { limit: 1, leaseSeconds: -60 });
+      assert.equal(job.id, jobId);
+      assert.equal(job.worker_id, 'crashed-worker');
+
+      assert.ok((await database.reclaimExpiredJobs()).requeued >= 1);
+      assert.equal((await database.getJobById(jobId)).status, 'pending');
+
+      const [reclaimed] = await database.claimJobs('new-worker', { limit: 1, leaseSeconds: 60 });
+      assert.equal(reclaimed.id, jobId);
+      assert.equal(await database.renewJobLease(jobId, 'new-worker', 60), true);
+      assert.deepEqual(await database.reclaimExpiredJobs(), { requeued: 0, deadJobIds: [] });
+
+      assert.equal(await database.renewJobLease(jobId, 'crashed-worker', 60), false);
+      assert.equal(await database.updateJobResult(jobId, { stale: true }, null, { workerId: 'crashed-worker' }), false);
+      assert.equal(await database.updateJobError(jobId, 'stale failure', { workerId: 'crashed-worker' }), false);
+
+      assert.equal(await database.updateJobResult(jobId, { assignments_saved: 0 }, null, { workerId: 'new-worker' }), true);
+      const completed = await database.getJobById(jobId);
+      assert.equal(completed.status, 'completed');
+      assert.equal(completed.lease_expires_at, null);
+    });
+
+    it('releases a job a stopping worker could not finish without counting the attempt', async () => {
+      const jobId = await database.createJob(crypto.randomUUID(), `release-${runId}`, 'release.png', '/tmp/release.png');
+      const [job] = await database.claimJobs('stopping-worker', { limit: 1, leaseSeconds: 60 });
+      assert.equal(job.id, jobId);
+
+      assert.equal(await database.releaseJob(jobId, 'other-worker'), false);
+      assert.equal(await database.releaseJob(jobId, 'stopping-worker'), true);
+
+      const released = await database.getJobById(jobId);
+      assert.equal(released.status, 'pending');
+      assert.equal(released.attempts, 0);
+      assert.equal(released.worker_id, null);
+
+      await database.claimJobs('cleanup-worker', { limit: 1, leaseSeconds: 60 });
+      await database.updateJobError(jobId, 'Not a real job', { workerId: 'cleanup-worker' });
+    });
+
+    it('retries failed attempts after their delay and requeues dead jobs', async () => {
+      const jobId = await database.createJob(crypto.randomUUID(), `retries-${runId}`, 'retry.png', '/tmp/retry.png', {
+        callbackUrl: 'https://example.com/hooks/retries',
+        callbackSecret: 'whsec_retries'
+      });
+      const claim = async () => (await database.claimJobs('retry-worker', { limit: 1000, leaseSeconds: 60 }))
+        .find(job => job.id === jobId);
+
+      let job = await claim();
+      assert.equal(job.attempts, 1);
+
+      assert.equal(await database.scheduleJobRetry(jobId, 'Request timed out', 60, { workerId: 'retry-worker' }), true);
+      job = await database.getJobById(jobId);
+      assert.equal(job.status, 'pending');
+      assert.equal(job.error_message, 'Request timed out');
+      assert.ok(job.next_attempt_at);
+      assert.equal(await claim(), undefined);
+
+      // A negative delay makes the retry due right away
+      await database.scheduleJobRetry(jobId, 'Request timed out', -1);
+      job = await claim();
+      assert.equal(job.attempts, 2);
+
+      assert.equal(await database.updateJobError(jobId, 'Request timed out', { workerId: 'retry-worker', status: 'dead' }), true);
+      assert.equal((await database.getJobById(jobId)).status, 'dead');
+
+      assert.equal(await database.requeueJob(jobId), true);
+      job = await database.getJobById(jobId);
+      assert.equal(job.status, 'pending');
+      assert.equal(job.attempts, 0);
+      assert.equal(job.error_message, null);
+      assert.equal(await database.requeueJob(jobId), false);
+
+      // A crashed worker's job is dead once it used up its attempts, and notifies its callback
+      await database.claimJobs('crashed-worker', { limit: 1000, leaseSeconds: -60 });
+      const { deadJobIds } = await database.reclaimExpiredJobs({ maxAttempts: 1 });
+      assert.ok(deadJobIds.includes(jobId));
+      assert.equal((await database.getJobById(jobId)).status, 'dead');
+
+      assert.equal(await queueJobWebhooks(database, jobId), 1);
+      const [delivery] = await database.getWebhookDeliveries(`retries-${runId}`, { jobId });
+      assert.equal(delivery.event, 'job.failed');
+      assert.equal(delivery.status, 'pending');
+    });
+
+    it('records job events in order and returns the ones after an id', async () => {
+      const jobId = await database.createJob(crypto.randomUUID(), `events-${runId}`, 'events.png', '/tmp/events.png');
+
+      const firstId = await database.addJobEvent(jobId, 'uploaded', { file_name: 'events.png' });
+      await database.addJobEvent(jobId, 'page_analyzed', { page: 1, pages: 2 });
+      await database.addJobEvent(jobId, 'completed');
+
+      const events = await database.getJobEvents(jobId);
+      assert.deepEqual(events.map(event => event.stage), ['uploaded', 'page_analyzed', 'completed']);
+      assert.deepEqual(JSON.parse(events[1].detail), { page: 1, pages: 2 });
+      assert.equal(events[2].detail, null);
+
+      const later = await database.getJobEvents(jobId, { afterId: firstId });
+      assert.deepEqual(later.map(event => event.stage), ['page_analyzed', 'completed']);
+    });
+
+    it('creates a batch with its jobs in upload order, or nothing at all', async () => {
+      const userId = `batch-${runId}`;
+      const batchId = crypto.randomUUID();
+      const files = ['one.pdf', 'two.png', 'three.pdf'].map(name => ({
+        id: crypto.randomUUID(),
+        file_name: name,
+        file_path: `/tmp/${name}`
+      }));
+
+      await database.createBatch(batchId, userId, files, { bypassCache: true });
+      const batch = await database.getBatchById(batchId);
+      assert.equal(batch.user_id, userId);
+      assert.equal(batch.file_count, 3);
+
+      const jobs = await database.getJobsByBatch(batchId);
+      assert.deepEqual(jobs.map(job => job.id), files.map(file => file.id));
+      assert.ok(jobs.every(job => job.status === 'pending' && job.user_id === userId && Boolean(job.bypass_cache)));
+
+      // A job id that already exists rolls back the batch and its other jobs
+      const failedBatchId = crypto.randomUUID();
+      const newJobId = crypto.randomUUID();
+      await assert.rejects(database.createBatch(failedBatchId, userId, [
+        { id: newJobId, file_name: 'new.pdf', file_path: '/tmp/new.pdf' },
+        files[0]
+      ]));
+      assert.equal(await database.getBatchById(failedBatchId), null);
+      assert.equal(await database.getJobById(newJobId), null);
+    });
+
+    it('sends signed webhooks for finished jobs and retries failed deliveries', async t => {
+      // Answers 500 to the first request for /flaky and 204 to everything else
+      const received = [];
+      const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ path: req.url, headers: req.headers, body });
+          const flaky = req.url === '/flaky' && received.filter(request => request.path === '/flaky').length === 1;
+          res.writeHead(flaky ? 500 : 204).end();
+        });
+      });
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+      t.after(() => new Promise(resolve => receiver.close(resolve)));
+      const baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+
+      const userId = await database.createUser({ email: `webhooks-${runId}@example.com` });
+      const webhookId = await database.createWebhook(userId, `${baseUrl}/flaky`, 'whsec_user');
+      assert.deepEqual((await database.getWebhooksByUser(userId)).map(webhook => webhook.id), [webhookId]);
+
+      const jobId = crypto.randomUUID();
+      await database.createJob(jobId, String(userId), 'hook.png', '/tmp/hook.png', {
+        callbackUrl: `${baseUrl}/callback`,
+        callbackSecret: 'whsec_job'
+      });
+      assert.equal(await queueJobWebhooks(database, jobId), 0, 'pending jobs do not notify');
+
+      await database.updateJobError(jobId, 'Nothing to extract');
+      assert.equal(await queueJobWebhooks(database, jobId), 2);
+
+      await deliverDueWebhooks(database, { logger: silentLogger, limit: 100, allowPrivateAddresses: true });
+      let deliveries = await database.getWebhookDeliveries(String(userId), { jobId });
+      const callback = deliveries.find(delivery => delivery.webhook_id === null);
+      let flaky = deliveries.find(delivery => delivery.webhook_id === webhookId);
+      assert.equal(callback.status, 'delivered');
+      assert.equal(callback.response_status, 204);
+      assert.ok(callback.delivered_at);
+      assert.equal(flaky.status, 'pending');
+      assert.equal(flaky.response_status, 500);
+      assert.equal(flaky.attempts, 1);
+
+      const request = received.find(entry => entry.path === '/callback');
+      assert.equal(request.headers['x-syllabus-event'], 'job.failed');
+      assert.equal(request.headers['x-syllabus-delivery'], String(callback.id));
+      assert.ok(verifySignature(request.body, request.headers['x-syllabus-signature'], 'whsec_job'));
+      assert.ok(!verifySignature(request.body, request.headers['x-syllabus-signature'], 'whsec_user'));
+      assert.equal(JSON.parse(request.body).job.error_message, 'Nothing to extract');
+
+      // The retry isn't due yet; make it due and deliver again
+      assert.deepEqual((await database.claimWebhookDeliveries({ limit: 100, leaseSeconds: 60 })).filter(delivery => delivery.job_id === jobId), []);
+      await database.recordWebhookAttempt(flaky.id, { status: 'pending', responseStatus: 500, retryInSeconds: -1 });
+      await deliverDueWebhooks(database, { logger: silentLogger, limit: 100, allowPrivateAddresses: true });
+      flaky = (await database.getWebhookDeliveries(String(userId), { jobId })).find(delivery => delivery.id === flaky.id);
+      assert.equal(flaky.status, 'delivered');
+      assert.equal(flaky.attempts, 2);
+
+      // Out of attempts: the delivery fails for good
+      const deadJobId = crypto.randomUUID();
+      await database.createJob(deadJobId, String(userId), 'gone.png', '/tmp/gone.png', {
+        callbackUrl: 'http://127.0.0.1:1/unreachable',
+        callbackSecret: 'whsec_gone'
+      });
+      await database.deleteWebhook(webhookId, userId);
+      await database.updateJobError(deadJobId, 'Timed out', { status: 'dead' });
+      assert.equal(await queueJobWebhooks(database, deadJobId), 1);
+      await deliverDueWebhooks(database, { logger: silentLogger, limit: 100, maxAttempts: 1, allowPrivateAddresses: true });
+
+      deliveries = await database.getWebhookDeliveries(String(userId), { jobId: deadJobId });
+      assert.equal(deliveries[0].status, 'failed');
+      assert.equal(deliveries[0].event, 'job.failed');
+      assert.ok(deliveries[0].last_error);
+      assert.equal(await database.countWebhookDeliveries(String(userId)), 3);
+    });
+
+    it('refuses webhooks on loopback, private and metadata addresses', async t => {
+      for (const url of ['http://169.254.169.254/latest', 'http://10.0.0.5/hook', 'http://[::1]/hook', 'http://localhost:8080/hook']) {
+        await assert.rejects(assertPublicHost(new URL(url)), error => error instanceof RemoteDocumentError, url);
+      }
+
+      // A webhook stored before the check existed is never sent to
+      let requests = 0;
+      const receiver = http.createServer((req, res) => {
+        requests++;
+        res.writeHead(204).end();
+      });
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+      t.after(() => new Promise(resolve => receiver.close(resolve)));
+
+      const userId = await database.createUser({ email: `private-webhooks-${runId}@example.com` });
+      await database.createWebhook(userId, `http://127.0.0.1:${receiver.address().port}/hook`, 'whsec_private');
+      const jobId = crypto.randomUUID();
+      await database.createJob(jobId, String(userId), 'private.png', '/tmp/private.png');
+      await database.updateJobError(jobId, 'Nothing to extract');
+      assert.equal(await queueJobWebhooks(database, jobId), 1);
+
+      await deliverDueWebhooks(database, { logger: silentLogger, limit: 100, maxAttempts: 1 });
+      const [delivery] = await database.getWebhookDeliveries(String(userId), { jobId });
+      assert.equal(delivery.status, 'failed');
+      assert.equal(delivery.response_status, null);
+      assert.match(delivery.last_error, /private address/);
+      assert.equal(requests, 0);
+    });
+
+    it('scans a syllabus through the pipeline and reuses the cached extraction', async () => {
+      const llm = createProvider({ recordCalls: true }, { LLM_PROVIDER: 'mock' });
+      const pipeline = createSyllabusPipeline({ llm, logger: silentLogger });
+      const filePath = writeTestImage(`syllabus-${backend.name.toLowerCase()}`);
+      const userId = `pipeline-${runId}`;
+
+      try {
+        const stages = [];
+        const onProgress = stage => stages.push(stage);
+
+        const first = await pipeline.processSyllabus(filePath, { database, userId, onProgress });
+        assert.equal(first.analysisPath, 'image');
+        assert.deepEqual(stages, ['text_extracted', 'parsed', 'saved']);
+        assert.equal(first.cached, false);
+        assert.equal(first.savedAssignments.length, MOCK_SYLLABUS.assignments.length);
+
+        const saved = await database.getAssignmentsByCourse(first.courseId);
+        assert.deepEqual(saved.map(assignment => assignment.title), MOCK_SYLLABUS.assignments.map(assignment => assignment.title));
+
+        const second = await pipeline.processSyllabus(filePath, { database, userId });
+        assert.equal(second.analysisPath, 'cache');
+        assert.equal(second.cached, true);
+        assert.notEqual(second.courseId, first.courseId);
+        assert.equal(llm.calls.length, 1);
+
+        // Aborted after parsing (a worker shutting down): nothing is saved
+        const controller = new AbortController();
+        await assert.rejects(pipeline.processSyllabus(filePath, {
+          database,
+          userId,
+          signal: controller.signal,
+          onProgress: stage => stage === 'parsed' && controller.abort()
+        }), { name: 'AbortError' });
+
+        assert.equal(await database.countCoursesByUser(userId), 2);
+      } finally {
+        fs.rmSync(filePath, { force: true });
+      }
+    });
+
+    it('analyzes HTML, Markdown and RTF documents from their text', async () => {
+      const llm = createProvider({ recordCalls: true }, { LLM_PROVIDER: 'mock' });
+      const pipeline = createSyllabusPipeline({ llm, logger: silentLogger });
+      const userId = `documents-${runId}`;
+      const documents = {
+        html: '<html><head><title>x</title><style>p { color: red }</style></head><body><h1>CS 101 &amp; Lab</h1><ul><li>Homework 1</li><li>Midterm</li></ul></body></html>',
+        md: '# CS 101 & Lab\n\n- Homework 1\n- Midterm\n',
+        rtf: String.raw`{\rtf1\ansi{\fonttbl{\f0 Times;}}\f0 CS 101 & Lab\par - Homework 1\par - Midterm \'96 week 8\par}`,
+        txt: '  \n'
+      };
+      const filePaths = Object.entries(documents).map(([extension, content]) => {
+        const filePath = path.join(os.tmpdir(), `syllabus-${runId}-${backend.name.toLowerCase()}.${extension}`);
+        fs.writeFileSync(filePath, content);
+        return filePath;
+      });
+
+      try {
+        const [html, md, rtf, txt] = filePaths;
+
+        const htmlScan = await pipeline.processSyllabus(html, { database, userId, bypassCache: true });
+        assert.equal(htmlScan.analysisPath, 'html-text');
+        const htmlPrompt = llm.calls[0].messages[1].content;
+        assert.match(htmlPrompt, /CS 101 & Lab\n\n- Homework 1\n- Midterm$/);
+        assert.doesNotMatch(htmlPrompt, /color: red/);
+
+        assert.equal((await pipeline.processSyllabus(md, { database, userId, bypassCache: true })).analysisPath, 'plain-text');
+        assert.match(llm.calls[1].messages[1].content, /# CS 101 & Lab/);
+
+        assert.equal((await pipeline.processSyllabus(rtf, { database, userId, bypassCache: true })).analysisPath, 'rtf-text');
+        assert.match(llm.calls[2].messages[1].content, /CS 101 & Lab\n- Homework 1\n- Midterm – week 8$/);
+        assert.doesNotMatch(llm.calls[2].messages[1].content, /Times/);
+
+        // Nothing to analyze: refused before calling the LLM
+        await assert.rejects(pipeline.processSyllabus(txt, { database, userId, bypassCache: true }), SyllabusValidationError);
+        assert.equal(llm.calls.length, 3);
+      } finally {
+        filePaths.forEach(filePath => fs.rmSync(filePath, { force: true }));
+      }
+    });
+  });
+}
+
+describe('migrations', () => {
+  it('moves user ids from before accounts existed out of the account id space', async () => {
+    const sqlite3 = require('sqlite3');
+    const db = new sqlite3.Database(':memory:');
+    const query = method => (sql, params = []) => new Promise((resolve, reject) => {
+      db[method](sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+    });
+    const connection = {
+      dialect: 'sqlite',
+      transactional: true,
+      run: query('run'),
+      all: query('all'),
+      columnExists: async (table, column) => (await query('all')(`PRAGMA table_info(${table})`)).some(existing => existing.name === column)
+    };
+    const silent = () => {};
+
+    try {
+      // A database from the user-id header days, upgraded to accounts a day ago
+      await runMigrations(connection, { migrations: MIGRATIONS.filter(migration => migration.version <= 10), log: silent });
+      await connection.run(`UPDATE schema_migrations SET applied_at = datetime('now', '-1 day') WHERE version = 2`);
+      await connection.run(`INSERT INTO courses (user_id, course_name, created_at) VALUES ('1', 'Old course', datetime('now', '-2 days'))`);
+      await connection.run(`INSERT INTO jobs (id, user_id, file_name, file_path, created_at) VALUES ('old-job', 'anonymous', 'old.png', '/tmp/old.png', datetime('now', '-2 days'))`);
+      await connection.run(`INSERT INTO courses (user_id, course_name) VALUES ('1', 'New course')`);
+
+      await runMigrations(connection, { log: silent });
+
+      const courses = await connection.all('SELECT user_id, course_name FROM courses ORDER BY id');
+      assert.deepEqual(courses.map(course => [course.course_name, course.user_id]), [['Old course', 'legacy:1'], ['New course', '1']]);
+      assert.equal((await connection.all(`SELECT user_id FROM jobs WHERE id = 'old-job'`))[0].user_id, 'legacy:anonymous');
+    } finally {
+      await new Promise(resolve => db.close(resolve));
+    }
+  });
+});
+
+describe('syllabus downloads', () => {
+  const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), `downloads-${runId}-`));
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      switch (req.url) {
+        case '/course/CS%20101%20Syllabus':
+          return res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' }).end('<h1>CS 101</h1>');
+        case '/moved':
+          return res.writeHead(302, { Location: '/course/CS%20101%20Syllabus' }).end();
+        case '/files/syllabus.pdf':
+          return res.writeHead(200, { 'Content-Type': 'application/octet-stream' }).end('%PDF-1.4');
+        case '/photo':
+          return res.writeHead(200, { 'Content-Type': 'image/png' }).end('png');
+        case '/huge':
+          return res.writeHead(200, { 'Content-Type': 'application/pdf', 'Content-Length': 50 * 1024 * 1024 }).end();
+        default:
+          return res.writeHead(404).end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(downloadDir, { recursive: true, force: true });
+  });
+
+  it('refuses loopback, private and metadata addresses', async () => {
+    for (const url of [`${baseUrl}/moved`, 'http://localhost/', 'http://[::ffff:10.0.0.1]/', 'http://169.254.169.254/latest/meta-data/', 'http://2130706433/']) {
+      await assert.rejects(downloadDocument(url, downloadDir), error => error instanceof RemoteDocumentError && error.status === 400, url);
+    }
+  });
+
+  it('downloads PDF and HTML documents within the limits', async () => {
+    const options = { allowPrivateAddresses: true };
+
+    const html = await downloadDocument(`${baseUrl}/moved`, downloadDir, options);
+    assert.equal(html.originalname, 'CS 101 Syllabus.html');
+    assert.equal(html.url, `${baseUrl}/course/CS%20101%20Syllabus`);
+    assert.equal(fs.readFileSync(html.path, 'utf8'), '<h1>CS 101</h1>');
+
+    const pdf = await downloadDocument(`${baseUrl}/files/syllabus.pdf`, downloadDir, options);
+    assert.equal(pdf.originalname, 'syllabus.pdf');
+    assert.equal(pdf.mimetype, 'application/pdf');
+
+    const failures = { '/photo': 415, '/huge': 413, '/missing': 502 };
+    for (const [urlPath, status] of Object.entries(failures)) {
+      await assert.rejects(downloadDocument(`${baseUrl}${urlPath}`, downloadDir, options), error => error.status === status, urlPath);
+    }
+    assert.equal(fs.readdirSync(downloadDir).length, 2);
+  });
+});
+
+// A port nothing listens on yet, for the server under test
+async function freePort() {
+  const probe = http.createServer();
+  await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+  const { port } = probe.address();
+  await new Promise(resolve => probe.close(resolve));
+  return port;
+}
+
+describe('HTTP API', () => {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'syllabus-scanner-http-'));
+  let server;
+  let serverEnv;
+  let baseUrl;
+
+  before(async () => {
+    const port = await freePort();
+    const env = { ...process.env };
+    Object.keys(env).filter(name => /^(TEST_)?DB_/.test(name)).forEach(name => delete env[name]);
+
+    // Also the worker's environment, so it shares the server's SQLite database
+    serverEnv = {
+      ...env,
+      PORT: String(port),
+      DB_HOST: '127.0.0.1',
+      DB_PORT: '1',
+      DB_SSL: 'false',
+      SQLITE_PATH: path.join(workDir, 'server.db'),
+      LLM_PROVIDER: 'mock',
+      SCAN_RATE_LIMIT_PER_USER: '3',
+      REGISTER_RATE_LIMIT_PER_IP: '0',
+      REGISTRATIONS_PER_IP_PER_DAY: '0',
+      JOB_EVENTS_POLL_MS: '50',
+      ADMIN_API_KEY: 'test-admin-key'
+    };
+    server = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+      cwd: workDir,
+      stdio: 'ignore',
+      env: serverEnv
+    });
+    baseUrl = `http://127.0.0.1:${port}`;
+
+    // The server connects to the database before it listens
+    for (let attempt = 0; ; attempt++) {
+      try {
+        if ((await fetch(`${baseUrl}/health`)).ok) break;
+      } catch (error) {
+        if (attempt >= 100) throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  });
+
+  after(async () => {
+    if (server.exitCode === null) {
+      server.kill();
+      await once(server, 'exit');
+    }
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  // Resolves to { status, headers, body }, with JSON bodies parsed
+  async function request(method, urlPath, { token, json, form, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(json && { 'Content-Type': 'application/json' }),
+        ...headers
+      },
+      body: json ? JSON.stringify(json) : form
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  }
+
+  async function register(label) {
+    const { status, body } = await request('POST', '/api/auth/register', {
+      json: { email: `${label}-${runId}@example.com` }
+    });
+    assert.equal(status, 201);
+    return { token: body.token, tokenId: body.token_id, userId: body.user.id };
+  }
+
+  // Runs SQL against the server's database, for states the API can't produce without a
+  // worker (dead jobs, jobs finished without events)
+  function serverSql(sql, params = []) {
+    const sqlite3 = require('sqlite3');
+    return new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(path.join(workDir, 'server.db'), error => {
+        if (error) return reject(error);
+        db.configure('busyTimeout', 5000);
+        db.all(sql, params, (queryError, rows) => {
+          db.close();
+          if (queryError) reject(queryError);
+          else resolve(rows);
+        });
+      });
+    });
+  }
+
+  // Reads an event stream for up to ms. Resolves to { status, headers, events, ended }, where events
+  // are { id, data } frames (id is null when the frame has none) and ended tells whether
+  // the server closed the stream itself.
+  async function readEvents(urlPath, { ms = 1000, headers = {} } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), ms);
+    const response = await fetch(`${baseUrl}${urlPath}`, { headers, signal: controller.signal });
+
+    let text = '';
+    let ended = true;
+    try {
+      // A 204 has no body
+      for await (const chunk of response.body || []) text += Buffer.from(chunk).toString('utf8');
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error;
+      ended = false;
+    }
+    clearTimeout(timer);
+
+    const events = text.split('\n\n').filter(frame => /^(id|data): /.test(frame)).map(frame => {
+      const fields = Object.fromEntries(frame.split('\n').map(line => [line.slice(0, line.indexOf(': ')), line.slice(line.indexOf(': ') + 2)]));
+      return { id: fields.id ? Number(fields.id) : null, data: JSON.parse(fields.data) };
+    });
+    return { status: response.status, headers: response.headers, events, ended };
+  }
+
+  // Uploads a text syllabus to /api/scan-syllabus (query '?async=true' queues it)
+  function scan(token, query = '', content = `CS 101\nHomework 1 due 2025-09-15\n${crypto.randomUUID()}`) {
+    const form = new FormData();
+    form.append('syllabus', new Blob([content], { type: 'text/plain' }), 'syllabus.txt');
+    return request('POST', `/api/scan-syllabus${query}`, { token, form });
+  }
+
+  it('rejects requests without a valid token', async () => {
+    assert.equal((await request('GET', '/api/courses')).status, 401);
+    assert.equal((await request('GET', '/api/courses', { token: 'ssk_not-a-real-token' })).status, 401);
+    assert.equal((await request('GET', '/api/courses', { headers: { 'user-id': '1' } })).status, 401);
+    assert.equal((await scan(null)).status, 401);
+  });
+
+  it("hides other users' courses and jobs", async () => {
+    const owner = await register('owner');
+    const other = await register('other');
+
+    const scanned = await scan(owner.token);
+    assert.equal(scanned.status, 200);
+    const courseId = scanned.body.course.id;
+    const queued = await scan(owner.token, '?async=true');
+    assert.equal(queued.status, 202);
+
+    assert.equal((await request('GET', `/api/courses/${courseId}`, { token: owner.token })).status, 200);
+    assert.equal((await request('GET', `/api/job-status/${queued.body.job_id}`, { token: owner.token })).status, 200);
+
+    for (const urlPath of [`/api/courses/${courseId}`, `/api/courses/${courseId}/assignments`, `/api/job-status/${queued.body.job_id}`]) {
+      assert.equal((await request('GET', urlPath, { token: other.token })).status, 404, urlPath);
+    }
+    assert.equal((await request('DELETE', `/api/courses/${courseId}`, { token: other.token })).status, 404);
+    assert.deepEqual((await request('GET', '/api/courses', { token: other.token })).body.courses, []);
+  });
+
+  it('stops accepting a revoked token', async () => {
+    const user = await register('revoke');
+    const issued = await request('POST', '/api/auth/tokens', { token: user.token, json: { name: 'calendar' } });
+    assert.equal(issued.status, 201);
+    assert.equal((await request('GET', '/api/auth/me', { token: issued.body.token })).status, 200);
+
+    const revoked = await request('DELETE', `/api/auth/tokens/${issued.body.token_id}`, { token: user.token });
+    assert.equal(revoked.status, 200);
+    assert.equal((await request('GET', '/api/auth/me', { token: issued.body.token })).status, 401);
+    assert.equal((await request('DELETE', `/api/auth/tokens/${issued.body.token_id}`, { token: user.token })).status, 404);
+
+    // Another user can't revoke someone else's token
+    const other = await register('revoke-other');
+    assert.equal((await request('DELETE', `/api/auth/tokens/${user.tokenId}`, { token: other.token })).status, 404);
+    assert.equal((await request('GET', '/api/auth/me', { token: user.token })).status, 200);
+  });
+
+  it('keeps the diagnostic routes behind the admin key', async () => {
+    const user = await register('debug');
+    for (const urlPath of ['/debug/env', '/debug-env', '/test-mysql', '/debug/system']) {
+      assert.equal((await request('GET', urlPath)).status, 403, urlPath);
+      assert.equal((await request('GET', urlPath, { token: user.token })).status, 403, urlPath);
+    }
+    const env = await request('GET', '/debug/env', { token: 'test-admin-key' });
+    assert.equal(env.status, 200);
+    assert.equal(typeof env.body.hasOpenAI, 'boolean');
+  });
+
+  it('streams a requeued job from its requeue, not its earlier final event', async () => {
+    const user = await register('requeue-stream');
+    const queued = await scan(user.token, '?async=true');
+    const jobId = queued.body.job_id;
+
+    // What a worker leaves behind when the job runs out of attempts
+    await serverSql(`UPDATE jobs SET status = 'dead', attempts = 5, error_message = 'Timed out' WHERE id = ?`, [jobId]);
+    await serverSql(`INSERT INTO job_events (job_id, stage, detail) VALUES (?, 'dead', '{"attempt":5}')`, [jobId]);
+
+    const requeued = await request('POST', `/api/job-status/${jobId}/requeue`, { token: user.token });
+    assert.equal(requeued.status, 202);
+
+    const stream = await readEvents(`${requeued.body.events_url}?token=${user.token}`, { ms: 500 });
+    assert.equal(stream.status, 200);
+    assert.deepEqual(stream.events.map(event => event.data.stage), ['requeued']);
+    assert.equal(stream.ended, false, 'the stream stays open while the job is pending again');
+
+    // Resuming from before the requeue replays the old run but doesn't stop at its end
+    const resumed = await readEvents(`${requeued.body.events_url}?token=${user.token}`, {
+      ms: 500,
+      headers: { 'Last-Event-ID': '1' }
+    });
+    assert.deepEqual(resumed.events.map(event => event.data.stage).slice(-2), ['dead', 'requeued']);
+    assert.equal(resumed.ended, false);
+  });
+
+  it('streams job events as framed, resumable Server-Sent Events', async () => {
+    const user = await register('stream');
+    const queued = await scan(user.token, '?async=true');
+    const jobId = queued.body.job_id;
+    const eventsUrl = `${queued.body.events_url}?token=${user.token}`;
+
+    assert.equal((await readEvents(queued.body.events_url, { ms: 300 })).status, 401);
+    const other = await register('stream-other');
+    assert.equal((await readEvents(`${queued.body.events_url}?token=${other.token}`, { ms: 300 })).status, 404);
+
+    // Events a worker records while it runs the job
+    for (const [stage, detail] of [['processing', '{"attempt":1}'], ['parsed', '{"assignments":2}'], ['completed', '{"course_id":7,"assignments_saved":2}']]) {
+      await serverSql('INSERT INTO job_events (job_id, stage, detail) VALUES (?, ?, ?)', [jobId, stage, detail]);
+    }
+    await serverSql(`UPDATE jobs SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = ?`, [jobId]);
+
+    const stream = await readEvents(eventsUrl);
+    assert.match(stream.headers.get('content-type'), /^text\/event-stream/);
+    assert.equal(stream.headers.get('cache-control'), 'no-cache');
+    assert.deepEqual(stream.events.map(event => event.data.stage), ['uploaded', 'processing', 'parsed', 'completed']);
+    assert.ok(stream.events.every((event, index) => index === 0 || event.id > stream.events[index - 1].id));
+    assert.deepEqual(stream.events[3].data, { stage: 'completed', course_id: 7, assignments_saved: 2, created_at: stream.events[3].data.created_at });
+    assert.equal(stream.ended, true);
+
+    // Resuming picks up after the last id received; after the final event there is nothing left
+    const resumed = await readEvents(eventsUrl, { headers: { 'Last-Event-ID': String(stream.events[1].id) } });
+    assert.deepEqual(resumed.events.map(event => event.data.stage), ['parsed', 'completed']);
+    assert.equal((await readEvents(eventsUrl, { headers: { 'Last-Event-ID': String(stream.events[3].id) } })).status, 204);
+  });
+
+  it('makes up the final event of a job finished without one, without storing it', async () => {
+    const user = await register('stream-legacy');
+    const queued = await scan(user.token, '?async=true');
+    const jobId = queued.body.job_id;
+    await serverSql(`UPDATE jobs SET status = 'failed', attempts = 1, error_message = 'Unreadable', completed_at = CURRENT_TIMESTAMP WHERE id = ?`, [jobId]);
+
+    // Two viewers at once, as when a page is open in two tabs
+    const eventsUrl = `${queued.body.events_url}?token=${user.token}`;
+    const streams = await Promise.all([readEvents(eventsUrl), readEvents(eventsUrl)]);
+    for (const stream of streams) {
+      assert.equal(stream.ended, true);
+      const final = stream.events[stream.events.length - 1];
+      assert.equal(final.id, null);
+      assert.equal(final.data.stage, 'failed');
+      assert.equal(final.data.error, 'Unreadable');
+    }
+
+    const stored = await serverSql('SELECT stage FROM job_events WHERE job_id = ?', [jobId]);
+    assert.deepEqual(stored.map(event => event.stage), ['uploaded']);
+  });
+
+  it('publishes a course as a template that others subscribe to', async () => {
+    const owner = await register('template-owner');
+    const student = await register('template-student');
+    const classKey = { course_code: 'ANT-141', term: 'Fall 2025', institution: 'Example University' };
+
+    const courseId = (await scan(owner.token)).body.course.id;
+    const published = await request('POST', `/api/courses/${courseId}/publish`, { token: owner.token, json: classKey });
+    assert.equal(published.status, 201);
+    const templateId = published.body.template.id;
+    assert.equal((await request('POST', `/api/courses/${courseId}/publish`, { token: owner.token, json: classKey })).status, 409);
+
+    // The same class, written differently, already has a template
+    const otherCourseId = (await scan(student.token)).body.course.id;
+    const duplicate = await request('POST', `/api/courses/${otherCourseId}/publish`, {
+      token: student.token,
+      json: { ...classKey, course_code: 'ant 141' }
+    });
+    assert.equal(duplicate.status, 409);
+    assert.equal(duplicate.body.template_id, templateId);
+
+    const subscribed = await request('POST', `/api/templates/${templateId}/subscribe`, { token: student.token });
+    assert.equal(subscribed.status, 201);
+    const copyId = subscribed.body.course.id;
+    assert.ok(subscribed.body.course.assignment_count > 0);
+    assert.equal((await request('POST', `/api/templates/${templateId}/subscribe`, { token: student.token })).status, 409);
+    assert.equal((await request('POST', `/api/templates/${templateId}/subscribe`, { token: owner.token })).status, 409);
+    assert.equal((await request('GET', `/api/templates/${templateId}`, { token: student.token })).body.template.subscribed_course_id, copyId);
+
+    // The copy is managed by the template, except for checking assignments off
+    assert.equal((await request('PATCH', `/api/courses/${copyId}`, { token: student.token, json: { course_name: 'Mine' } })).status, 409);
+    const [copied] = (await request('GET', `/api/courses/${copyId}/assignments`, { token: student.token })).body.assignments;
+    assert.equal((await request('PATCH', `/api/assignments/${copied.id}`, { token: student.token, json: { title: 'Mine' } })).status, 409);
+    assert.equal((await request('PATCH', `/api/assignments/${copied.id}`, { token: student.token, json: { completed: true } })).status, 200);
+
+    // The owner's corrections reach the copy, which keeps its completed state
+    const [source] = (await request('GET', `/api/courses/${courseId}/assignments`, { token: owner.token })).body.assignments
+      .filter(assignment => assignment.title === copied.title);
+    assert.equal((await request('PATCH', `/api/assignments/${source.id}`, { token: owner.token, json: { title: 'Corrected title' } })).status, 200);
+    const synced = (await request('GET', `/api/courses/${copyId}/assignments`, { token: student.token })).body.assignments
+      .find(assignment => assignment.id === copied.id);
+    assert.equal(synced.title, 'Corrected title');
+    assert.equal(synced.completed, true);
+
+    // Unpublishing leaves subscribers their courses
+    assert.equal((await request('DELETE', `/api/templates/${templateId}`, { token: student.token })).status, 403);
+    assert.equal((await request('DELETE', `/api/templates/${templateId}`, { token: owner.token })).status, 200);
+    assert.equal((await request('GET', `/api/courses/${copyId}`, { token: student.token })).status, 200);
+  });
+
+  it('limits scans per user with 429 and Retry-After', async () => {
+    const user = await register('scan-limit');
+    const other = await register('scan-limit-other');
+
+    // SCAN_RATE_LIMIT_PER_USER is 3
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await scan(user.token, '?async=true')).status, 202);
+    }
+    const limited = await scan(user.token, '?async=true');
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal(limited.body.retry_after, Number(limited.headers.get('retry-after')));
+
+    // Other users have their own allowance
+    assert.equal((await scan(other.token, '?async=true')).status, 202);
+  });
+
+  it('refuses scans once the daily token budget is spent', async () => {
+    const user = await register('budget');
+    await serverSql(`INSERT INTO llm_usage (user_id, task, model, total_tokens) VALUES (?, 'text', 'gpt-4o', 200000)`, [String(user.userId)]);
+
+    const refused = await scan(user.token, '?async=true');
+    assert.equal(refused.status, 429);
+    assert.match(refused.body.message, /daily budget of 200000 LLM tokens/);
+    // Budgets reset at midnight UTC
+    const retryAfter = Number(refused.headers.get('retry-after'));
+    assert.ok(retryAfter > 0 && retryAfter <= 24 * 60 * 60);
+  });
+
+  it('counts each file of a batch against the scan limit', async () => {
+    const user = await register('batch-limit');
+    const uploadDir = path.join(workDir, 'uploads');
+    const scanBatch = count => {
+      const form = new FormData();
+      for (let i = 0; i < count; i++) {
+        form.append('syllabi', new Blob([`CS 10${i}\n${crypto.randomUUID()}`], { type: 'text/plain' }), `syllabus-${i}.txt`);
+      }
+      return request('POST', '/api/scan-syllabi', { token: user.token, form });
+    };
+
+    // SCAN_RATE_LIMIT_PER_USER is 3: a batch of 4 is refused, and its uploads deleted
+    const uploadsBefore = fs.readdirSync(uploadDir).length;
+    const refused = await scanBatch(4);
+    assert.equal(refused.status, 429);
+    assert.ok(Number(refused.headers.get('retry-after')) > 0);
+    for (let attempt = 0; fs.readdirSync(uploadDir).length !== uploadsBefore && attempt < 20; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.equal(fs.readdirSync(uploadDir).length, uploadsBefore);
+
+    assert.equal((await scanBatch(2)).status, 202);
+    assert.equal((await scanBatch(2)).status, 429);
+    assert.equal((await scan(user.token, '?async=true')).status, 202);
+    assert.equal((await scan(user.token, '?async=true')).status, 429);
+  });
+
+  // Runs last: the worker also picks up the jobs the earlier tests queued
+  it('fails a corrupt upload after one attempt', async () => {
+    const user = await register('corrupt');
+    const form = new FormData();
+    form.append('syllabus', new Blob([crypto.randomBytes(512)]), 'syllabus.docx');
+    const queued = await request('POST', '/api/scan-syllabus?async=true', { token: user.token, form });
+    assert.equal(queued.status, 202);
+
+    // Retries, if any, would run right away
+    const worker = spawn(process.execPath, [path.join(__dirname, '..', '..', 'worker.js')], {
+      cwd: workDir,
+      stdio: 'ignore',
+      env: { ...serverEnv, WORKER_MAX_ATTEMPTS: '3', WORKER_RETRY_BASE_MS: '1' }
+    });
+    try {
+      let job;
+      for (let attempt = 0; attempt < 100; attempt++) {
+        job = (await request('GET', `/api/job-status/${queued.body.job_id}`, { token: user.token })).body;
+        if (job.status === 'failed' || job.status === 'dead') break;
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+      assert.equal(job.status, 'failed');
+      assert.equal(job.attempts, 1);
+      assert.match(job.error_message, /zip/);
+    } finally {
+      if (worker.exitCode === null) {
+        worker.kill();
+        await once(worker, 'exit');
+      }
+    }
+  });
+});
@@ -0,0 +1,256 @@
+// Input validation for course and assignment edits.
+// Mirrors the column types in database.js so bad values are rejected
+// with a 400 instead of failing (or being silently coerced) in MySQL.
+
+const ASSIGNMENT_TYPES = ['exam', 'assignment', 'reading', 'project', 'quiz', 'other'];
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isValidDate(value) {
+  if (typeof value !== 'string') return false;
+
+  const match = value.match(DATE_PATTERN);
+  if (!match) return false;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year &&
+         date.getUTCMonth() === month - 1 &&
+         date.getUTCDate() === day;
+}
+
+// Accepts HH:MM or HH:MM:SS and returns the HH:MM:SS form stored in TIME columns
+function normalizeTime(value) {
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().match(TIME_PATTERN);
+  if (!match) return null;
+
+  return `${match[1]}:${match[2]}:${match[3] || '00'}`;
+}
+
+function validateString(values, errors, body, field, { required = false, maxLength, nullable = true } = {}) {
+  if (!(field in body)) {
+    if (required) errors.push(`${field} is required`);
+    return;
+  }
+
+  const value = body[field];
+  if (value === null || value === '') {
+    if (required || !nullable) {
+      errors.push(`${field} cannot be empty`);
+    } else {
+      values[field] = null;
+    }
+    return;
+  }
+
+  if (typeof value !== 'string') {
+    errors.push(`${field} must be a string`);
+    return;
+  }
+
+  const trimmed = value.trim();
+  if (!trimmed && (required || !nullable)) {
+    errors.push(`${field} cannot be empty`);
+    return;
+  }
+  if (maxLength && trimmed.length > maxLength) {
+    errors.push(`${field} must be at most ${maxLength} characters`);
+    return;
+  }
+
+  values[field] = trimmed || null;
+}
+
+function rejectUnknownFields(errors, body, allowedFields) {
+  Object.keys(body).forEach(field => {
+    if (!allowedFields.includes(field)) {
+      errors.push(`Unknown field: ${field}`);
+    }
+  });
+}
+
+const ASSIGNMENT_FIELDS = ['title', 'due_date', 'due_time', 'type', 'description', 'completed'];
+
+/**
+ * Validates an assignment create/update body.
+ * With partial: true (PATCH) only the fields present are checked and returned;
+ * otherwise (POST/PUT) missing optional fields are reset to their defaults.
+ * Returns { values, errors }.
+ */
+function validateAssignmentInput(body, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { values, errors: ['Request body must be a JSON object'] };
+  }
+
+  rejectUnknownFields(errors, body, ASSIGNMENT_FIELDS);
+
+  validateString(values, errors, body, 'title', { required: !partial, maxLength: 500, nullable: false });
+  validateString(values, errors, body, 'description');
+
+  if ('due_date' in body) {
+    if (body.due_date === null || body.due_date === '') {
+      values.due_date = null;
+    } else if (isValidDate(body.due_date)) {
+      values.due_date = body.due_date;
+    } else {
+      errors.push('due_date must be a valid date in YYYY-MM-DD format');
+    }
+  }
+
+  if ('due_time' in body) {
+    if (body.due_time === null || body.due_time === '') {
+      values.due_time = null;
+    } else {
+      const time = normalizeTime(body.due_time);
+      if (time) {
+        values.due_time = time;
+      } else {
+        errors.push('due_time must be a valid time in HH:MM or HH:MM:SS format');
+      }
+    }
+  }
+
+  if ('type' in body) {
+    if (ASSIGNMENT_TYPES.includes(body.type)) {
+      values.type = body.type;
+    } else {
+      errors.push(`type must be one of: ${ASSIGNMENT_TYPES.join(', ')}`);
+    }
+  }
+
+  if ('completed' in body) {
+    if (typeof body.completed === 'boolean') {
+      values.completed = body.completed;
+    } else {
+      errors.push('completed must be a boolean');
+    }
+  }
+
+  if (!partial) {
+    values.due_date = values.due_date !== undefined ? values.due_date : null;
+    values.due_time = values.due_time !== undefined ? values.due_time : null;
+    values.type = values.type || 'other';
+    values.description = values.description !== undefined ? values.description : null;
+    values.completed = values.completed !== undefined ? values.completed : false;
+  }
+
+  if (values.due_time && values.due_date === null) {
+    errors.push('due_time requires a due_date');
+  }
+
+  if (partial && errors.length === 0 && Object.keys(values).length === 0) {
+    errors.push(`Provide at least one of: ${ASSIGNMENT_FIELDS.join(', ')}`);
+  }
+
+  return { values, errors };
+}
+
+const COURSE_FIELDS = ['course_name', 'professor_name', 'professor_email', 'meeting_days', 'office_hours'];
+
+/**
+ * Validates a course update body. Same partial semantics as validateAssignmentInput.
+ */
+function validateCourseInput(body, { partial = false } = {}) {
+  const values = {};
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { values, errors: ['Request body must be a JSON object'] };
+  }
+
+  rejectUnknownFields(errors, body, COURSE_FIELDS);
+
+  validateString(values, errors, body, 'course_name', { required: !partial, maxLength: 255, nullable: false });
+  validateString(values, errors, body, 'professor_name', { maxLength: 255 });
+  validateString(values, errors, body, 'professor_email', { maxLength: 255 });
+  validateString(values, errors, body, 'meeting_days', { maxLength: 255 });
+  validateString(values, errors, body, 'office_hours');
+
+  if (values.professor_email && !EMAIL_PATTERN.test(values.professor_email)) {
+    errors.push('professor_email must be a valid email address');
+  }
+
+  if (!partial) {
+    COURSE_FIELDS.forEach(field => {
+      if (values[field] === undefined) values[field] = null;
+    });
+  }
+
+  if (partial && errors.length === 0 && Object.keys(values).length === 0) {
+    errors.push(`Provide at least one of: ${COURSE_FIELDS.join(', ')}`);
+  }
+
+  return { values, errors };
+}
+
+const TEMPLATE_FIELDS = ['course_code', 'term', 'institution'];
+
+/**
+ * Validates the body of a publish request: the course code, term and institution
+ * that identify a shared course template.
+ */
+function validateTemplateInput(body) {
+  const values = {};
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { values, errors: ['Request body must be a JSON object'] };
+  }
+
+  rejectUnknownFields(errors, body, TEMPLATE_FIELDS);
+
+  validateString(values, errors, body, 'course_code', { required: true, maxLength: 50, nullable: false });
+  validateString(values, errors, body, 'term', { required: true, maxLength: 50, nullable: false });
+  validateString(values, errors, body, 'institution', { required: true, maxLength: 150, nullable: false });
+
+  return { values, errors };
+}
+
+const MAX_URL_LENGTH = 2048;
+
+/**
+ * Validates an absolute http(s) URL, such as a webhook or a syllabus to download.
+ * Credentials in the URL are refused because URLs are stored and shown back (delivery
+ * log, job results). Returns { value } with the normalized URL, or { error }.
+ */
+function validateHttpUrl(url, field = 'url') {
+  if (typeof url !== 'string' || !url.trim()) {
+    return { error: `${field} is required` };
+  }
+  if (url.trim().length > MAX_URL_LENGTH) {
+    return { error: `${field} must be at most ${MAX_URL_LENGTH} characters` };
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (error) {
+    return { error: `${field} must be a valid URL` };
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { error: `${field} must use http or https` };
+  }
+  if (parsed.username || parsed.password) {
+    return { error: `${field} must not contain credentials` };
+  }
+
+  return { value: parsed.toString() };
+}
+
+module.exports = {
+  ASSIGNMENT_TYPES,
+  isValidDate,
+  normalizeTime,
+  validateAssignmentInput,
+  validateCourseInput,
+  validateTemplateInput,
+  validateHttpUrl
+};
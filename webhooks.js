@@ -0,0 +1,194 @@
+// Webhook callbacks for queued scans.
+//
+// When a job finishes, queueJobWebhooks writes one webhook_deliveries row for every
+// endpoint the job's owner registered and for the callback_url given with the scan.
+// The worker sends due deliveries with deliverDueWebhooks and retries failed ones with
+// an exponential backoff, so a receiver that is briefly down still hears about the job.
+//
+// Each POST is signed: "X-Syllabus-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of
+// '<t>.<body>' keyed with the endpoint's secret>". Receivers should recompute v1 and
+// reject old timestamps (see verifySignature).
+//
+// Receivers on private addresses are refused (see remote-document.js): a webhook URL is
+// chosen by the user, so without the guard it could be pointed at internal services.
+
+const crypto = require('crypto');
+const { fetch } = require('undici');
+const { RemoteDocumentError, assertPublicUrl, guardedAgent } = require('./remote-document');
+
+const SECRET_PREFIX = 'whsec_';
+
+// Delivery attempts per notification, and the backoff between them (base, 2x base, ...)
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30000;
+const RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// Job statuses that notify, and the event each one sends. dead is a failure that ran
+// out of retries, which receivers don't need to tell apart.
+const JOB_EVENTS = {
+  completed: 'job.completed',
+  failed: 'job.failed',
+  dead: 'job.failed'
+};
+
+function generateWebhookSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function signPayload(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`, 'utf8').digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Checks an X-Syllabus-Signature header against the raw request body. Signatures older
+ * than toleranceSeconds are rejected, so a captured request can't be replayed later.
+ */
+function verifySignature(body, header, secret, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(body, secret, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function buildPayload(event, job) {
+  let result = null;
+  if (job.status === 'completed' && job.result_data) {
+    try {
+      const data = JSON.parse(job.result_data);
+      result = { course_id: data.course_id, assignments_saved: data.assignments_saved, cached: data.cached };
+    } catch (error) {
+      result = null;
+    }
+  }
+
+  return {
+    event,
+    created_at: new Date().toISOString(),
+    job: {
+      id: job.id,
+      status: job.status,
+      file_name: job.file_name,
+      attempts: job.attempts,
+      course_id: job.course_id,
+      error_message: job.status === 'completed' ? null : job.error_message,
+      completed_at: job.completed_at,
+      result
+    }
+  };
+}
+
+/**
+ * Queues notifications for a finished job: one for each of its owner's webhooks and
+ * one for its callback_url. Does nothing for jobs that aren't completed, failed or dead.
+ * Resolves to the number of deliveries queued.
+ */
+async function queueJobWebhooks(database, jobId) {
+  const job = await database.getJobById(jobId);
+  const event = job && JOB_EVENTS[job.status];
+  if (!event) return 0;
+
+  const targets = [];
+  if (job.callback_url) {
+    targets.push({ webhook_id: null, url: job.callback_url, secret: job.callback_secret });
+  }
+  if (job.user_id && job.user_id !== 'anonymous') {
+    const webhooks = await database.getWebhooksByUser(job.user_id);
+    webhooks.forEach(webhook => targets.push({ webhook_id: webhook.id, url: webhook.url, secret: webhook.secret }));
+  }
+
+  const payload = buildPayload(event, job);
+  for (const target of targets) {
+    await database.createWebhookDelivery({ ...target, user_id: job.user_id, job_id: job.id, event, payload });
+  }
+
+  return targets.length;
+}
+
+// Delay before retrying after the given (1-based) failed attempt
+function retryDelayMs(attempt, { baseMs = RETRY_BASE_MS, maxMs = RETRY_MAX_MS } = {}) {
+  return Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+}
+
+// Sends one delivery. Resolves to { ok, responseStatus, error }; never rejects.
+async function sendDelivery(delivery, { timeoutMs = TIMEOUT_MS, allowPrivateAddresses = false } = {}) {
+  try {
+    assertPublicUrl(new URL(delivery.url), { allowPrivateAddresses });
+
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'syllabus-scanner-webhooks',
+        'X-Syllabus-Event': delivery.event,
+        'X-Syllabus-Delivery': String(delivery.id),
+        'X-Syllabus-Signature': signPayload(delivery.payload, delivery.secret)
+      },
+      body: delivery.payload,
+      redirect: 'manual',
+      dispatcher: allowPrivateAddresses ? undefined : guardedAgent,
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    // Only the status matters; drain the body so the connection is released
+    await response.arrayBuffer().catch(() => {});
+
+    if (response.ok) {
+      return { ok: true, responseStatus: response.status };
+    }
+    return { ok: false, responseStatus: response.status, error: `Receiver responded with HTTP ${response.status}` };
+  } catch (error) {
+    let message = error.message;
+    if (error.name === 'TimeoutError') {
+      message = `No response within ${timeoutMs / 1000}s`;
+    } else if (error.cause instanceof RemoteDocumentError) {
+      message = error.cause.message;
+    }
+    return { ok: false, responseStatus: null, error: message };
+  }
+}
+
+/**
+ * Claims and sends up to limit due deliveries, recording each outcome. A failed delivery
+ * is retried after a backoff until it has been attempted WEBHOOK_MAX_ATTEMPTS times.
+ * Resolves to the number of deliveries attempted.
+ * allowPrivateAddresses turns the private-address guard off, for tests against a local receiver.
+ */
+async function deliverDueWebhooks(database, { logger = console, limit = 10, maxAttempts = MAX_ATTEMPTS, timeoutMs = TIMEOUT_MS, allowPrivateAddresses = false } = {}) {
+  // Claimed deliveries are sent one after another, so the claim lasts until the last one
+  // would have timed out. If the sender dies, they are due again after that.
+  const leaseSeconds = Math.ceil(timeoutMs / 1000) * (limit + 1);
+  const deliveries = await database.claimWebhookDeliveries({ limit, leaseSeconds });
+
+  for (const delivery of deliveries) {
+    const { ok, responseStatus, error } = await sendDelivery(delivery, { timeoutMs, allowPrivateAddresses });
+
+    if (ok) {
+      logger.info(`Sent webhook delivery ${delivery.id} (${delivery.event} for job ${delivery.job_id}) to ${delivery.url}`);
+      await database.recordWebhookAttempt(delivery.id, { status: 'delivered', responseStatus });
+    } else if (delivery.attempts < maxAttempts) {
+      const retryInSeconds = Math.ceil(retryDelayMs(delivery.attempts) / 1000);
+      logger.error(`Webhook delivery ${delivery.id} attempt ${delivery.attempts}/${maxAttempts} to ${delivery.url} failed, retrying in ${retryInSeconds}s: ${error}`);
+      await database.recordWebhookAttempt(delivery.id, { status: 'pending', responseStatus, error, retryInSeconds });
+    } else {
+      logger.error(`Webhook delivery ${delivery.id} to ${delivery.url} failed after ${delivery.attempts} attempts: ${error}`);
+      await database.recordWebhookAttempt(delivery.id, { status: 'failed', responseStatus, error });
+    }
+  }
+
+  return deliveries.length;
+}
+
+module.exports = {
+  generateWebhookSecret,
+  signPayload,
+  verifySignature,
+  queueJobWebhooks,
+  deliverDueWebhooks,
+  retryDelayMs
+};
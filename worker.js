@@ -1,8 +1,14 @@
 const fs = require('fs');
+const os = require('os');
 const winston = require('winston');
-const OpenAI = require('openai');
-const pdfParse = require('pdf-parse');
+const { APIConnectionError } = require('openai');
 const database = require('./database');
+const sqliteDatabase = require('./database-sqlite');
+const { createProvider } = require('./llm-provider');
+const { createSyllabusPipeline } = require('./syllabus-pipeline');
+const { createUsageRecorder } = require('./rate-limit');
+const { SyllabusValidationError } = require('./syllabus-schema');
+const { queueJobWebhooks, deliverDueWebhooks } = require('./webhooks');
 require('dotenv').config();
 
 const logger = winston.createLogger({
@@ -21,123 +27,161 @@ const logger = winston.createLogger({
   ],
 });
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-  timeout: 25000,
-  maxRetries: 1,
+// The worker is not bound by the web server's request timeout, so multi-page
+// syllabi get a longer OpenAI timeout and a retry
+const llm = createProvider({
+  timeout: parseInt(process.env.WORKER_OPENAI_TIMEOUT_MS, 10) || 120000,
+  maxRetries: 2,
 });
 
-async function analyzeSyllabusWithOpenAI(filePath) {
-  logger.info(`Reading file: ${filePath}`);
+const pipeline = createSyllabusPipeline({ llm, logger });
 
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`File not found: ${filePath}`);
-  }
+// MySQL, or the SQLite database the server also falls back to when MySQL is unreachable
+let activeDatabase = database;
 
-  const fileBuffer = fs.readFileSync(filePath);
-  const data = await pdfParse(fileBuffer);
-
-  logger.info(`Extracted ${data.text.length} characters from PDF`);
-
-  const prompt = `Please analyze this syllabus text and extract key information in a structured format. Return a JSON object with the following structure:
-
-{
-  "course_name": "Course title",
-  "professor_name": "Professor name",
-  "professor_email": "Professor email",
-  "meeting_days": "Days and times when class meets",
-  "office_hours": "Professor's office hours",
-  "assignments": [
-    {
-      "title": "Assignment name",
-      "due_date": "YYYY-MM-DD",
-      "due_time": "HH:MM:SS",
-      "type": "exam|assignment|reading|project|quiz|other",
-      "description": "Assignment description"
-    }
-  ],
-  "plain_text": "Clean, formatted version of the syllabus text"
-}
+// Recorded in jobs.worker_id for every job this process claims
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
 
-Syllabus text:
-${data.text}`;
+// A claimed job is leased to this worker and the lease is renewed every quarter lease
+// while the job runs. If the worker dies, the lease runs out and any worker puts the
+// job back in the queue.
+const LEASE_MS = parseInt(process.env.WORKER_LEASE_MS, 10) || 120000;
+const LEASE_SECONDS = Math.ceil(LEASE_MS / 1000);
 
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4o-mini',
-    messages: [{ role: 'user', content: prompt }],
-    temperature: 0.3,
-  });
+// Jobs processed at the same time by this worker
+const CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY, 10) || 2;
 
-  const content = response.choices[0].message.content;
+// How long SIGTERM/SIGINT wait for in-flight jobs before handing them back to the queue
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.WORKER_SHUTDOWN_TIMEOUT_MS, 10) || 60000;
 
-  try {
-    return JSON.parse(content);
-  } catch (parseError) {
-    logger.error('Failed to parse OpenAI response as JSON:', parseError);
-    return {
-      plain_text: content,
-      error: 'Failed to parse structured data',
-      raw_response: content
-    };
-  }
+// Failed attempts are retried after an exponential backoff (base, 2x base, 4x base, ...
+// up to the maximum delay). A job that fails WORKER_MAX_ATTEMPTS times becomes dead.
+const MAX_ATTEMPTS = parseInt(process.env.WORKER_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.WORKER_RETRY_BASE_MS, 10) || 30000;
+const RETRY_MAX_MS = parseInt(process.env.WORKER_RETRY_MAX_MS, 10) || 30 * 60 * 1000;
+
+// Delay before retrying after the given (1-based) failed attempt
+function retryDelayMs(attempt, { baseMs = RETRY_BASE_MS, maxMs = RETRY_MAX_MS } = {}) {
+  return Math.min(maxMs, baseMs * 2 ** (attempt - 1));
 }
 
-function parseSyllabusData(aiResponse) {
-  const courseData = {
-    course_name: aiResponse.course_name || 'Unknown Course',
-    professor_name: aiResponse.professor_name || 'Unknown Professor',
-    professor_email: aiResponse.professor_email || null,
-    meeting_days: aiResponse.meeting_days || null,
-    office_hours: aiResponse.office_hours || null,
-    syllabus_text: aiResponse.plain_text || JSON.stringify(aiResponse)
-  };
+// Network and database error codes that a later attempt can get past
+const TRANSIENT_ERROR_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND',
+  'EHOSTUNREACH', 'ENETUNREACH', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET',
+  'PROTOCOL_CONNECTION_LOST', 'ER_CON_COUNT_ERROR', 'ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT',
+  'SQLITE_BUSY', 'SQLITE_LOCKED'
+]);
+
+// Only errors known to be transient are retried: timeouts, connection errors, rate limits,
+// 5xx responses and database hiccups. Anything else, such as a corrupt upload or a
+// syllabus with nothing to extract, would fail the same way on every attempt.
+function isRetryableError(error) {
+  if (error instanceof SyllabusValidationError) return false;
+  if (typeof error.status === 'number') {
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+  }
+  // The OpenAI client's connection errors and timeouts have no status
+  if (error instanceof APIConnectionError || error.name === 'TimeoutError') return true;
+  return TRANSIENT_ERROR_CODES.has(error.code) || TRANSIENT_ERROR_CODES.has(error.cause && error.cause.code);
+}
 
-  const assignments = Array.isArray(aiResponse.assignments) ? aiResponse.assignments : [];
+// Progress events streamed by GET /api/job-status/:jobId/events. A failure to record
+// one is logged and never fails the job.
+function recordJobEvent(job, stage, detail = null) {
+  return activeDatabase.addJobEvent(job.id, stage, detail).catch(error => {
+    logger.error(`Error recording ${stage} event for job ${job.id}:`, error);
+  });
+}
 
-  return { courseData, assignments };
+// Webhook notifications for a finished job. Like events, a failure to queue them is
+// logged and never changes the job's outcome.
+function notifyJobWebhooks(job) {
+  return queueJobWebhooks(activeDatabase, job.id).catch(error => {
+    logger.error(`Error queuing webhooks for job ${job.id}:`, error);
+  });
 }
 
-async function processJob(job) {
-  logger.info(`Processing job ${job.id}: ${job.file_name}`);
+// Renews the job's lease until stop() is called. lease.lost turns true if the job was
+// reclaimed in the meantime, after which this worker's result is discarded.
+function startHeartbeat(job) {
+  const lease = { lost: false };
 
-  try {
-    // Update job status to processing
-    await database.updateJobStatus(job.id, 'processing');
+  const timer = setInterval(async () => {
+    try {
+      if (!(await activeDatabase.renewJobLease(job.id, WORKER_ID, LEASE_SECONDS))) {
+        lease.lost = true;
+        clearInterval(timer);
+        logger.error(`Lost the lease on job ${job.id}; it may be processed by another worker`);
+      }
+    } catch (error) {
+      logger.error(`Error renewing the lease on job ${job.id}:`, error);
+    }
+  }, LEASE_MS / 4);
 
-    // Analyze the PDF
-    const aiResponse = await analyzeSyllabusWithOpenAI(job.file_path);
+  return { lease, stop: () => clearInterval(timer) };
+}
 
-    // Parse the AI response to extract structured data
-    const { courseData, assignments } = parseSyllabusData(aiResponse);
+// job has already been claimed (claimJobs), so it is in processing and leased to this
+// worker. Aborting signal (shutdown) stops the scan before it saves anything and hands
+// the job back to the queue.
+async function processJob(job, { signal } = {}) {
+  logger.info(`Processing job ${job.id}: ${job.file_name}`);
+  const heartbeat = startHeartbeat(job);
+  await recordJobEvent(job, 'processing', { attempt: job.attempts });
 
-    // Save course and assignments to database
-    let courseId = null;
-    let savedAssignments = [];
+  // Set once the pipeline has committed the course, so a later failure can undo it
+  let savedCourseId = null;
 
-    try {
-      // Save course information
-      courseId = await database.saveCourse(courseData);
-      logger.info(`Course saved with ID: ${courseId}`);
-
-      // Save assignments
-      if (assignments.length > 0) {
-        savedAssignments = await database.saveMultipleAssignments(courseId, assignments);
-        logger.info(`Saved ${savedAssignments.length} assignments`);
-      }
-    } catch (dbError) {
-      logger.error('Database save error:', dbError);
-      // Continue with job completion even if DB save fails
+  try {
+    if (!fs.existsSync(job.file_path)) {
+      throw Object.assign(new Error(`File not found: ${job.file_path}`), { code: 'ENOENT' });
     }
 
+    // Extract, analyze and save the syllabus
+    const usageRecorder = createUsageRecorder(activeDatabase, { userId: job.user_id, jobId: job.id });
+    const {
+      analysisPath,
+      cached,
+      data,
+      courseData,
+      courseId,
+      savedAssignments
+    } = await pipeline.processSyllabus(job.file_path, {
+      database: activeDatabase,
+      userId: job.user_id,
+      onCompletion: usageRecorder,
+      onProgress: (stage, detail) => recordJobEvent(job, stage, detail),
+      bypassCache: Boolean(job.bypass_cache),
+      signal
+    });
+    savedCourseId = courseId;
+
+    await usageRecorder.linkCourse(courseId).catch(error => {
+      logger.error('Error linking LLM usage to course:', error);
+    });
+
     // Prepare result data
     const resultData = {
-      ...aiResponse,
+      ...data,
+      plain_text: courseData.syllabus_text,
+      analysis_path: analysisPath,
+      cached,
       course_id: courseId,
       assignments_saved: savedAssignments.length
     };
 
-    // Update job with results
-    await database.updateJobResult(job.id, resultData, courseId);
+    // Update job with results, unless the job was reclaimed while it ran
+    const stored = await activeDatabase.updateJobResult(job.id, resultData, courseId, { workerId: WORKER_ID });
+    if (!stored) {
+      // The new owner saves its own course and still needs the uploaded file
+      logger.error(`Job ${job.id} was reclaimed by another worker; discarding course ${courseId}`);
+      await activeDatabase.deleteCourse(courseId);
+      savedCourseId = null;
+      return;
+    }
+    await recordJobEvent(job, 'completed', { course_id: courseId, assignments_saved: savedAssignments.length });
+    await notifyJobWebhooks(job);
 
     // Clean up uploaded file
     try {
@@ -150,80 +194,243 @@ async function processJob(job) {
     logger.info(`Job ${job.id} completed successfully`);
 
   } catch (error) {
-    logger.error(`Job ${job.id} failed:`, error);
+    // Stopped by drain() before saving: no course exists, so another worker can start over
+    if (signal && signal.aborted) {
+      if (await activeDatabase.releaseJob(job.id, WORKER_ID)) {
+        logger.info(`Released unfinished job ${job.id}`);
+      }
+      return;
+    }
 
-    // Update job with error
-    await database.updateJobError(job.id, error.message);
+    // The course was saved but the result couldn't be recorded. A retry runs the whole
+    // pipeline again, so the course is deleted first; if that fails too, retrying would
+    // save a second copy, and the job fails instead.
+    let retryable = isRetryableError(error);
+    if (savedCourseId) {
+      try {
+        await activeDatabase.deleteCourse(savedCourseId);
+        logger.error(`Job ${job.id} failed after saving course ${savedCourseId}; discarded the course`);
+      } catch (deleteError) {
+        logger.error(`Job ${job.id} failed after saving course ${savedCourseId}, which could not be discarded; not retrying:`, deleteError);
+        retryable = false;
+      }
+    }
 
-    // Clean up uploaded file on error
-    try {
-      if (fs.existsSync(job.file_path)) {
-        fs.unlinkSync(job.file_path);
-        logger.info(`Cleaned up file after error: ${job.file_path}`);
+    // The uploaded file is kept until the job completes, so retries (and manual
+    // requeues of failed and dead jobs) can read it again
+    if (retryable && job.attempts < MAX_ATTEMPTS) {
+      const delaySeconds = Math.ceil(retryDelayMs(job.attempts) / 1000);
+      logger.error(`Job ${job.id} attempt ${job.attempts}/${MAX_ATTEMPTS} failed, retrying in ${delaySeconds}s:`, error);
+
+      const stored = await activeDatabase.scheduleJobRetry(job.id, error.message, delaySeconds, { workerId: WORKER_ID });
+      if (stored) {
+        await recordJobEvent(job, 'retrying', { attempt: job.attempts, error: error.message, retry_in_seconds: delaySeconds });
+      } else {
+        logger.error(`Job ${job.id} was reclaimed by another worker; not scheduling a retry`);
       }
-    } catch (cleanupError) {
-      logger.error('Error cleaning up file after error:', cleanupError);
+      return;
+    }
+
+    const status = retryable ? 'dead' : 'failed';
+    logger.error(`Job ${job.id} ${status} after ${job.attempts} attempts:`, error);
+
+    // Update job with error
+    const stored = await activeDatabase.updateJobError(job.id, error.message, { workerId: WORKER_ID, status });
+    if (stored) {
+      await recordJobEvent(job, status, { attempt: job.attempts, error: error.message });
+      await notifyJobWebhooks(job);
+    } else {
+      logger.error(`Job ${job.id} was reclaimed by another worker; leaving its status alone`);
     }
+  } finally {
+    heartbeat.stop();
+  }
+}
+
+// Jobs being processed, by id: { running, controller }
+const inFlight = new Map();
+let shuttingDown = false;
+
+// Ends the current pause() early: a job finished, or the worker is shutting down
+let wakeUp = () => {};
+
+function pause(ms) {
+  if (shuttingDown) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    wakeUp = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+}
+
+function startJob(job) {
+  const controller = new AbortController();
+  const running = processJob(job, { signal: controller.signal })
+    .catch(error => {
+      logger.error(`Error processing job ${job.id}:`, error);
+    })
+    .finally(() => {
+      inFlight.delete(job.id);
+      wakeUp();
+    });
+
+  inFlight.set(job.id, { running, controller });
+}
+
+// Webhook deliveries are sent alongside the job loop, so a slow receiver never holds up
+// claiming jobs. Any worker sends any due delivery, whichever worker queued it.
+const WEBHOOK_POLL_MS = parseInt(process.env.WEBHOOK_POLL_MS, 10) || 5000;
+let webhookTimer = null;
+let sendingWebhooks = null;
+
+function startWebhookSender() {
+  webhookTimer = setInterval(() => {
+    if (sendingWebhooks) return;
+
+    sendingWebhooks = deliverDueWebhooks(activeDatabase, { logger })
+      .catch(error => {
+        logger.error('Error delivering webhooks:', error);
+      })
+      .finally(() => {
+        sendingWebhooks = null;
+      });
+  }, WEBHOOK_POLL_MS);
+}
+
+// Lets a delivery in progress finish; pending ones are sent by the next worker to start
+async function stopWebhookSender() {
+  clearInterval(webhookTimer);
+  await sendingWebhooks;
+}
+
+// Resolves to true once every in-flight job has settled, or to false after ms
+async function waitForInFlight(ms) {
+  let timer;
+  const finished = await Promise.race([
+    Promise.all([...inFlight.values()].map(entry => entry.running)).then(() => true),
+    new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), ms);
+    })
+  ]);
+  clearTimeout(timer);
+  return finished;
+}
+
+// How long aborted jobs get to reach their next step and hand themselves back
+const ABORT_GRACE_MS = 5000;
+
+// Waits up to SHUTDOWN_TIMEOUT_MS for in-flight jobs, then aborts the rest. An aborted job
+// stops before its next step and releases itself, so another worker can start it right
+// away. A job still waiting on the LLM isn't released while it runs (it could finish and
+// save its course after another worker claimed it); its lease runs out instead.
+async function drain() {
+  if (inFlight.size === 0) return;
+  logger.info(`Waiting up to ${SHUTDOWN_TIMEOUT_MS / 1000}s for ${inFlight.size} in-flight jobs`);
+
+  if (await waitForInFlight(SHUTDOWN_TIMEOUT_MS)) return;
+
+  inFlight.forEach(entry => entry.controller.abort());
+  if (await waitForInFlight(ABORT_GRACE_MS)) return;
+
+  for (const jobId of inFlight.keys()) {
+    logger.info(`Job ${jobId} is still running; leaving it to be reclaimed when its lease runs out`);
   }
 }
 
+/**
+ * Connects, then claims and processes up to WORKER_CONCURRENCY jobs at a time until
+ * shutdown() is called. Resolves once in-flight jobs are drained and the database is closed.
+ */
 async function runWorker() {
   logger.info('🚀 Background worker started');
 
   // Connect to database
   try {
     await database.connect();
-    logger.info('✅ Worker connected to database');
+    activeDatabase = database;
+    logger.info('✅ Worker connected to MySQL');
   } catch (error) {
-    logger.error('❌ Worker failed to connect to database:', error);
-    process.exit(1);
+    logger.error('MySQL connection failed, trying SQLite fallback:', error.message);
+
+    try {
+      await sqliteDatabase.connect();
+      activeDatabase = sqliteDatabase;
+      logger.info('✅ Worker connected to SQLite');
+    } catch (sqliteError) {
+      logger.error('❌ Worker failed to connect to database:', sqliteError);
+      process.exit(1);
+    }
   }
 
+  logger.info(`Worker ID: ${WORKER_ID}, processing up to ${CONCURRENCY} jobs at a time`);
+  startWebhookSender();
+
   // Main worker loop
-  while (true) {
+  while (!shuttingDown) {
     try {
-      // Get pending jobs
-      const pendingJobs = await database.getPendingJobs(5);
+      // Put jobs abandoned by crashed workers back in the queue. The ones out of attempts
+      // are dead, and notify like any other failure.
+      const { deadJobIds } = await activeDatabase.reclaimExpiredJobs({ maxAttempts: MAX_ATTEMPTS });
+      for (const jobId of deadJobIds) {
+        logger.error(`Job ${jobId} is dead: its worker stopped responding on the last attempt`);
+        await recordJobEvent({ id: jobId }, 'dead', { error: 'Worker stopped responding while processing the job' });
+        await notifyJobWebhooks({ id: jobId });
+      }
 
-      if (pendingJobs.length > 0) {
-        logger.info(`Found ${pendingJobs.length} pending jobs`);
+      // Only claim what can start right away: leases are renewed for running jobs only
+      const freeSlots = CONCURRENCY - inFlight.size;
+      const jobs = freeSlots > 0
+        ? await activeDatabase.claimJobs(WORKER_ID, { limit: freeSlots, leaseSeconds: LEASE_SECONDS })
+        : [];
 
-        // Process jobs one by one
-        for (const job of pendingJobs) {
-          await processJob(job);
-        }
-      } else {
-        // No pending jobs, wait before checking again
-        await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds
+      jobs.forEach(startJob);
+
+      // Wait when there is nothing to claim or no free slot; a finished job ends the wait
+      if (jobs.length === 0 || inFlight.size >= CONCURRENCY) {
+        await pause(5000); // Wait 5 seconds
       }
 
     } catch (error) {
       logger.error('Worker loop error:', error);
       // Wait before retrying
-      await new Promise(resolve => setTimeout(resolve, 10000)); // Wait 10 seconds on error
+      await pause(10000); // Wait 10 seconds on error
     }
   }
+
+  await drain();
+  await stopWebhookSender();
+  await activeDatabase.close();
+  logger.info('👋 Worker stopped');
 }
 
-// Handle graceful shutdown
-process.on('SIGINT', async () => {
-  logger.info('📤 Shutting down worker...');
-  await database.close();
-  process.exit(0);
-});
+// Stops claiming jobs; runWorker then drains the in-flight ones and resolves.
+// A second signal exits at once; leases then return unfinished jobs to the queue.
+function shutdown(signal) {
+  if (shuttingDown) {
+    logger.info(`📤 ${signal} received again, exiting without waiting for in-flight jobs`);
+    process.exit(1);
+  }
 
-process.on('SIGTERM', async () => {
-  logger.info('📤 Shutting down worker...');
-  await database.close();
-  process.exit(0);
-});
+  shuttingDown = true;
+  logger.info(`📤 ${signal} received, shutting down worker...`);
+  wakeUp();
+}
+
+// Handle graceful shutdown
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Start the worker
 if (require.main === module) {
-  runWorker().catch(error => {
-    logger.error('❌ Worker startup failed:', error);
-    process.exit(1);
-  });
+  runWorker()
+    .then(() => process.exit(0))
+    .catch(error => {
+      logger.error('❌ Worker startup failed:', error);
+      process.exit(1);
+    });
 }
 
-module.exports = { runWorker, processJob };
\ No newline at end of file
+module.exports = { runWorker, shutdown, processJob, retryDelayMs, isRetryableError };
\ No newline at end of file